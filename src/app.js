@@ -12,6 +12,7 @@ import {
   clearRouteState,
   routeState,
   streetZoom,
+  showModeFilter,
 } from './busroute.js';
 import {
   initLandmark,
@@ -24,9 +25,17 @@ import {
   parseMapParamsFromURL,
   setLoading,
   handleError,
+  showNotice,
   validateCoords,
 } from './utils.js';
 import { settingDialog } from './components.js';
+import { busService } from './busservice.js';
+import { GTFS_FILENAME } from './gtfs.js';
+import { getRegion, applyOperatorColors } from './region.js';
+import { planJourneyFromMap, clearJourney } from './journey.js';
+import { showCorridorFromMap, clearCorridor } from './corridor.js';
+import { showDirectRoutesFromMap, clearDirectRoutes } from './directroutes.js';
+import { showReachabilityFromMap, clearReachability } from './reachability.js';
 import { i18n, initi18n, updateTranslation, getGlobeEmoji } from './lion.js';
 
 const translationMap = {
@@ -96,15 +105,10 @@ async function initMap() {
       };
       console.debug('URL params:', initialPosition);
     } else {
-      const config = await getConfig();
-      if (config?.defaults?.default_location) {
-        defaultLocation = {
-          lat: config.defaults.default_location.lat,
-          lng: config.defaults.default_location.lon,
-        };
-        if (config?.defaults?.zoom_level)
-          defaultZoom = config.defaults.zoom_level;
-      }
+      await getConfig(); // selects the region
+      const { center, zoom } = getRegion();
+      defaultLocation = { lat: center.lat, lng: center.lon };
+      if (zoom) defaultZoom = zoom;
 
       initialPosition = {
         center: defaultLocation,
@@ -286,6 +290,18 @@ function resetUIState(clearAll = false) {
   // Clear any landmark markers from the map
   clearLandMarkers();
 
+  // Clear the journey origin and itinerary lines
+  clearJourney();
+
+  // Clear the corridor lines and branch markers
+  clearCorridor();
+
+  // Clear the direct ride lines and picked stops
+  clearDirectRoutes();
+
+  // Clear the reachable stop markers and hull
+  clearReachability();
+
   // Clear the search input
   if (clearAll && searchInput) {
     searchInput.value = '';
@@ -338,21 +354,23 @@ export function getGeminiApiKey() {
   return window.APP_CONFIG.GEMINI_API_KEY;
 }
 
-// Load Google Maps API dynamically via a script element
-function loadGoogleMapsAPI() {
+// Load Google Maps API dynamically via a script element, in the language
+// and region of the region profile
+async function loadGoogleMapsAPI() {
   const key = getGoogleMapsApiKey();
   if (!key) {
     handleError('Google Maps API key is not configured');
     return;
   }
+  await getConfig();
+  const { mapLanguage, mapRegion } = getRegion();
 
   window.initMap = initMap;
   console.log(
     `${import.meta.env.MODE || 'server'} mode: Google Maps loading...`
   );
   const script = document.createElement('script');
-  /// 2mvp: Preset map language to Chinese (Hong Kong) and region to HK
-  script.src = `https://maps.googleapis.com/maps/api/js?key=${key}&callback=initMap&loading=async&libraries=places,geometry,marker,maps3d&v=beta&language=zh-HK&region=HK`;
+  script.src = `https://maps.googleapis.com/maps/api/js?key=${key}&callback=initMap&loading=async&libraries=places,geometry,marker,maps3d&v=beta&language=${encodeURIComponent(mapLanguage)}&region=${encodeURIComponent(mapRegion)}`;
   script.async = true;
   script.defer = true;
   script.onerror = () => handleError('Could not load Google Maps');
@@ -365,7 +383,8 @@ document.addEventListener('DOMContentLoaded', async () => {
   await initi18n();
   await settingDialog.require();
 
-  loadGoogleMapsAPI();
+  await loadGoogleMapsAPI();
+  applyOperatorColors();
 
   // Build the "More" menu options once on startup.
   if (moreMenu) {
@@ -408,6 +427,57 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     addMoreOption('app.search_landmarks', searchLandmarks);
 
+    addMoreOption('app.plan_journey', planJourneyFromMap);
+
+    addMoreOption('app.route_corridor', showCorridorFromMap);
+
+    addMoreOption('app.direct_routes', showDirectRoutesFromMap);
+
+    addMoreOption('app.reachability', showReachabilityFromMap);
+
+    addMoreOption('app.transport_modes', showModeFilter);
+
+    addMoreOption('app.export_gtfs', async () => {
+      try {
+        setLoading(true);
+        if (!(await busService.load())) return;
+        const zip = await busService.exportGtfs();
+        if (!zip) return;
+        const url = URL.createObjectURL(
+          new Blob([zip], { type: 'application/zip' })
+        );
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = GTFS_FILENAME;
+        link.click();
+        URL.revokeObjectURL(url);
+      } catch (error) {
+        console.error('Error exporting GTFS:', error);
+        handleError(i18n.t('errors.export_failed'));
+      } finally {
+        setLoading(false);
+      }
+    });
+
+    addMoreOption('app.restore_data', async () => {
+      try {
+        setLoading(true);
+        if (!(await busService.load())) return;
+        if (!(await busService.restorePreviousSnapshot())) {
+          handleError(i18n.t('errors.no_previous_data'));
+          return;
+        }
+        // Drop what was drawn from the replaced dataset
+        resetUIState();
+        showNotice(i18n.t('dataset.restored'));
+      } catch (error) {
+        console.error('Error restoring bus data:', error);
+        handleError(i18n.t('errors.no_previous_data'));
+      } finally {
+        setLoading(false);
+      }
+    });
+
     addMoreOption('app.show_street_view', () => {
       if (!map) return;
       const panorama = map.getStreetView();
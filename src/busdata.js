@@ -2,130 +2,465 @@
   Manage the static hkbus-dataset 'on-disk in-memory':
   - Read `hkbus.md` about dataset file, JSON structure and data schema
   - API: Spatial proximity lookup, queries for Stop/Routes metadata
+  - stop groups: co-located stops (e.g. one per operator) merged as one
+  - route variants: same route number and operators, paired by direction
+  - corridors: other routes sharing consecutive stops with a route, or
+    running between two stops
+  - circular routes (bound "IO"): loop length, turnaround stop and stop
+    distances wrapping past the terminus
+  - route categories from route numbers and timetables (classifyRoute)
+  - downstream destinations: termini and major stops a stop reaches
+    without a transfer
+  - direct routes between two stops, with section fare and ride time
+  - live ETA requests: operator stop IDs by stopMap (see eta.js)
   - Data model: optimized for in-memory Stop/routes access pattern
   - cache IndexedDB on-disk with idb-keyval wrapper
+  - versioned snapshots: max age, background refresh, rollback to previous
  */
 
-import { fetchJSON } from './utils.js';
-import { i18n } from './lion.js';
+import { fetchJSON, getConfig } from './utils.js';
+import { getRegion, metersToDegrees, isWithinBounds } from './region.js';
+import { buildSearchIndex, searchIndex } from './searchindex.js';
+import {
+  MODES,
+  getModeOperators,
+  getOperatorMode,
+  getRouteOperator,
+} from './modes.js';
+import { diffDatasets } from './datadiff.js';
+import { loadGtfsFeed } from './gtfsimport.js';
+import { getSectionFare, isFareHoliday } from './fares.js';
+import { getStopOffsets, parseHHMM } from './timetable.js';
 
-const CACHE_KEY = 'hkbus_data_v1';
-const isBrowser =
-  typeof window !== 'undefined' && typeof window.document !== 'undefined';
+const CACHE_KEY = 'hkbus_data_v2';
+const PREVIOUS_CACHE_KEY = 'hkbus_data_v2_previous';
+const LEGACY_CACHE_KEY = 'hkbus_data_v1';
+const DEFAULT_DATASET = '/routeFareList.min.json';
+const DEFAULT_MAX_AGE_HOURS = 24;
+// Runs on the main thread, in a Web Worker (see busworker.js) or in Node
+const isNode = typeof process !== 'undefined' && !!process.versions?.node;
+const hasIDB = typeof indexedDB !== 'undefined';
 const SEARCH_QUERY_MAX_RESULTS = 100;
 const SEARCH_CIRCLE_RADIUS_M = 100;
 const MAX_STOPS_ON_CIRCLE = 10;
 const MIN_STOPS_ON_CIRCLE = 2;
+// Spatial grid cell size, in the same order as the search radius
+const GRID_CELL_M = 200;
+// Stops this close are one stop group; with the same name, a bit further
+const STOP_GROUP_M = 15;
+const STOP_GROUP_SAME_NAME_M = 60;
+// Routes sharing this many consecutive stops run along one corridor
+const MIN_CORRIDOR_STOPS = 3;
+// Major stops listed per downstream destination
+const MAJOR_STOPS_PER_DESTINATION = 3;
+// Route categories (see classifyRoute), in display order
+export const ROUTE_CATEGORIES = [
+  'airport',
+  'overnight',
+  'express',
+  'cross_harbour',
+  'peak',
+  'minibus_hki',
+  'minibus_kln',
+  'minibus_nt',
+];
+// Weekday peaks (minutes since midnight) of peak-only timetables
+const PEAK_WINDOWS = [
+  [6 * 60, 10 * 60],
+  [16 * 60 + 30, 20 * 60],
+];
+// Rough extents of the minibus regions; the rest is the New Territories
+const MINIBUS_REGIONS = [
+  ['minibus_hki', { N: 22.29, S: 22.19, E: 114.27, W: 114.11 }],
+  ['minibus_kln', { N: 22.345, S: 22.29, E: 114.24, W: 114.14 }],
+];
 
-async function getBusCache() {
-  if (!isBrowser) return null;
-  try {
-    const { get } = await import(
-      'https://cdn.jsdelivr.net/npm/idb-keyval@6/+esm'
-    );
-    return await get(CACHE_KEY);
-  } catch (e) {
-    console.warn('IDB Read Error', e);
-    return null;
-  }
+/**
+ * Snapshot cache on IndexedDB via idb-keyval, with the get / set / delete
+ * of a Map (a no-op where there is no IndexedDB, e.g. Node).
+ */
+const idbCache = {
+  async get(key) {
+    if (!hasIDB) return null;
+    try {
+      const { get } = await import(
+        'https://cdn.jsdelivr.net/npm/idb-keyval@6/+esm'
+      );
+      return await get(key);
+    } catch (e) {
+      console.warn('IDB Read Error', e);
+      return null;
+    }
+  },
+
+  async set(key, data) {
+    if (!hasIDB) return;
+    try {
+      const { set } = await import(
+        'https://cdn.jsdelivr.net/npm/idb-keyval@6/+esm'
+      );
+      await set(key, data);
+    } catch (e) {
+      console.warn('IDB Write Error', e);
+    }
+  },
+
+  async delete(key) {
+    if (!hasIDB) return;
+    try {
+      const { del } = await import(
+        'https://cdn.jsdelivr.net/npm/idb-keyval@6/+esm'
+      );
+      await del(key);
+    } catch (e) {
+      console.warn('IDB Delete Error', e);
+    }
+  },
+};
+
+/**
+ * Fetch and parse the dataset into a snapshot record:
+ * { data, dataset, hash, fetchedAt, checkedAt }, or null on failure.
+ * A GTFS zip (see gtfsimport.js) is normalised into the same shape.
+ */
+async function fetchSnapshot(dataset, readFile = readPublicFile) {
+  const gtfs = isGtfsDataset(dataset);
+  const content = await readFile(dataset, gtfs);
+  if (content === null) return null;
+
+  const now = Date.now();
+  return {
+    data: gtfs ? await loadGtfsFeed(content) : JSON.parse(content),
+    dataset,
+    hash: hashContent(content),
+    fetchedAt: now,
+    checkedAt: now,
+  };
 }
 
-async function setBusCache(data) {
-  if (!isBrowser) return;
-  try {
-    const { set } = await import(
-      'https://cdn.jsdelivr.net/npm/idb-keyval@6/+esm'
-    );
-    await set(CACHE_KEY, data);
-  } catch (e) {
-    console.warn('IDB Write Error', e);
+function isGtfsDataset(dataset) {
+  return /\.zip$/i.test(dataset);
+}
+
+/**
+ * Read a file under public/ as text, or as bytes if `binary`: fetched in
+ * the browser, read from the filesystem in Node. Returns null if the
+ * fetch fails.
+ */
+async function readPublicFile(file, binary = false) {
+  if (!isNode) {
+    const response = await fetchJSON(file);
+    if (!response.ok) {
+      console.warn(`Failed to load ${file}: ${response.status}`);
+      return null;
+    }
+    return binary
+      ? new Uint8Array(await response.arrayBuffer())
+      : response.text();
   }
+  // Node.js environment: read from filesystem
+  const fs = await import('fs');
+  const path = await import('path');
+  // Assumes the script is run from the project root
+  const filePath = path.resolve(
+    process.cwd(),
+    'public',
+    file.replace(/^\/+/, '')
+  );
+  return binary
+    ? fs.readFileSync(filePath)
+    : fs.readFileSync(filePath, 'utf-8');
 }
 
-const onlyBuses = ['kmb', 'ctb', 'gmb'];
+// Dataset file under public/ of the region profile (see region.js): a
+// routeFareList JSON or a GTFS zip; the default one without a config
+async function getDatasetFile() {
+  const config = await getConfig(); // selects the region
+  return (config && getRegion().dataset) || DEFAULT_DATASET;
+}
+
+// Max age of a cached snapshot before a background refresh, in ms
+async function getMaxAgeMs() {
+  const config = await getConfig();
+  const hours = config?.defaults?.busdata_max_age_hours;
+  return (
+    (typeof hours === 'number' ? hours : DEFAULT_MAX_AGE_HOURS) * 3600 * 1000
+  );
+}
+
+/**
+ * Build all derived indexes for a dataset, without touching the live instance.
+ */
+export function buildIndexes(data) {
+  // Pre-process stopList into an array for faster spatial queries
+  const stopsArray = data.stopList
+    ? Object.entries(data.stopList).map(([id, stop]) => ({
+        id,
+        ...stop,
+      }))
+    : [];
+
+  // Pre-process routeList to build stop->routes index
+  const stopToRoutes = {};
+  const stopToOperators = {};
+  if (data.routeList) {
+    for (const [routeId, route] of Object.entries(data.routeList)) {
+      if (!route.stops) continue;
+      const seenStops = new Set();
+      for (const [company, companyStops] of Object.entries(route.stops)) {
+        for (const stopId of companyStops) {
+          if (!stopToOperators[stopId]) stopToOperators[stopId] = new Set();
+          stopToOperators[stopId].add(company);
+
+          if (seenStops.has(stopId)) continue;
+          seenStops.add(stopId);
+          if (!stopToRoutes[stopId]) stopToRoutes[stopId] = [];
+          stopToRoutes[stopId].push(routeId);
+        }
+      }
+    }
+  }
+
+  const spatialIndex = buildSpatialGrid(stopsArray);
+  return {
+    stopsArray,
+    stopToRoutes,
+    stopToOperators,
+    spatialIndex,
+    stopGroups: buildStopGroups(spatialIndex),
+    routeVariants: buildRouteVariants(data),
+  };
+}
 
 class HKBusData {
   constructor() {
     // hold the data in RAM
     this.data = null;
+    // Snapshot metadata of this.data: { data, dataset, hash, fetchedAt,
+    // checkedAt }
+    this.snapshot = null;
+    // Pending background refresh, if any
+    this.refreshing = null;
     // Optimization: Cache stops as an array for faster iteration
     this.stopsArray = [];
     // Optimization: Reverse index for stop -> routes
     this.stopToRoutes = {};
     // Optimization: Reverse index for stop -> operators
     this.stopToOperators = {};
+    // Optimization: Uniform grid over stopsArray for spatial queries
+    this.spatialIndex = null;
+    // Co-located stops clustered as stop groups (see buildStopGroups)
+    this.stopGroups = null;
+    // Variants of each route number (see buildRouteVariants)
+    this.routeVariants = null;
+    // Categories of the routes classified so far (see classifyRoute)
+    this.routeCategories = null;
+    // Stop and orig/dest name search index (see searchindex.js)
+    this.searchIndex = null;
+    // Stop name search index, refs being stop IDs
+    this.stopNameIndex = null;
+    // Optional { char: reading } table for romanised search
+    this.romanisation = null;
+    // Default operator filter of the queries, null for all (see setModes)
+    this.operators = null;
+    // Called with the dataset diff (see datadiff.js) when refresh or
+    // rollback swaps data
+    this.onRefresh = null;
+    // Snapshot cache, any store with a Map's get / set / delete (a Map in
+    // test_runner.js)
+    this.cache = idbCache;
+    // Reads a dataset file under public/, see readPublicFile
+    this.readFile = readPublicFile;
   }
 
   /**
-   * Load the dataset from public/routeFareList.min.json
+   * Load the dataset, by default the region's `dataset` under public/
+   * (routeFareList.min.json unless set).
+   * A cached snapshot of the same dataset is used right away; if older
+   * than the configured max age, a background refresh is started.
    */
-  async load(dataset = '/routeFareList.min.json') {
+  async load(dataset = null) {
     try {
-      const cached = await getBusCache();
-      if (cached) {
-        this.data = cached;
+      dataset = dataset || (await getDatasetFile());
+      const cached = await this.cache.get(CACHE_KEY);
+      // Snapshots cached before datasets were configurable lack `dataset`
+      if (cached?.data && (cached.dataset || DEFAULT_DATASET) === dataset) {
+        this.applySnapshot(cached, buildIndexes(cached.data));
         console.debug('Loaded bus data from IDB cache');
-      } else {
-        if (isBrowser) {
-          const response = await fetchJSON(dataset);
-          if (!response.ok) {
-            console.warn(`Failed to load HKBus data: ${response.status}`);
-            return null;
-          }
-          this.data = await response.json();
-        } else {
-          // Node.js environment: read from filesystem
-          const fs = await import('fs');
-          const path = await import('path');
-          // Assumes the script is run from the project root
-          const filePath = path.resolve(
-            process.cwd(),
-            'public',
-            dataset.substring(1)
-          );
-          const fileContent = fs.readFileSync(filePath, 'utf-8');
-          this.data = JSON.parse(fileContent);
+        if (Date.now() - (cached.checkedAt || 0) > (await getMaxAgeMs())) {
+          this.refresh(dataset);
         }
-        setBusCache(this.data);
+      } else {
+        const snapshot = await fetchSnapshot(dataset, this.readFile);
+        if (!snapshot) return null;
+        this.applySnapshot(snapshot, buildIndexes(snapshot.data));
+        this.cache.set(CACHE_KEY, snapshot);
+        this.cache.delete(LEGACY_CACHE_KEY);
       }
 
-      // Pre-process stopList into an array for faster spatial queries
-      if (this.data.stopList) {
-        this.stopsArray = Object.entries(this.data.stopList).map(
-          ([id, stop]) => ({
-            id,
-            ...stop,
-          })
+      this.loadRomanisation();
+      return this.data;
+    } catch (error) {
+      console.error('Error loading HKBus data:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Swap in a snapshot together with its prebuilt indexes, all at once.
+   */
+  applySnapshot(snapshot, indexes) {
+    this.snapshot = snapshot;
+    this.data = snapshot.data;
+    this.stopsArray = indexes.stopsArray;
+    this.stopToRoutes = indexes.stopToRoutes;
+    this.stopToOperators = indexes.stopToOperators;
+    this.spatialIndex = indexes.spatialIndex;
+    this.stopGroups = indexes.stopGroups;
+    this.routeVariants = indexes.routeVariants;
+  }
+
+  /**
+   * Re-fetch the dataset and swap it in only once parsed and indexed.
+   * The replaced snapshot is kept as the previous one for rollback.
+   * Resolves to true if the data was replaced.
+   */
+  refresh(dataset = null) {
+    if (this.refreshing) return this.refreshing;
+
+    this.refreshing = (async () => {
+      try {
+        const snapshot = await fetchSnapshot(
+          dataset || (await getDatasetFile()),
+          this.readFile
         );
-      }
+        if (!snapshot) return false;
 
-      // Pre-process routeList to build stop->routes index
-      this.stopToRoutes = {};
-      this.stopToOperators = {};
-      if (this.data.routeList) {
-        for (const [routeId, route] of Object.entries(this.data.routeList)) {
-          if (!route.stops) continue;
-          const seenStops = new Set();
-          for (const [company, companyStops] of Object.entries(route.stops)) {
-            for (const stopId of companyStops) {
-              if (!this.stopToOperators[stopId])
-                this.stopToOperators[stopId] = new Set();
-              this.stopToOperators[stopId].add(company);
-
-              if (seenStops.has(stopId)) continue;
-              seenStops.add(stopId);
-              if (!this.stopToRoutes[stopId]) this.stopToRoutes[stopId] = [];
-              this.stopToRoutes[stopId].push(routeId);
-            }
-          }
+        const current = this.snapshot;
+        if (current && current.hash === snapshot.hash) {
+          // Unchanged upstream, just mark the current snapshot as checked
+          current.checkedAt = snapshot.checkedAt;
+          await this.cache.set(CACHE_KEY, current);
+          return false;
         }
+
+        this.applySnapshot(snapshot, buildIndexes(snapshot.data));
+        console.debug(`Refreshed bus data snapshot ${snapshot.hash}`);
+        if (current && this.onRefresh) {
+          this.onRefresh(diffDatasets(current.data, snapshot.data));
+        }
+        if (current) await this.cache.set(PREVIOUS_CACHE_KEY, current);
+        await this.cache.set(CACHE_KEY, snapshot);
+        return true;
+      } catch (error) {
+        console.warn('Error refreshing HKBus data:', error);
+        return false;
+      } finally {
+        this.refreshing = null;
       }
+    })();
+    return this.refreshing;
+  }
 
-      return this.data;
-    } catch (error) {
-      console.error('Error loading HKBus data:', error);
-      return null;
+  /**
+   * Go back to the previous cached snapshot, keeping the current one as
+   * the new previous (so calling it again undoes the rollback).
+   * Resolves to true if a previous snapshot was restored.
+   */
+  async restorePreviousSnapshot() {
+    const previous = await this.cache.get(PREVIOUS_CACHE_KEY);
+    if (!previous?.data) return false;
+
+    const current = this.snapshot;
+    // Count the rollback as a fresh check, so it is not refreshed right away
+    previous.checkedAt = Date.now();
+    this.applySnapshot(previous, buildIndexes(previous.data));
+    console.debug(`Restored bus data snapshot ${previous.hash}`);
+    if (current && this.onRefresh) {
+      this.onRefresh(diffDatasets(current.data, previous.data));
+    }
+    await this.cache.set(CACHE_KEY, previous);
+    if (current) await this.cache.set(PREVIOUS_CACHE_KEY, current);
+    return true;
+  }
+
+  /**
+   * Bucket stopsArray into a uniform lat/lng grid of GRID_CELL_M cells,
+   * so spatial queries only visit the cells around the query point.
+   */
+  buildSpatialIndex() {
+    this.spatialIndex = buildSpatialGrid(this.stopsArray);
+    return this.spatialIndex;
+  }
+
+  // Rebuild the grid if stopsArray was replaced (e.g. reload or test mocks)
+  getSpatialIndex() {
+    if (!this.spatialIndex || this.spatialIndex.stops !== this.stopsArray) {
+      return this.buildSpatialIndex();
+    }
+    return this.spatialIndex;
+  }
+
+  /**
+   * Restrict the queries to the operators of the given transport modes
+   * (see modes.js); all modes lifts the filter.
+   */
+  setModes(modes = MODES) {
+    const all = MODES.every((mode) => modes.includes(mode));
+    this.operators = all ? null : getModeOperators(modes);
+  }
+
+  // Rebuild the stop groups along with the grid they are derived from
+  getStopGroups() {
+    const spatialIndex = this.getSpatialIndex();
+    if (!this.stopGroups || this.stopGroups.stops !== this.stopsArray) {
+      this.stopGroups = buildStopGroups(spatialIndex);
+    }
+    return this.stopGroups;
+  }
+
+  // Rebuild the route variants if the dataset was replaced
+  getRouteVariantIndex() {
+    if (!this.routeVariants || this.routeVariants.data !== this.data) {
+      this.routeVariants = buildRouteVariants(this.data);
+    }
+    return this.routeVariants;
+  }
+
+  matchesOperators(stopId, operators) {
+    const stopOps = this.stopToOperators[stopId];
+    if (!stopOps) return false; // Strictly exclude stops with no operator info.
+    if (!operators || operators.length === 0) return true;
+    return operators.some((op) => stopOps.has(op));
+  }
+
+  /**
+   * Collect {stop, distSq} of matching stops within radiusMeters, unsorted.
+   * Only the grid cells overlapping the bounding box are visited.
+   */
+  collectStopsInRadius(lat, lng, radiusMeters, operators) {
+    const { grid, cellSize } = this.getSpatialIndex();
+    const deg = metersToDegrees(lat);
+    const radiusSq = radiusMeters * radiusMeters;
+    const rowMin = cellRow(lat - radiusMeters * deg.lat, cellSize);
+    const rowMax = cellRow(lat + radiusMeters * deg.lat, cellSize);
+    const colMin = cellCol(lng - radiusMeters * deg.lng, cellSize);
+    const colMax = cellCol(lng + radiusMeters * deg.lng, cellSize);
+
+    const candidates = [];
+    for (let row = rowMin; row <= rowMax; row++) {
+      for (let col = colMin; col <= colMax; col++) {
+        const cell = grid.get(cellKey(row, col));
+        if (!cell) continue;
+        for (const stop of cell) {
+          const distSq = distSqMeters(lat, lng, stop.location, deg);
+          if (distSq > radiusSq) continue;
+          if (!this.matchesOperators(stop.id, operators)) continue;
+          candidates.push({ stop, distSq });
+        }
+      }
     }
+    return candidates;
   }
 
   /**
@@ -138,61 +473,18 @@ class HKBusData {
     radiusMeters = SEARCH_CIRCLE_RADIUS_M,
     maxResult = MAX_STOPS_ON_CIRCLE,
     minResult = MIN_STOPS_ON_CIRCLE,
-    operators = onlyBuses
+    operators = this.operators
   ) {
     if (!this.data || !this.stopsArray.length) return [];
 
-    const candidates = [];
-
-    // Quick constants for "degrees per meter" at HK latitude (~22.3)
-    const latDeg = 1 / 111000;
-    const lngDeg = 1 / 102000; // cos(22.3) approx adjustment
-
     // Max expansion is 4x the initial radius
     const maxRadius = radiusMeters * 4;
-
-    // Bounding box limits for the largest search area
-    const latDiff = maxRadius * latDeg;
-    const lngDiff = maxRadius * lngDeg;
-    const maxRadiusSq = maxRadius * maxRadius;
-
-    // Loop through pre-calculated array instead of object keys
-    for (let i = 0; i < this.stopsArray.length; i++) {
-      const stop = this.stopsArray[i];
-      // Ensure data integrity (some entries might lack location)
-      if (!stop.location) continue;
-
-      // 0. Operator Filter
-      if (operators && operators.length > 0) {
-        const stopOps = this.stopToOperators[stop.id];
-        if (!stopOps) {
-          continue; // Strictly exclude stops with no operator info.
-        } else {
-          let match = false;
-          for (const op of operators) {
-            if (stopOps.has(op)) {
-              match = true;
-              break;
-            }
-          }
-          if (!match) continue;
-        }
-      }
-
-      // 1. Fast Box Check (Eliminates 99% of candidates instantly)
-      if (Math.abs(stop.location.lat - lat) > latDiff) continue;
-      if (Math.abs(stop.location.lng - lng) > lngDiff) continue;
-
-      // 2. Precise Distance Check (Euclidean approximation is fine for <100m)
-      // Only run this if inside the box
-      const dLat = (stop.location.lat - lat) / latDeg;
-      const dLng = (stop.location.lng - lng) / lngDeg;
-      const distSq = dLat * dLat + dLng * dLng;
-
-      if (distSq <= maxRadiusSq) {
-        candidates.push({ stop, distSq });
-      }
-    }
+    const candidates = this.collectStopsInRadius(
+      lat,
+      lng,
+      maxRadius,
+      operators
+    );
 
     // Sort by distance
     candidates.sort((a, b) => a.distSq - b.distSq);
@@ -224,61 +516,182 @@ class HKBusData {
   }
 
   /**
-   * Find the nearest stop to a given location, returning just the single closest stop.
+   * Return the k nearest stops to a coordinate within radiusMeters, sorted by distance.
+   * Searches ring by ring outwards from the center cell, and stops as soon as
+   * no unvisited cell can hold a closer stop than the k-th found.
    */
-  findNearestStop(lat, lng, radiusMeters = Infinity, operators = onlyBuses) {
-    /// 2fix: some stops are at same location or very close, should we merge them to return just one?
-    if (!this.data || !this.stopsArray.length) return null;
-
-    let nearest = null;
-    let minDistSq = radiusMeters * radiusMeters;
-
-    // Quick constants for "degrees per meter" at HK latitude (~22.3)
-    const latDeg = 1 / 111000;
-    const lngDeg = 1 / 102000; // cos(22.3) approx adjustment
-
-    // Bounding box for quick filtering
-    const latDiff = radiusMeters * latDeg;
-    const lngDiff = radiusMeters * lngDeg;
-
-    for (let i = 0; i < this.stopsArray.length; i++) {
-      const stop = this.stopsArray[i];
-      if (!stop.location) continue;
-
-      // 1. Fast Box Check (if radius is finite)
-      if (Math.abs(stop.location.lat - lat) > latDiff) continue;
-      if (Math.abs(stop.location.lng - lng) > lngDiff) continue;
-
-      // Operator Filter
-      if (operators && operators.length > 0) {
-        const stopOps = this.stopToOperators[stop.id];
-        if (!stopOps) continue;
-        let match = false;
-        for (const op of operators) {
-          if (stopOps.has(op)) {
-            match = true;
-            break;
+  findKNearestStops(
+    lat,
+    lng,
+    k = MAX_STOPS_ON_CIRCLE,
+    radiusMeters = Infinity,
+    operators = this.operators
+  ) {
+    if (!this.data || !this.stopsArray.length || k <= 0) return [];
+
+    const { grid, extent, cellSize } = this.getSpatialIndex();
+    if (grid.size === 0) return [];
+    const deg = metersToDegrees(lat);
+    const radiusSq = radiusMeters * radiusMeters;
+    const row0 = cellRow(lat, cellSize);
+    const col0 = cellCol(lng, cellSize);
+    // Narrowest cell side in metres here (cells narrow away from the equator)
+    const cellMeters = Math.min(GRID_CELL_M, cellSize.lng / deg.lng);
+    // Beyond this ring every cell lies outside the grid extent
+    const maxRing = Math.max(
+      row0 - extent.rowMin,
+      extent.rowMax - row0,
+      col0 - extent.colMin,
+      extent.colMax - col0
+    );
+
+    const found = [];
+    for (let ring = 0; ring <= maxRing; ring++) {
+      for (let row = row0 - ring; row <= row0 + ring; row++) {
+        // Visit only the perimeter of the ring
+        const step = row === row0 - ring || row === row0 + ring ? 1 : 2 * ring;
+        for (let col = col0 - ring; col <= col0 + ring; col += step) {
+          const cell = grid.get(cellKey(row, col));
+          if (!cell) continue;
+          for (const stop of cell) {
+            const distSq = distSqMeters(lat, lng, stop.location, deg);
+            if (distSq > radiusSq) continue;
+            if (!this.matchesOperators(stop.id, operators)) continue;
+            found.push({ stop, distSq });
           }
         }
-        if (!match) continue;
       }
 
-      const dLat = (stop.location.lat - lat) / latDeg;
-      const dLng = (stop.location.lng - lng) / lngDeg;
-      const distSq = dLat * dLat + dLng * dLng;
-
-      if (distSq < minDistSq) {
-        minDistSq = distSq;
-        nearest = stop;
+      // Unvisited cells are at least `ring` whole cells away
+      const reach = ring * cellMeters;
+      if (reach * reach >= radiusSq) break;
+      if (found.length >= k) {
+        found.sort((a, b) => a.distSq - b.distSq);
+        if (found[k - 1].distSq <= reach * reach) break;
       }
     }
-    return nearest;
+
+    found.sort((a, b) => a.distSq - b.distSq);
+    return found.slice(0, k).map((item) => item.stop);
+  }
+
+  /**
+   * Find the nearest stop to a given location, returning just the single closest stop.
+   */
+  findNearestStop(
+    lat,
+    lng,
+    radiusMeters = Infinity,
+    operators = this.operators
+  ) {
+    // Co-located stops come back separately, see findNearestStopGroup
+    const [nearest] = this.findKNearestStops(
+      lat,
+      lng,
+      1,
+      radiusMeters,
+      operators
+    );
+    return nearest || null;
+  }
+
+  /**
+   * Return the stop group of a stop ID, as { id, name, location, stopIds },
+   * where id is the group's first stop. Null if the stop is unknown.
+   */
+  getStopGroup(stopId) {
+    const { groups, stopToGroup } = this.getStopGroups();
+    const group = groups.get(stopToGroup.get(stopId));
+    if (group) return group;
+    const stop = this.getStop(stopId);
+    if (!stop) return null;
+    return {
+      id: stopId,
+      name: stop.name,
+      location: stop.location,
+      stopIds: [stopId],
+    };
+  }
+
+  /**
+   * Like findStopsNear, but co-located stops are merged into stop groups.
+   */
+  findStopGroupsNear(
+    lat,
+    lng,
+    radiusMeters = SEARCH_CIRCLE_RADIUS_M,
+    maxResult = MAX_STOPS_ON_CIRCLE,
+    minResult = MIN_STOPS_ON_CIRCLE,
+    operators = this.operators
+  ) {
+    // Over-fetch stops, as several of them may collapse into one group
+    const stops = this.findStopsNear(
+      lat,
+      lng,
+      radiusMeters,
+      maxResult * 3,
+      minResult,
+      operators
+    );
+    const groups = new Map();
+    for (const stop of stops) {
+      const group = this.getStopGroup(stop.id);
+      if (group && !groups.has(group.id)) groups.set(group.id, group);
+    }
+    return [...groups.values()].slice(0, maxResult);
+  }
+
+  /**
+   * Find the stop group of the nearest stop to a given location, or null.
+   */
+  findNearestStopGroup(
+    lat,
+    lng,
+    radiusMeters = Infinity,
+    operators = this.operators
+  ) {
+    const nearest = this.findNearestStop(lat, lng, radiusMeters, operators);
+    return nearest ? this.getStopGroup(nearest.id) : null;
+  }
+
+  /**
+   * Return a route object with its ID, or null if unknown
+   */
+  getRoute(routeId) {
+    const route = this.data?.routeList?.[routeId];
+    return route ? { id: routeId, ...route } : null;
+  }
+
+  /**
+   * Return the route objects for a list of route IDs, skipping unknown IDs
+   */
+  getRoutes(routeIds) {
+    return routeIds.map((id) => this.getRoute(id)).filter(Boolean);
+  }
+
+  /**
+   * Return a stop object with its ID, or null if unknown
+   */
+  getStop(stopId) {
+    const stop = this.data?.stopList?.[stopId];
+    return stop ? { id: stopId, ...stop } : null;
+  }
+
+  /**
+   * Return the operators serving each stop ID, as { stopId: [company] }
+   */
+  getStopOperators(stopIds) {
+    const result = {};
+    for (const stopId of stopIds) {
+      result[stopId] = [...(this.stopToOperators[stopId] || [])];
+    }
+    return result;
   }
 
   /**
    * Return all routes that pass through a specific stop ID
    */
-  getRoutesByStop(stopId, operators = onlyBuses) {
+  getRoutesByStop(stopId, operators = this.operators) {
     if (!this.stopToRoutes || !this.data.routeList) return [];
     const routeIds = this.stopToRoutes[stopId];
     if (!routeIds) return [];
@@ -294,12 +707,366 @@ class HKBusData {
       });
   }
 
+  /**
+   * Return all variants of a route ID: the same route number and operators,
+   * regular service first, outbound before inbound. Each variant is
+   * { id, route, serviceType, bound, orig, dest, special, reverseId },
+   * where reverseId is its opposite-direction twin, or null.
+   */
+  getRouteVariants(routeId) {
+    const { variants, routeToVariants } = this.getRouteVariantIndex();
+    const key = routeToVariants.get(routeId);
+    return key ? variants.get(key) : [];
+  }
+
+  /**
+   * Return the opposite-direction twin of a route ID, or null.
+   */
+  getReverseRoute(routeId) {
+    const variant = this.getRouteVariants(routeId).find(
+      (v) => v.id === routeId
+    );
+    return variant?.reverseId ? this.getRoute(variant.reverseId) : null;
+  }
+
+  /**
+   * Return the combined routes of all stops in the group of a stop ID,
+   * each route once.
+   */
+  getRoutesByStopGroup(stopId, operators = this.operators) {
+    const group = this.getStopGroup(stopId);
+    if (!group) return [];
+    const routes = new Map();
+    for (const id of group.stopIds) {
+      for (const route of this.getRoutesByStop(id, operators)) {
+        if (!routes.has(route.id)) routes.set(route.id, route);
+      }
+    }
+    return [...routes.values()];
+  }
+
+  /**
+   * Return other routes sharing at least `minShared` consecutive stops with
+   * a route ID (stops compared by stop group), one entry per shared run:
+   * { routeId, route, stops, refFrom, refTo, joinsFrom, leavesTo }, where
+   * stops is the shared run on the other route, refFrom/refTo its stop
+   * indexes on the given route, and joinsFrom/leavesTo the other route's
+   * stops just before and after the run (its branch points), or null.
+   * Longest runs first.
+   */
+  findCorridorsByRoute(
+    routeId,
+    minShared = MIN_CORRIDOR_STOPS,
+    operators = this.operators
+  ) {
+    const refIds = this.getRouteStopIds(routeId);
+    if (refIds.length < minShared) return [];
+    const refKeys = refIds.map((id) => this.getStopGroupKey(id));
+
+    const candidates = new Set();
+    for (const stopId of refIds) {
+      for (const route of this.getRoutesByStopGroup(stopId, operators)) {
+        if (route.id !== routeId) candidates.add(route.id);
+      }
+    }
+
+    const corridors = [];
+    for (const id of candidates) {
+      const stopIds = this.getRouteStopIds(id);
+      const keys = stopIds.map((stopId) => this.getStopGroupKey(stopId));
+      for (const run of findSharedRuns(refKeys, keys, minShared)) {
+        corridors.push({
+          ...this.buildCorridor(id, stopIds, run.start, run.length),
+          refFrom: run.refStart,
+          refTo: run.refStart + run.length - 1,
+        });
+      }
+    }
+    return sortCorridors(corridors);
+  }
+
+  /**
+   * Return the routes running from one stop to another (by stop group)
+   * over at least `minShared` stops, both ends included, in the shape of
+   * findCorridorsByRoute without refFrom/refTo. Longest runs first.
+   */
+  findCorridorsByStops(
+    fromStopId,
+    toStopId,
+    minShared = MIN_CORRIDOR_STOPS,
+    operators = this.operators
+  ) {
+    const fromKey = this.getStopGroupKey(fromStopId);
+    const toKey = this.getStopGroupKey(toStopId);
+    if (fromKey === toKey) return [];
+
+    const corridors = [];
+    for (const route of this.getRoutesByStopGroup(fromStopId, operators)) {
+      const stopIds = this.getRouteStopIds(route.id);
+      const keys = stopIds.map((stopId) => this.getStopGroupKey(stopId));
+      const start = keys.indexOf(fromKey);
+      const end = keys.indexOf(toKey, start + 1);
+      if (start < 0 || end < 0 || end - start + 1 < minShared) continue;
+      corridors.push(
+        this.buildCorridor(route.id, stopIds, start, end - start + 1)
+      );
+    }
+    return sortCorridors(corridors);
+  }
+
+  /**
+   * Where one can ride from a stop without a transfer: the routes through
+   * its stop group, grouped by the terminus they run to (the turnaround
+   * stop for circular routes leaving their terminus). Returns
+   * [{ terminus, routes, stops }], where routes are
+   * { id, route, co, stopsAway } (one per route number, nearest first) and
+   * stops are the downstream stops served by the most routes, in riding
+   * order, as { id, name, location, routeCount }. Destinations with the
+   * most routes first; routes ending here are left out.
+   */
+  getDownstreamDestinations(stopId, operators = this.operators) {
+    const fromKey = this.getStopGroupKey(stopId);
+    const routeCounts = new Map();
+    const routeCount = (id) => {
+      const key = this.getStopGroupKey(id);
+      if (!routeCounts.has(key)) {
+        routeCounts.set(key, this.getRoutesByStopGroup(id, operators).length);
+      }
+      return routeCounts.get(key);
+    };
+
+    const destinations = new Map(); // terminus group key -> destination
+    for (const route of this.getRoutesByStopGroup(stopId, operators)) {
+      const stopIds = this.getRouteStopIds(route.id);
+      const from = stopIds.findIndex(
+        (id) => this.getStopGroupKey(id) === fromKey
+      );
+      let to = stopIds.length - 1;
+      if (this.getStopGroupKey(stopIds[to]) === fromKey) {
+        to = this.getRouteLoop(route.id)?.turnaround ?? to;
+      }
+      if (from < 0 || to <= from) continue;
+
+      const terminusKey = this.getStopGroupKey(stopIds[to]);
+      let destination = destinations.get(terminusKey);
+      if (!destination) {
+        destination = {
+          terminus: this.getStop(stopIds[to]) || { id: stopIds[to] },
+          routes: new Map(),
+          stops: new Map(),
+        };
+        destinations.set(terminusKey, destination);
+      }
+      const known = destination.routes.get(route.route);
+      if (!known || to - from < known.stopsAway) {
+        destination.routes.set(route.route, {
+          id: route.id,
+          route: route.route,
+          co: route.co,
+          stopsAway: to - from,
+        });
+      }
+      for (let i = from + 1; i < to; i++) {
+        const key = this.getStopGroupKey(stopIds[i]);
+        const order = destination.stops.get(key)?.order ?? Infinity;
+        if (key !== fromKey && i - from < order) {
+          destination.stops.set(key, { stopId: stopIds[i], order: i - from });
+        }
+      }
+    }
+
+    return [...destinations.values()]
+      .map(({ terminus, routes, stops }) => ({
+        terminus: {
+          id: terminus.id,
+          name: terminus.name,
+          location: terminus.location,
+        },
+        routes: [...routes.values()].sort((a, b) => a.stopsAway - b.stopsAway),
+        stops: [...stops.values()]
+          .map((stop) => ({ ...stop, routeCount: routeCount(stop.stopId) }))
+          .sort((a, b) => b.routeCount - a.routeCount || a.order - b.order)
+          .slice(0, MAJOR_STOPS_PER_DESTINATION)
+          .sort((a, b) => a.order - b.order)
+          .map(({ stopId, routeCount: count }) => {
+            const stop = this.getStop(stopId) || { id: stopId };
+            return {
+              id: stop.id,
+              name: stop.name,
+              location: stop.location,
+              routeCount: count,
+            };
+          }),
+      }))
+      .sort(
+        (a, b) =>
+          b.routes.length - a.routes.length ||
+          a.routes[0].stopsAway - b.routes[0].stopsAway
+      );
+  }
+
+  /**
+   * One-seat rides from a stop to another, both matched by stop group:
+   * routes whose stop list of one company has the origin before the
+   * destination, or after it on a circular route (riding past the
+   * terminus). Returns [{ routeId, route, co, orig, dest, fromIndex,
+   * toIndex, stopCount, stops, fare, minutes }], fastest first: stopCount
+   * stops ridden, the ridden stops, the section fare on `date` (holiday
+   * fares on Sundays and public holidays; null if unknown) and the ride
+   * minutes (see timetable.js).
+   */
+  async findDirectRoutes(
+    fromStopId,
+    toStopId,
+    date = new Date(),
+    operators = this.operators
+  ) {
+    const config = await getConfig();
+    const holiday = isFareHoliday(date, config?.defaults?.public_holidays);
+    const fromKey = this.getStopGroupKey(fromStopId);
+    const toKey = this.getStopGroupKey(toStopId);
+    if (fromKey === toKey) return [];
+
+    const rides = [];
+    for (const route of this.getRoutesByStopGroup(fromStopId, operators)) {
+      for (const [co, stopIds] of Object.entries(route.stops || {})) {
+        if (operators && operators.length > 0 && !operators.includes(co)) {
+          continue;
+        }
+        const keys = stopIds.map((id) => this.getStopGroupKey(id));
+        const fromIndex = keys.indexOf(fromKey);
+        let toIndex = keys.indexOf(toKey, fromIndex + 1);
+        if (toIndex < 0) toIndex = keys.indexOf(toKey); // circular routes
+        if (fromIndex < 0 || toIndex < 0) continue;
+        const stopCount = this.getStopDistance(route.id, fromIndex, toIndex);
+        if (!stopCount) continue;
+        rides.push(
+          this.buildDirectRide(route, co, fromIndex, stopCount, holiday)
+        );
+        break; // one ride per route
+      }
+    }
+    return rides.sort(
+      (a, b) => a.minutes - b.minutes || a.stopCount - b.stopCount
+    );
+  }
+
+  // A ride of `stopCount` stops from `fromIndex` of a route's company list,
+  // going on round the loop of a circular route
+  buildDirectRide(route, co, fromIndex, stopCount, holiday) {
+    const stops = this.getStopsByRoute(route.id, [co])[co];
+    const offsets = getStopOffsets(route, stops);
+    const last = stops.length - 1;
+    const lap = this.getRouteLoop(route.id)?.length ?? stops.length;
+    const lapMinutes = (offsets[last] * lap) / last;
+    // Index k past the last stop is k - lap on the next time round
+    const stopAt = (k) => stops[k <= last ? k : k - lap];
+    const offsetAt = (k) =>
+      k <= last ? offsets[k] : offsets[k - lap] + lapMinutes;
+
+    const end = fromIndex + stopCount;
+    const ridden = [];
+    for (let k = fromIndex; k <= end; k++) {
+      const { id, name, location } = stopAt(k);
+      ridden.push({ id, name, location });
+    }
+    return {
+      routeId: route.id,
+      route: route.route,
+      co,
+      orig: route.orig,
+      dest: route.dest,
+      fromIndex,
+      toIndex: end <= last ? end : end - lap,
+      stopCount,
+      stops: ridden,
+      // Counted on past the terminus, so a ride round a circular route
+      // pays the fare of its boarding stop
+      fare: getSectionFare(route, fromIndex, end, holiday),
+      minutes: Math.round(offsetAt(end) - offsetAt(fromIndex)),
+    };
+  }
+
+  // Stop IDs of a route, from its first operator's list
+  getRouteStopIds(routeId) {
+    const stops = this.data?.routeList?.[routeId]?.stops;
+    return Object.values(stops || {})[0] || [];
+  }
+
+  // Stops in one stop group compare equal along corridors
+  getStopGroupKey(stopId) {
+    return this.getStopGroups().stopToGroup.get(stopId) ?? stopId;
+  }
+
+  buildCorridor(routeId, stopIds, start, length) {
+    const stopAt = (index) =>
+      index >= 0 && index < stopIds.length
+        ? this.getStop(stopIds[index])
+        : null;
+    return {
+      routeId,
+      route: this.data.routeList[routeId].route,
+      stops: stopIds
+        .slice(start, start + length)
+        .map((id) => this.getStop(id) || { id }),
+      joinsFrom: stopAt(start - 1),
+      leavesTo: stopAt(start + length),
+    };
+  }
+
+  /**
+   * The ID an operator knows a stop by: the stop itself if the operator
+   * serves it, else its stopMap cross-reference, else null.
+   */
+  getOperatorStopId(stopId, co) {
+    if (this.stopToOperators?.[stopId]?.has(co)) return stopId;
+    const pair = this.data?.stopMap?.[stopId]?.find(
+      ([company]) => company === co
+    );
+    return pair ? pair[1] : null;
+  }
+
+  /**
+   * Live ETA requests for routes at a stop (matched by stop group), one per
+   * route and operator: [{ routeId, co, route, serviceType, bound, seq,
+   * stopId }], stopId being the operator's own stop ID and seq the stop's
+   * 1-based position on the route. See eta.js.
+   */
+  getEtaTargets(routeIds, stopId) {
+    const key = this.getStopGroupKey(stopId);
+    const targets = [];
+    for (const routeId of routeIds || []) {
+      const route = this.data?.routeList?.[routeId];
+      if (!route) continue;
+      const stopIds = this.getRouteStopIds(routeId);
+      const index = stopIds.findIndex((id) => this.getStopGroupKey(id) === key);
+      if (index < 0) continue;
+      for (const co of route.co || Object.keys(route.stops || {})) {
+        // Joint routes list each operator's own stop IDs in the same order
+        const operatorStopId =
+          this.getOperatorStopId(stopIds[index], co) ??
+          route.stops?.[co]?.[index];
+        if (!operatorStopId) continue;
+        targets.push({
+          routeId,
+          co,
+          route: String(route.route),
+          serviceType: Number(route.serviceType) || 1,
+          bound: route.bound?.[co] || null,
+          seq: index + 1,
+          stopId: operatorStopId,
+        });
+      }
+    }
+    return targets;
+  }
+
   /**
    * Return the list of stops (waypoints) for a specific route ID.
    * Returns an object keyed by company code (e.g. 'kmb', 'ctb'),
    * where each value is an array of stop objects with details.
    */
-  getStopsByRoute(routeId, operators = onlyBuses) {
+  getStopsByRoute(routeId, operators = this.operators) {
     if (!this.data || !this.data.routeList) return {};
 
     const route = this.data.routeList[routeId];
@@ -317,11 +1084,87 @@ class HKBusData {
     return result;
   }
 
+  /**
+   * Categories of each route ID (see classifyRoute), as
+   * { routeId: [category] }, skipping unknown IDs.
+   */
+  getRouteCategories(routeIds) {
+    if (!this.routeCategories || this.routeCategories.data !== this.data) {
+      this.routeCategories = { data: this.data, byRoute: new Map() };
+    }
+    const { byRoute } = this.routeCategories;
+    const result = {};
+    for (const routeId of routeIds) {
+      const route = this.data?.routeList?.[routeId];
+      if (!route) continue;
+      if (!byRoute.has(routeId)) {
+        const first = this.getStop(this.getRouteStopIds(routeId)[0]);
+        byRoute.set(routeId, classifyRoute(route, first?.location));
+      }
+      result[routeId] = byRoute.get(routeId);
+    }
+    return result;
+  }
+
+  /**
+   * The loop of a circular route (bound "IO"), or null for other routes:
+   * { length, closed, turnaround }. `length` is the number of stops once
+   * round, `closed` tells whether the stop list ends back at its first stop
+   * (group) and `turnaround` is the index of the stop farthest from it.
+   */
+  getRouteLoop(routeId) {
+    const route = this.data?.routeList?.[routeId];
+    if (!isCircularRoute(route)) return null;
+    const stopIds = this.getRouteStopIds(routeId);
+    if (stopIds.length < 2) return null;
+
+    const last = stopIds.length - 1;
+    const closed =
+      this.getStopGroupKey(stopIds[0]) === this.getStopGroupKey(stopIds[last]);
+    const start = this.getStop(stopIds[0])?.location;
+    let turnaround = 0;
+    let farthest = -1;
+    stopIds.forEach((stopId, index) => {
+      const location = this.getStop(stopId)?.location;
+      if (!start || !location) return;
+      const distSq = distSqMeters(
+        start.lat,
+        start.lng,
+        location,
+        metersToDegrees(start.lat)
+      );
+      if (distSq > farthest) {
+        farthest = distSq;
+        turnaround = index;
+      }
+    });
+    return { length: closed ? last : stopIds.length, closed, turnaround };
+  }
+
+  /**
+   * Number of stops ridden from stop index `fromIndex` to `toIndex` of a
+   * route. Circular routes wrap past the terminus; on other routes a stop
+   * behind the boarding stop gives null.
+   */
+  getStopDistance(routeId, fromIndex, toIndex) {
+    const count = this.getRouteStopIds(routeId).length;
+    if (!(fromIndex >= 0 && fromIndex < count)) return null;
+    if (!(toIndex >= 0 && toIndex < count)) return null;
+    if (toIndex >= fromIndex) return toIndex - fromIndex;
+
+    const loop = this.getRouteLoop(routeId);
+    if (!loop) return null;
+    // On a closed loop the last stop is the first one again
+    const to = toIndex % loop.length;
+    const from = fromIndex % loop.length;
+    return (to - from + loop.length) % loop.length;
+  }
+
   /**
    * Search for routes matching the query string (prefix match on route number).
-   * Returns a list of [routeId, routeName, description].
+   * Returns a list of [routeId, routeName, description], named in `locale`.
    */
-  searchRouteByNumber(query) {
+  searchRouteByNumber(query, locale = 'en') {
     if (!this.data || !this.data.routeList || !query) return [];
 
     const q = String(query).trim().toUpperCase();
@@ -333,8 +1176,8 @@ class HKBusData {
       if (results.length >= SEARCH_QUERY_MAX_RESULTS) break;
       const routeStr = String(route.route);
       if (routeStr.toUpperCase().startsWith(q)) {
-        const orig = getLocalizedName(route.orig);
-        const dest = getLocalizedName(route.dest);
+        const orig = getLocalizedName(route.orig, locale);
+        const dest = getLocalizedName(route.dest, locale);
         results.push([id, routeStr, `${orig} ➔ ${dest}`]);
       }
     }
@@ -347,78 +1190,434 @@ class HKBusData {
   }
 
   /**
-   * Search for routes containing stops (or orig/dest) matching the query string.
-   * Returns a list of [routeId, routeName, matchedName].
+   * Search for routes with stops (or orig/dest) matching the query string,
+   * tolerating typos and romanised names (see searchindex.js).
+   * Returns a list of [routeId, routeName, matchedName], named in `locale`,
+   * most relevant first.
    */
-  searchStopByName(query) {
+  searchStopByName(query, locale = 'en') {
     if (!this.data || !this.data.routeList || !query) return [];
 
-    const q = String(query).trim().toLowerCase();
-    if (!q) return [];
-
     const results = [];
     const seenRouteIds = new Set();
-
-    const matches = (n) => {
-      if (!n) return false;
-      if (typeof n === 'string') return n.toLowerCase().includes(q);
-      return Object.values(n).some((v) => String(v).toLowerCase().includes(q));
-    };
-
-    // 1. Search in Route Origin/Destination
-    for (const [id, route] of Object.entries(this.data.routeList)) {
+    for (const { entry } of searchIndex(this.getSearchIndex(), query)) {
       if (results.length >= SEARCH_QUERY_MAX_RESULTS) break;
-      if (seenRouteIds.has(id)) continue;
+      const name = getLocalizedName(entry.name, locale);
+      const routes = [...entry.refs]
+        .filter((id) => !seenRouteIds.has(id) && this.data.routeList[id])
+        .map((id) => [id, String(this.data.routeList[id].route), name])
+        // Sort by route name naturally within one matched name
+        .sort((a, b) => a[1].localeCompare(b[1], undefined, { numeric: true }));
+      for (const result of routes) {
+        if (results.length >= SEARCH_QUERY_MAX_RESULTS) break;
+        results.push(result);
+        seenRouteIds.add(result[0]);
+      }
+    }
+    return results;
+  }
 
-      if (matches(route.orig)) {
-        const name = getLocalizedName(route.orig);
-        results.push([id, String(route.route), name]);
-        seenRouteIds.add(id);
-        continue;
+  // Rebuild the search index if the dataset or romanisation was replaced
+  getSearchIndex() {
+    if (
+      !this.searchIndex ||
+      this.searchIndex.data !== this.data ||
+      this.searchIndex.romanisation !== this.romanisation
+    ) {
+      const entries = [];
+      for (const [id, route] of Object.entries(this.data?.routeList || {})) {
+        entries.push({ name: route.orig, refs: [id] });
+        entries.push({ name: route.dest, refs: [id] });
       }
-      if (results.length >= SEARCH_QUERY_MAX_RESULTS) break;
-      if (matches(route.dest)) {
-        const name = getLocalizedName(route.dest);
-        results.push([id, String(route.route), name]);
-        seenRouteIds.add(id);
+      for (const stop of this.stopsArray) {
+        entries.push({ name: stop.name, refs: this.stopToRoutes[stop.id] });
       }
+      this.searchIndex = {
+        data: this.data,
+        romanisation: this.romanisation,
+        index: buildSearchIndex(entries, this.romanisation),
+      };
     }
+    return this.searchIndex.index;
+  }
 
-    // 2. Search in Stops
-    for (const stop of this.stopsArray) {
-      if (results.length >= SEARCH_QUERY_MAX_RESULTS) break;
-      if (matches(stop.name)) {
-        const stopName = getLocalizedName(stop.name);
-        const routeIds = this.stopToRoutes[stop.id];
-        if (routeIds) {
-          for (const routeId of routeIds) {
-            if (results.length >= SEARCH_QUERY_MAX_RESULTS) break;
-            if (seenRouteIds.has(routeId)) continue;
-
-            const route = this.data.routeList[routeId];
-            if (!route) continue;
-            results.push([routeId, String(route.route), stopName]);
-            seenRouteIds.add(routeId);
-          }
-        }
-      }
+  /**
+   * Stops matching a name query, best first, one per stop name:
+   * [{ id, name, location }].
+   */
+  findStopsByName(query, maxResult = 10) {
+    if (!this.data || !query) return [];
+    if (
+      !this.stopNameIndex ||
+      this.stopNameIndex.stops !== this.stopsArray ||
+      this.stopNameIndex.romanisation !== this.romanisation
+    ) {
+      this.stopNameIndex = {
+        stops: this.stopsArray,
+        romanisation: this.romanisation,
+        index: buildSearchIndex(
+          this.stopsArray.map((stop) => ({ name: stop.name, refs: [stop.id] })),
+          this.romanisation
+        ),
+      };
     }
+    return searchIndex(this.stopNameIndex.index, query)
+      .slice(0, maxResult)
+      .map(({ entry }) => this.getStop([...entry.refs][0]))
+      .filter(Boolean)
+      .map(({ id, name, location }) => ({ id, name, location }));
+  }
 
-    // Sort by route name naturally
-    results.sort((a, b) =>
-      a[1].localeCompare(b[1], undefined, { numeric: true })
-    );
-    return results;
+  /**
+   * Load the optional romanisation table set as `search_romanisation` in
+   * config.json, a JSON { char: reading | [readings] } under public/.
+   */
+  async loadRomanisation() {
+    const config = await getConfig();
+    const file = config?.defaults?.search_romanisation;
+    if (!file || this.romanisation) return;
+    try {
+      const text = await readPublicFile(file);
+      if (!text) return;
+      this.romanisation = JSON.parse(text);
+    } catch (error) {
+      console.warn('Error loading romanisation table:', error);
+    }
   }
 }
 
 // Instantiate as singleton
 export const hkbusData = new HKBusData();
 
-function getLocalizedName(n) {
+function getLocalizedName(n, locale) {
   if (typeof n === 'string') return n;
   if (!n) return '';
-  const lang = i18n?.userLocale?.split('-')[0]?.toLowerCase() || 'en';
+  const lang = locale?.split('-')[0]?.toLowerCase() || 'en';
   if (lang === 'zh' && n.tc) return n.tc;
   return n[lang] || n.en || n.zh || n.tc || Object.values(n)[0] || '';
 }
+
+// Bucket stops into a uniform lat/lng grid of GRID_CELL_M cells
+function buildSpatialGrid(stopsArray) {
+  const grid = new Map();
+  const cellSize = gridCellSize(stopsArray);
+  const extent = {
+    rowMin: Infinity,
+    rowMax: -Infinity,
+    colMin: Infinity,
+    colMax: -Infinity,
+  };
+  for (const stop of stopsArray) {
+    // Ensure data integrity (some entries might lack location)
+    if (!stop.location) continue;
+    const row = cellRow(stop.location.lat, cellSize);
+    const col = cellCol(stop.location.lng, cellSize);
+    extent.rowMin = Math.min(extent.rowMin, row);
+    extent.rowMax = Math.max(extent.rowMax, row);
+    extent.colMin = Math.min(extent.colMin, col);
+    extent.colMax = Math.max(extent.colMax, col);
+
+    const key = cellKey(row, col);
+    let cell = grid.get(key);
+    if (!cell) {
+      cell = [];
+      grid.set(key, cell);
+    }
+    cell.push(stop);
+  }
+  return { stops: stopsArray, grid, extent, cellSize };
+}
+
+/**
+ * Cluster stops within STOP_GROUP_M of each other, or within
+ * STOP_GROUP_SAME_NAME_M with the same name, into stop groups
+ * (union-find over the grid, so only neighbouring cells are compared).
+ * Same-name stops only join groups whose anchors (first stops) are within
+ * STOP_GROUP_SAME_NAME_M too, so a row of same-name stops, e.g. on both
+ * sides of a road, does not chain into one group.
+ * Returns { stops, groups: Map groupId -> group, stopToGroup: Map }.
+ */
+function buildStopGroups(spatialIndex) {
+  const { stops, grid, cellSize } = spatialIndex;
+  const located = stops.filter((stop) => stop.location);
+  const order = new Map(located.map((stop, i) => [stop.id, i]));
+
+  // Roots are the anchors: the earliest stop of each group
+  const parent = new Map();
+  const find = (id) => {
+    let root = id;
+    while (parent.get(root) !== root) root = parent.get(root);
+    parent.set(id, root);
+    return root;
+  };
+  const union = (rootA, rootB) => {
+    if (rootA === rootB) return;
+    if (order.get(rootA) < order.get(rootB)) parent.set(rootB, rootA);
+    else parent.set(rootA, rootB);
+  };
+  located.forEach((stop) => parent.set(stop.id, stop.id));
+
+  const nearSq = STOP_GROUP_M * STOP_GROUP_M;
+  const sameNameSq = STOP_GROUP_SAME_NAME_M * STOP_GROUP_SAME_NAME_M;
+  for (const stop of located) {
+    const { lat, lng } = stop.location;
+    const deg = metersToDegrees(lat);
+    const row = cellRow(lat, cellSize);
+    const col = cellCol(lng, cellSize);
+    for (let r = row - 1; r <= row + 1; r++) {
+      for (let c = col - 1; c <= col + 1; c++) {
+        for (const other of grid.get(cellKey(r, c)) || []) {
+          if (other.id <= stop.id) continue; // each pair once
+          const distSq = distSqMeters(lat, lng, other.location, deg);
+          const rootA = find(stop.id);
+          const rootB = find(other.id);
+          if (distSq <= nearSq) {
+            union(rootA, rootB);
+          } else if (
+            distSq <= sameNameSq &&
+            isSameStopName(stop.name, other.name)
+          ) {
+            const anchorA = located[order.get(rootA)].location;
+            const anchorB = located[order.get(rootB)].location;
+            const anchorDeg = metersToDegrees(anchorA.lat);
+            if (
+              distSqMeters(anchorA.lat, anchorA.lng, anchorB, anchorDeg) <=
+              sameNameSq
+            ) {
+              union(rootA, rootB);
+            }
+          }
+        }
+      }
+    }
+  }
+
+  // Groups in stopsArray order, so the first stop names the group
+  const members = new Map();
+  for (const stop of located) {
+    const root = find(stop.id);
+    if (!members.has(root)) members.set(root, []);
+    members.get(root).push(stop);
+  }
+
+  const groups = new Map();
+  const stopToGroup = new Map();
+  for (const groupStops of members.values()) {
+    if (groupStops.length < 2) continue; // single stops need no group
+    const [first] = groupStops;
+    const lat =
+      groupStops.reduce((sum, s) => sum + s.location.lat, 0) /
+      groupStops.length;
+    const lng =
+      groupStops.reduce((sum, s) => sum + s.location.lng, 0) /
+      groupStops.length;
+    groups.set(first.id, {
+      id: first.id,
+      name: first.name,
+      location: { lat, lng },
+      stopIds: groupStops.map((s) => s.id),
+    });
+    groupStops.forEach((s) => stopToGroup.set(s.id, first.id));
+  }
+  return { stops, groups, stopToGroup };
+}
+
+/**
+ * Group routes by route number and operators into variants, and pair each
+ * direction with its twin: the opposite bound, of the same serviceType if
+ * any, preferring the one running between the same two ends.
+ * Returns { data, variants: Map key -> [variant], routeToVariants: Map }.
+ */
+function buildRouteVariants(data) {
+  const variants = new Map();
+  const routeToVariants = new Map();
+  for (const [id, route] of Object.entries(data?.routeList || {})) {
+    const co = route.co || [];
+    const key = `${route.route}|${co.join('+')}`;
+    if (!variants.has(key)) variants.set(key, []);
+    variants.get(key).push({
+      id,
+      route: route.route,
+      serviceType: String(route.serviceType ?? '1'),
+      bound: route.bound?.[co[0]] || '',
+      orig: route.orig,
+      dest: route.dest,
+      special: String(route.serviceType ?? '1') !== '1',
+      reverseId: null,
+    });
+    routeToVariants.set(id, key);
+  }
+
+  const endName = (n) => getLocalizedName(n, 'en').toLowerCase();
+  const opposite = { O: 'I', I: 'O' };
+  for (const list of variants.values()) {
+    list.sort(
+      (a, b) =>
+        a.serviceType.localeCompare(b.serviceType, undefined, {
+          numeric: true,
+        }) || b.bound.localeCompare(a.bound)
+    );
+    for (const variant of list) {
+      const opposites = list.filter((v) => v.bound === opposite[variant.bound]);
+      const sameType = opposites.filter(
+        (v) => v.serviceType === variant.serviceType
+      );
+      const twins = sameType.length > 0 ? sameType : opposites;
+      const twin =
+        twins.find(
+          (v) =>
+            endName(v.orig) === endName(variant.dest) &&
+            endName(v.dest) === endName(variant.orig)
+        ) || twins[0];
+      variant.reverseId = twin ? twin.id : null;
+    }
+  }
+  return { data, variants, routeToVariants };
+}
+
+/**
+ * Categories of a route, in ROUTE_CATEGORIES order. Bus route numbers:
+ * A/E prefix airport, N prefix overnight, X prefix or suffix express,
+ * three digits from 1, 3 or 6 cross-harbour, P suffix peak. Any route whose
+ * timetable only runs in the weekday peaks is peak too. Minibuses get
+ * their region from the location of the first stop.
+ */
+export function classifyRoute(route, firstStopLocation = null) {
+  const number = String(route?.route || '').toUpperCase();
+  const mode = getOperatorMode(getRouteOperator(route));
+  const categories = new Set();
+
+  if (mode === 'bus') {
+    if (/^N?[AE]\d/.test(number)) categories.add('airport');
+    if (/^N/.test(number)) categories.add('overnight');
+    if (/^X|X$/.test(number)) categories.add('express');
+    if (/^N?[136]\d{2}[A-Z]*$/.test(number)) categories.add('cross_harbour');
+    if (/P$/.test(number)) categories.add('peak');
+  }
+  if (runsOnlyAtPeak(route?.freq)) categories.add('peak');
+  if (mode === 'minibus' && firstStopLocation) {
+    const region = MINIBUS_REGIONS.find(([, bounds]) =>
+      isWithinBounds(firstStopLocation, bounds)
+    );
+    categories.add(region ? region[0] : 'minibus_nt');
+  }
+  return ROUTE_CATEGORIES.filter((category) => categories.has(category));
+}
+
+// Whether every `freq` band starts and ends within one of the PEAK_WINDOWS
+function runsOnlyAtPeak(freq) {
+  const bands = Object.values(freq || {}).flatMap((service) =>
+    Object.entries(service || {})
+  );
+  if (bands.length === 0) return false;
+  return bands.every(([start, band]) => {
+    const from = parseHHMM(start);
+    if (from === null) return false;
+    const to = Array.isArray(band) ? (parseHHMM(band[0]) ?? from) : from;
+    return PEAK_WINDOWS.some(([s, e]) => from >= s && to <= e);
+  });
+}
+
+/**
+ * Whether a route runs in a loop: "IO" bound for any of its operators.
+ */
+export function isCircularRoute(route) {
+  return Object.values(route?.bound || {}).includes('IO');
+}
+
+/**
+ * Maximal runs of at least `minLength` equal consecutive keys shared by two
+ * sequences: [{ refStart, start, length }], refStart indexing `refKeys`.
+ */
+function findSharedRuns(refKeys, keys, minLength) {
+  const runs = [];
+  for (let i = 0; i < refKeys.length; i++) {
+    for (let j = 0; j < keys.length; j++) {
+      if (refKeys[i] !== keys[j]) continue;
+      // Only start at the beginning of a run
+      if (i > 0 && j > 0 && refKeys[i - 1] === keys[j - 1]) continue;
+      let length = 1;
+      while (
+        i + length < refKeys.length &&
+        j + length < keys.length &&
+        refKeys[i + length] === keys[j + length]
+      ) {
+        length++;
+      }
+      if (length >= minLength) runs.push({ refStart: i, start: j, length });
+    }
+  }
+  return runs;
+}
+
+function sortCorridors(corridors) {
+  return corridors.sort(
+    (a, b) =>
+      b.stops.length - a.stops.length ||
+      String(a.route).localeCompare(String(b.route), undefined, {
+        numeric: true,
+      })
+  );
+}
+
+// Same stop name in English or Chinese, ignoring case and spacing
+function isSameStopName(a, b) {
+  if (!a || !b) return false;
+  const norm = (text) =>
+    String(text || '')
+      .toLowerCase()
+      .replace(/\s+/g, ' ')
+      .trim();
+  if (typeof a === 'string' || typeof b === 'string') {
+    return norm(getLocalizedName(a, 'en')) === norm(getLocalizedName(b, 'en'));
+  }
+  return (
+    (!!a.en && norm(a.en) === norm(b.en)) ||
+    (!!a.zh && norm(a.zh) === norm(b.zh))
+  );
+}
+
+// Grid cell size in degrees: GRID_CELL_M square at the middle latitude of
+// the stops, so the grid fits any region
+function gridCellSize(stopsArray) {
+  let latMin = Infinity;
+  let latMax = -Infinity;
+  for (const stop of stopsArray) {
+    if (!stop.location) continue;
+    latMin = Math.min(latMin, stop.location.lat);
+    latMax = Math.max(latMax, stop.location.lat);
+  }
+  const deg = metersToDegrees(latMin <= latMax ? (latMin + latMax) / 2 : 0);
+  return { lat: GRID_CELL_M * deg.lat, lng: GRID_CELL_M * deg.lng };
+}
+
+function cellRow(lat, cellSize) {
+  return Math.floor(lat / cellSize.lat);
+}
+
+function cellCol(lng, cellSize) {
+  return Math.floor(lng / cellSize.lng);
+}
+
+function cellKey(row, col) {
+  return `${row},${col}`;
+}
+
+// Squared distance in metres (Euclidean approximation is fine at city
+// scale), with deg = metersToDegrees(lat)
+function distSqMeters(lat, lng, location, deg) {
+  const dLat = (location.lat - lat) / deg.lat;
+  const dLng = (location.lng - lng) / deg.lng;
+  return dLat * dLat + dLng * dLng;
+}
+
+// djb2 non-crypto hash of the raw dataset text or bytes, to detect changes
+function hashContent(content) {
+  const isText = typeof content === 'string';
+  let hash = 5381;
+  for (let i = 0; i < content.length; i += 1) {
+    const code = isText ? content.charCodeAt(i) : content[i];
+    hash = (hash * 33 + code) >>> 0;
+  }
+  return hash.toString(16).padStart(8, '0');
+}
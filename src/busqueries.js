@@ -0,0 +1,29 @@
+/**
+  Dataset-wide queries built on hkbusData, served by name through
+  busservice.js: in the Web Worker (busworker.js) or in-process.
+  Modules that hkbusData itself imports (fares.js, timetable.js) take the
+  loaded dataset as an argument instead of importing it.
+ */
+
+import { hkbusData } from './busdata.js';
+import { planJourney } from './planner.js';
+import { getRouteFare } from './fares.js';
+import { getRouteSchedules, getStopArrivals } from './timetable.js';
+import { computeIsochrone } from './isochrone.js';
+import { exportGtfs } from './gtfs.js';
+
+export const queryHandlers = {
+  planJourney,
+  getRouteFare: (...args) => getRouteFare(hkbusData.data, ...args),
+  getRouteSchedules: (...args) => getRouteSchedules(hkbusData.data, ...args),
+  getStopArrivals: (routeId, stopIndex, ...args) =>
+    getStopArrivals(
+      hkbusData.data,
+      routeId,
+      Object.values(hkbusData.getStopsByRoute(routeId))[0] || [],
+      stopIndex,
+      ...args
+    ),
+  computeIsochrone,
+  exportGtfs,
+};
@@ -1,13 +1,28 @@
 /* eslint-disable no-undef */
-import { hkbusData } from './busdata.js';
+import { busService } from './busservice.js';
+import { ROUTE_CATEGORIES } from './busdata.js';
 import { mapPanTo } from './app.js';
 import { i18n } from './lion.js';
+import { isFareHoliday, getFareTable, getSectionFare } from './fares.js';
+import { getRouteShape } from './routeshapes.js';
+import { minutesUntil } from './eta.js';
+import { etaScheduler } from './etascheduler.js';
 import {
+  MODES,
+  getRouteOperator,
+  getStopMode,
+  getSavedModes,
+  saveModes,
+} from './modes.js';
+import {
+  getConfig,
   updateUrlParameters,
   getMapCenter,
   screenWidthThreshold,
-  isWithinHKBounds,
+  escapeHTML,
+  showNotice,
 } from './utils.js';
+import { isWithinBounds } from './region.js';
 
 // DOM Elements
 const searchSideBar = document.getElementById('search-sidebar');
@@ -24,9 +39,11 @@ export const routeState = {
   lastStopName: null,
   programmaticPan: false,
   nearestStopId: null,
+  nearestStopIds: [], // stops in the group of nearestStopId
   isDragging: false,
   nearbyStops: [],
   currentStopIndex: -1,
+  categoryFilter: null, // route category shown in the popover, or all
 };
 export const streetZoom = 15;
 export const polylineOpacity = 0.7;
@@ -40,12 +57,18 @@ let debounceTimer = null; // For debouncing the idle event
 let isThrottled = false; // Flag for throttling
 const markerCache = new Map(); // Cache all created marker objects
 const visibleBusMarkers = new Set(); // Track IDs of markers currently on map
+let popoverVersion = 0; // Bumped on each popover render, for async updates
+let activeRouteStopIds = []; // Stops of the active route, polled for ETAs
+const RECENT_ROUTES_KEY = 'BUS_RECENT_ROUTES';
+const MAX_RECENT_ROUTES = 20;
 
 export function initBusRoute(mapInstance) {
   map = mapInstance;
   initCenterMarker();
   initSearchCircle();
   initRoutePopover();
+  // A Set of listeners, so re-initializing the map adds it only once
+  busService.onRefresh(notifyChangedRoutes);
 
   map.addListener('center_changed', () => {
     if (isThrottled) return; // If throttled, do nothing
@@ -91,7 +114,7 @@ function updateSearchCircle() {
   const center = getMapCenter(map);
   const zoom = map.getZoom();
   const isVisible =
-    zoom >= streetZoom && !routeState.activeId && isWithinHKBounds(center);
+    zoom >= streetZoom && !routeState.activeId && isWithinBounds(center);
 
   if (isVisible) {
     searchCircle.setCenter(center);
@@ -187,20 +210,24 @@ export async function searchBusStop() {
     return;
   }
 
-  // 1. Fetch nearby bus stops using spatial query
-  if (!hkbusData.data) {
-    await hkbusData.load();
-    if (!hkbusData.data) {
-      console.warn('Search Bus Stop: Failed to load bus data');
-      return;
-    }
+  // 1. Fetch nearby bus stops using spatial query, co-located stops merged
+  if (!(await busService.load())) {
+    console.warn('Search Bus Stop: Failed to load bus data');
+    return;
   }
 
   const center = getMapCenter(map);
   const zoom = map.getZoom();
   const nearStops_m = getBusStopSearchRadius(zoom);
-  const stops = hkbusData.findStopsNear(center.lat, center.lng, nearStops_m);
-  console.debug(`Search Bus Stop: Found ${stops.length} stops`);
+  const stops = await busService.findStopGroupsNear(
+    center.lat,
+    center.lng,
+    nearStops_m
+  );
+  console.debug(`Search Bus Stop: Found ${stops.length} stop groups`);
+  const stopOperators = await busService.getStopOperators(
+    stops.filter((s) => !markerCache.has(s.id)).flatMap((s) => s.stopIds)
+  );
 
   // 2. Render bus stop markers on the map
   const { AdvancedMarkerElement } = await google.maps.importLibrary('marker');
@@ -230,11 +257,9 @@ export async function searchBusStop() {
         const icon = document.createElement('div');
         icon.className = 'bus-marker-stop';
 
-        // Check if this stop serves GMB (Green Minibus)
-        const operators = hkbusData.stopToOperators[stop.id];
-        if (operators && operators.has('gmb')) {
-          icon.classList.add('gmb');
-        }
+        // Style by the transport modes serving any stop of the group
+        const operators = stop.stopIds.flatMap((id) => stopOperators[id] || []);
+        icon.classList.add(getStopMode(operators));
 
         const stopName = getLocName(stop.name);
         marker = new AdvancedMarkerElement({
@@ -252,6 +277,7 @@ export async function searchBusStop() {
       visibleBusMarkers.add(stop.id);
     }
   }
+  updateEtaStops();
 
   // 3. Identify the nearest stop and update UI
   let nearest_m = 10;
@@ -260,7 +286,11 @@ export async function searchBusStop() {
   } else if (zoom <= 20) {
     nearest_m = 20;
   }
-  const nearest = hkbusData.findNearestStop(center.lat, center.lng, nearest_m);
+  const nearest = await busService.findNearestStopGroup(
+    center.lat,
+    center.lng,
+    nearest_m
+  );
 
   routeState.nearbyStops = stops;
   routeState.currentStopIndex = -1;
@@ -275,6 +305,7 @@ export async function searchBusStop() {
   } else {
     clearNearestStopMarker();
     routeState.nearestStopId = null; // Reset when no stop is near
+    routeState.nearestStopIds = [];
     if (routeState.popover) routeState.popover.style.display = 'none';
     if (infoSidebar) infoSidebar.classList.add('hidden');
   }
@@ -287,6 +318,8 @@ async function selectNearbyStop(stop) {
   // Optimization: Only redraw polylines if the nearest stop has changed
   const hasNearestStopChanged = stop.id !== routeState.nearestStopId;
   routeState.nearestStopId = stop.id; // Update the state regardless
+  routeState.nearestStopIds = stop.stopIds || [stop.id];
+  updateEtaStops();
 
   // Remove previous sticky marker
   clearNearestStopMarker();
@@ -302,7 +335,7 @@ async function selectNearbyStop(stop) {
     zIndex: 100,
   });
 
-  const routes = hkbusData.getRoutesByStop(stop.id);
+  const routes = await busService.getRoutesByStopGroup(stop.id);
   const isRouteActive =
     routeState.activeId && routes.some((r) => r.id === routeState.activeId);
 
@@ -328,17 +361,54 @@ function clearNearestStopMarker() {
   }
 }
 
-export async function drawRoute(routeId, clear = true) {
+function addRoutePolyline(Polyline, path, geodesic) {
+  const polyline = new Polyline({
+    path,
+    geodesic,
+    strokeColor: '#000000',
+    strokeOpacity: polylineOpacity,
+    strokeWeight: 1,
+    icons: [
+      {
+        icon: {
+          path: google.maps.SymbolPath.FORWARD_CLOSED_ARROW,
+          scale: 2,
+          strokeColor: '#000000',
+          strokeWeight: 1,
+        },
+        offset: '50px',
+        repeat: '100px',
+      },
+    ],
+    map,
+  });
+  routeState.polylines.push(polyline);
+}
+
+export async function drawRoute(routeId, clear = true, routeStops = null) {
   if (!map) return;
   if (clear) {
     // Clear existing polylines
     clearPolylines();
   }
 
-  const routeStops = hkbusData.getStopsByRoute(routeId);
+  const [route, stopsByCompany, loop] = await Promise.all([
+    busService.getRoute(routeId),
+    routeStops || busService.getStopsByRoute(routeId),
+    busService.getRouteLoop(routeId),
+  ]);
+  routeStops = stopsByCompany;
   if (!routeStops) return;
 
   const { Polyline } = await google.maps.importLibrary('maps');
+  // The real road geometry when available, else stop-to-stop lines
+  const shape = route ? await getRouteShape(route) : null;
+  if (shape) {
+    // A single-line shape of a circular route is closed like the stop lines
+    const paths = loop && shape.length === 1 ? [closeLoop(shape[0])] : shape;
+    paths.forEach((path) => addRoutePolyline(Polyline, path, false));
+    return;
+  }
   for (const company in routeStops) {
     const stops = routeStops[company];
     const path = stops
@@ -346,31 +416,21 @@ export async function drawRoute(routeId, clear = true) {
       .map((stop) => ({ lat: stop.location.lat, lng: stop.location.lng }));
 
     if (path.length > 0) {
-      const polyline = new Polyline({
-        path,
-        geodesic: true,
-        strokeColor: '#000000',
-        strokeOpacity: polylineOpacity,
-        strokeWeight: 1,
-        icons: [
-          {
-            icon: {
-              path: google.maps.SymbolPath.FORWARD_CLOSED_ARROW,
-              scale: 2,
-              strokeColor: '#000000',
-              strokeWeight: 1,
-            },
-            offset: '50px',
-            repeat: '100px',
-          },
-        ],
-        map,
-      });
-      routeState.polylines.push(polyline);
+      addRoutePolyline(Polyline, loop ? closeLoop(path) : path, true);
     }
   }
 }
 
+// Path of a circular route, closed back to its start
+function closeLoop(path) {
+  const first = path[0];
+  const last = path[path.length - 1];
+  if (!first || (first.lat === last.lat && first.lng === last.lng)) {
+    return path;
+  }
+  return [...path, first];
+}
+
 function clearRouteStopMarkers() {
   routeState.stopMarkers.forEach((marker) => (marker.map = null));
   routeState.stopMarkers = [];
@@ -381,12 +441,16 @@ export function clearRouteState() {
   if (infoSidebar) infoSidebar.classList.add('hidden');
   routeState.activeId = null;
   routeState.nearestStopId = null;
+  routeState.nearestStopIds = [];
   routeState.lastStopName = null;
   routeState.nearbyStops = [];
   routeState.currentStopIndex = -1;
   clearRouteStopMarkers();
   clearPolylines();
   clearNearestStopMarker();
+  activeRouteStopIds = [];
+  etaScheduler.unwatch('popover');
+  etaScheduler.unwatch('route-stop');
   // also clear the handler
   if (sidebarClickHandler) {
     infoContent.removeEventListener('click', sidebarClickHandler);
@@ -402,15 +466,63 @@ export function clearRouteState() {
   visibleBusMarkers.clear();
 }
 
+function getRecentRoutes() {
+  try {
+    return JSON.parse(localStorage.getItem(RECENT_ROUTES_KEY)) || [];
+  } catch {
+    return [];
+  }
+}
+
+// Remember the routes viewed lately, most recent first
+function addRecentRoute(routeId) {
+  const recent = getRecentRoutes().filter((id) => id !== routeId);
+  recent.unshift(routeId);
+  localStorage.setItem(
+    RECENT_ROUTES_KEY,
+    JSON.stringify(recent.slice(0, MAX_RECENT_ROUTES))
+  );
+}
+
+/**
+ * After a dataset refresh, tell the user how many of the routes they
+ * viewed recently changed (see datadiff.js).
+ */
+function notifyChangedRoutes({ changedRoutes = [] } = {}) {
+  const changed = new Set(changedRoutes);
+  const count = getRecentRoutes().filter((id) => changed.has(id)).length;
+  if (count > 0) showNotice(i18n.t('dataset.recent_changed', { count }));
+}
+
 async function drawRouteStops(routeId, pushState = true) {
+  const [route, routeStops, config, schedules, variants, loop] =
+    await Promise.all([
+      busService.getRoute(routeId),
+      busService.getStopsByRoute(routeId),
+      getConfig(),
+      busService.getRouteSchedules([routeId]),
+      busService.getRouteVariants(routeId),
+      busService.getRouteLoop(routeId),
+    ]);
+  if (!route || !routeStops) return;
+  addRecentRoute(routeId);
+  activeRouteStopIds = Object.values(routeStops).flatMap((stops) =>
+    stops.map((stop) => stop.id)
+  );
+  updateEtaStops();
+
   // Draw the selected route polyline (clearing others)
-  await drawRoute(routeId, true);
+  await drawRoute(routeId, true, routeStops);
   clearRouteStopMarkers();
 
   // Update sidebar first to ensure dimensions are available for padding calculation
-  updateRouteSidebar(routeId);
-  const routeStops = hkbusData.getStopsByRoute(routeId);
-  if (!routeStops) return;
+  const holiday = isFareHoliday(new Date(), config?.defaults?.public_holidays);
+  updateRouteSidebar(route, routeStops, {
+    holiday,
+    schedule: schedules[routeId],
+    variants,
+    loop,
+  });
 
   const { AdvancedMarkerElement } = await google.maps.importLibrary('marker');
   const { LatLngBounds } = await google.maps.importLibrary('core');
@@ -434,6 +546,24 @@ async function drawRouteStops(routeId, pushState = true) {
     }
   }
 
+  // Circular routes: mark where the loop turns back
+  const turnaroundStop =
+    loop && Object.values(routeStops)[0]?.[loop.turnaround];
+  if (turnaroundStop?.location) {
+    const icon = document.createElement('div');
+    icon.className = 'bus-marker-turnaround';
+    icon.textContent = '↻';
+    routeState.stopMarkers.push(
+      new AdvancedMarkerElement({
+        map,
+        position: turnaroundStop.location,
+        content: icon,
+        title: `${i18n.t('route.turnaround')}: ${getLocName(turnaroundStop.name)}`,
+        zIndex: 130,
+      })
+    );
+  }
+
   // Define padding to avoid UI elements overlapping the map view.
   const padding = { top: 50, bottom: 50, left: 50, right: 100 };
   const isWideScreen = window.innerWidth > screenWidthThreshold;
@@ -533,12 +663,10 @@ function createRoutePill(route, allRoutes, nearestStopId) {
   const pill = document.createElement('div');
   pill.className = 'route-pill';
   pill.textContent = route.route;
+  pill.dataset.routeId = route.id;
 
-  const companies = route.co || [];
-  if (companies.includes('kmb')) pill.classList.add('kmb');
-  else if (companies.includes('ctb')) pill.classList.add('ctb');
-  else if (companies.includes('nlb')) pill.classList.add('nlb');
-  else if (companies.includes('gmb')) pill.classList.add('gmb');
+  const operator = getRouteOperator(route);
+  if (operator) pill.classList.add(operator);
 
   if (route.id === routeState.activeId) {
     pill.classList.add('active');
@@ -579,6 +707,8 @@ function createRoutePill(route, allRoutes, nearestStopId) {
 
 export function updateRoutePopover(routes, nearestStopId) {
   if (!routeState.popover) return;
+  popoverVersion += 1;
+  etaScheduler.unwatch('popover');
   routeState.popover.innerHTML = '';
   if (!routes || routes.length === 0) {
     routeState.popover.style.display = 'none';
@@ -619,6 +749,9 @@ export function updateRoutePopover(routes, nearestStopId) {
     fragment.appendChild(pill);
   });
   routeState.popover.appendChild(fragment);
+  annotateRoutePills(routes);
+  watchPillEtas(routes, nearestStopId);
+  addCategoryChips(routes);
 
   if (activePill) {
     requestAnimationFrame(() => {
@@ -634,16 +767,315 @@ export function updateRoutePopover(routes, nearestStopId) {
   requestAnimationFrame(updateScrollIndicators);
 }
 
-function updateNearestStopSidebar(nearestStop, routes) {
-  if (!infoSidebar || !hkbusData.data) return;
+/**
+ * More-menu action: pick the transport modes shown on the map, saved in
+ * settings. Changing them reloads the stops around the map center.
+ */
+export function showModeFilter() {
+  if (!infoSidebar) return;
+  const selected = getSavedModes();
+
+  infoTitleContent.innerHTML = `
+    <div class="info-sidebar-header">
+      <div class="nearest-stop-sidebar-title">
+        ${i18n.t('modes.title')}
+      </div>
+    </div>
+  `;
+  infoContent.innerHTML = MODES.map(
+    (mode) => `
+      <label class="mode-filter-item">
+        <input type="checkbox" value="${mode}" ${selected.includes(mode) ? 'checked' : ''} />
+        <span class="bus-marker-stop ${mode}"></span>
+        ${i18n.t(`modes.${mode}`)}
+      </label>
+    `
+  ).join('');
+  infoSidebar.classList.remove('hidden');
+
+  if (sidebarClickHandler) {
+    infoContent.removeEventListener('click', sidebarClickHandler);
+    sidebarClickHandler = null;
+  }
+  infoContent.querySelectorAll('.mode-filter-item input').forEach((input) => {
+    input.addEventListener('change', async () => {
+      const modes = [
+        ...infoContent.querySelectorAll('.mode-filter-item input:checked'),
+      ].map((el) => el.value);
+      saveModes(modes);
+      await busService.setModes(getSavedModes());
+      // Drop markers and route state built with the previous modes
+      clearRouteState();
+      await searchBusStop();
+      showModeFilter(); // Keep the filter open over the nearest stop
+    });
+  });
+}
+
+/**
+ * Append the next scheduled departure to each route pill, once known.
+ */
+async function annotateRoutePills(routes) {
+  const version = popoverVersion;
+  const schedules = await busService.getRouteSchedules(routes.map((r) => r.id));
+  if (version !== popoverVersion) return; // Re-rendered meanwhile
+  routeState.popover.querySelectorAll('.route-pill').forEach((pill) => {
+    const schedule = schedules[pill.dataset.routeId];
+    if (!schedule?.next.length || pill.querySelector('.route-pill-next')) {
+      return;
+    }
+    const next = document.createElement('span');
+    next.className = 'route-pill-next';
+    next.textContent = schedule.next[0];
+    next.title = formatSchedule(schedule);
+    pill.appendChild(next);
+  });
+  requestAnimationFrame(updateScrollIndicators);
+}
+
+/**
+ * Live ETA targets of routes at a stop (see eta.js), with the scheduler
+ * pointed at the configured operator base URLs.
+ */
+async function getEtaTargets(routeIds, stopId) {
+  const [targets, config] = await Promise.all([
+    busService.getEtaTargets(routeIds, stopId),
+    getConfig(),
+  ]);
+  etaScheduler.setBaseUrls(config?.defaults?.eta_base_urls);
+  return targets;
+}
+
+// Poll live ETAs only at the stop markers on the map, the nearest stop
+// and the stops of the active route
+function updateEtaStops() {
+  etaScheduler.setVisibleStops([
+    ...visibleBusMarkers,
+    routeState.nearestStopId,
+    ...activeRouteStopIds,
+  ]);
+}
+
+// Minutes until the next few live arrivals, soonest first
+function etaMinutes(records, count = 3) {
+  return records
+    .map((record) => minutesUntil(record.eta))
+    .filter((minutes) => minutes !== null)
+    .slice(0, count);
+}
+
+/**
+ * Keep the next live arrival at the nearest stop on each route pill, in
+ * place of the scheduled one, for as long as the popover shows it.
+ */
+async function watchPillEtas(routes, stopId) {
+  if (!stopId) return;
+  const version = popoverVersion;
+  const targets = await getEtaTargets(
+    routes.map((r) => r.id),
+    stopId
+  );
+  if (version !== popoverVersion) return; // Re-rendered meanwhile
+
+  etaScheduler.watch('popover', stopId, targets, (etas) => {
+    if (version !== popoverVersion) return;
+    routeState.popover.querySelectorAll('.route-pill').forEach((pill) => {
+      const minutes = etaMinutes(etas[pill.dataset.routeId] || []);
+      let eta = pill.querySelector('.route-pill-eta');
+      pill.classList.toggle('has-eta', minutes.length > 0);
+      if (minutes.length === 0) {
+        eta?.remove();
+        return;
+      }
+      if (!eta) {
+        eta = document.createElement('span');
+        eta.className = 'route-pill-eta';
+        pill.appendChild(eta);
+      }
+      eta.textContent = i18n.t('eta.pill', { minutes: minutes[0] });
+      eta.title = i18n.t('eta.live', { times: minutes.join(', ') });
+    });
+    requestAnimationFrame(updateScrollIndicators);
+  });
+}
+
+/**
+ * Filter chips ahead of the route pills, one per route category present
+ * (see classifyRoute); a chip shows only the pills of its category.
+ */
+async function addCategoryChips(routes) {
+  const version = popoverVersion;
+  const categories = await busService.getRouteCategories(
+    routes.map((r) => r.id)
+  );
+  const popover = routeState.popover;
+  if (version !== popoverVersion) return; // Re-rendered meanwhile
+
+  popover.querySelectorAll('.route-pill').forEach((pill) => {
+    pill.dataset.categories = (categories[pill.dataset.routeId] || []).join(
+      ' '
+    );
+  });
+  const present = ROUTE_CATEGORIES.filter((category) =>
+    Object.values(categories).some((list) => list.includes(category))
+  );
+  if (!present.includes(routeState.categoryFilter)) {
+    routeState.categoryFilter = null;
+  }
+
+  const fragment = document.createDocumentFragment();
+  for (const category of present) {
+    const chip = document.createElement('div');
+    chip.className = 'route-filter-chip';
+    chip.dataset.category = category;
+    chip.textContent = i18n.t(`category.${category}`);
+    chip.addEventListener('click', (e) => {
+      e.stopPropagation();
+      routeState.categoryFilter =
+        routeState.categoryFilter === category ? null : category;
+      applyCategoryFilter();
+    });
+    fragment.appendChild(chip);
+  }
+  popover.prepend(fragment);
+  applyCategoryFilter();
+}
+
+function applyCategoryFilter() {
+  const filter = routeState.categoryFilter;
+  const popover = routeState.popover;
+  popover.querySelectorAll('.route-filter-chip').forEach((chip) => {
+    chip.classList.toggle('active', chip.dataset.category === filter);
+  });
+  popover.querySelectorAll('.route-pill').forEach((pill) => {
+    const categories = (pill.dataset.categories || '').split(' ');
+    pill.style.display = !filter || categories.includes(filter) ? '' : 'none';
+  });
+  requestAnimationFrame(updateScrollIndicators);
+}
+
+/**
+ * Category badges after each route of the route list sidebar.
+ */
+async function addCategoryBadges(routes) {
+  const categories = await busService.getRouteCategories(
+    routes.map((r) => r.id)
+  );
+  for (const [routeId, list] of Object.entries(categories)) {
+    const title = infoContent.querySelector(
+      `.route-stop-item[data-route-id="${CSS.escape(routeId)}"] .info-sidebar-title`
+    );
+    if (!title || title.querySelector('.route-category-badge')) continue;
+    title.insertAdjacentHTML(
+      'beforeend',
+      list
+        .map(
+          (category) =>
+            `<span class="route-category-badge ${category}">${i18n.t(`category.${category}`)}</span>`
+        )
+        .join('')
+    );
+  }
+}
+
+/**
+ * One-line timetable summary: next departures, headway, first/last bus.
+ */
+function formatSchedule(schedule) {
+  if (!schedule) return i18n.t('timetable.unavailable');
+  if (!schedule.first) return i18n.t('timetable.no_service');
+
+  const parts = [];
+  if (schedule.next.length > 0) {
+    parts.push(i18n.t('timetable.next', { times: schedule.next.join(', ') }));
+  }
+  if (schedule.headway) {
+    parts.push(
+      i18n.t('timetable.headway', { minutes: Math.round(schedule.headway) })
+    );
+  }
+  parts.push(
+    i18n.t('timetable.first_last', {
+      first: schedule.first,
+      last: schedule.last,
+    })
+  );
+  return parts.join(' · ');
+}
+
+/**
+ * Nearest stop sidebar: where its routes go, destination first (see
+ * getDownstreamDestinations), or the route list when none leave from it.
+ */
+async function updateNearestStopSidebar(nearestStop, routes) {
+  if (!infoSidebar || !busService.loaded) return;
 
   const stopName = getLocName(nearestStop.name);
   routeState.lastStopName = stopName;
-  renderRouteListSidebar(stopName, routes);
+  const destinations = await busService.getDownstreamDestinations(
+    nearestStop.id
+  );
+  // Skip if another stop or a route was picked meanwhile
+  if (routeState.nearestStopId !== nearestStop.id || routeState.activeId) {
+    return;
+  }
+  if (destinations.length === 0) {
+    renderRouteListSidebar(stopName, routes);
+    return;
+  }
+  renderDestinationSidebar(stopName, destinations, routes);
+}
+
+function renderDestinationSidebar(title, destinations, routes) {
+  infoTitleContent.innerHTML = `
+    <div class="info-sidebar-header">
+      <div class="nearest-stop-sidebar-title">
+        ${escapeHTML(title)}
+      </div>
+      <div class="route-sidebar-details">
+        ${i18n.t('destinations.count', { count: destinations.length })}
+      </div>
+    </div>
+  `;
+  infoContent.innerHTML = destinations
+    .map(({ terminus, routes: destinationRoutes, stops }) => {
+      const pills = destinationRoutes
+        .map(
+          (route) =>
+            `<span class="route-pill destination-route ${getRouteOperator(route) || ''}" data-route-id="${escapeHTML(route.id)}" title="${i18n.t('destinations.stops_away', { count: route.stopsAway })}">${escapeHTML(String(route.route))}</span>`
+        )
+        .join('');
+      const via = stops.length
+        ? `<div class="route-sidebar-details">${i18n.t('destinations.via', {
+            stops: stops
+              .map((stop) => escapeHTML(getLocName(stop.name)))
+              .join(' · '),
+          })}</div>`
+        : '';
+      return `
+        <div class="destination-item">
+          <div class="destination-name">➔ ${escapeHTML(getLocName(terminus.name))}</div>
+          <div class="destination-routes">${pills}</div>
+          ${via}
+        </div>
+      `;
+    })
+    .join('');
+  infoSidebar.classList.remove('hidden');
+
+  if (sidebarClickHandler) {
+    infoContent.removeEventListener('click', sidebarClickHandler);
+  }
+  sidebarClickHandler = async (event) => {
+    const pill = event.target.closest('.destination-route');
+    if (!pill) return;
+    await selectListedRoute(pill.dataset.routeId, routes);
+  };
+  infoContent.addEventListener('click', sidebarClickHandler);
 }
 
 export function renderRouteListSidebar(title, routes, options = {}) {
-  if (!infoSidebar || !hkbusData.data) return;
+  if (!infoSidebar || !busService.loaded) return;
 
   let contentHtml = '';
   routes.forEach((route) => {
@@ -670,6 +1102,7 @@ export function renderRouteListSidebar(title, routes, options = {}) {
   `;
   infoContent.innerHTML = contentHtml;
   infoSidebar.classList.remove('hidden');
+  addCategoryBadges(routes);
 
   // Remove old listener to prevent memory leaks
   if (sidebarClickHandler) {
@@ -680,29 +1113,32 @@ export function renderRouteListSidebar(title, routes, options = {}) {
   sidebarClickHandler = async (event) => {
     const item = event.target.closest('.route-stop-item');
     if (!item || !item.dataset.routeId) return;
-
-    const routeId = item.dataset.routeId;
-    const isFirst = routeState.activeId === null;
-    routeState.activeId = routeId;
-    await drawRouteStops(routeId, isFirst);
-    if (typeof options.onRouteSelect === 'function') {
-      options.onRouteSelect(routeId);
-    }
-
-    // If we are at a nearest stop, show routes for that stop.
-    // Otherwise (search mode), keep showing the search results in the popover.
-    if (routeState.nearestStopId) {
-      const routesForPopover = hkbusData.getRoutesByStop(
-        routeState.nearestStopId
-      );
-      updateRoutePopover(routesForPopover, routeState.nearestStopId);
-    } else {
-      updateRoutePopover(routes, null);
-    }
+    await selectListedRoute(item.dataset.routeId, routes, options);
   };
   infoContent.addEventListener('click', sidebarClickHandler);
 }
 
+// Show a route picked from a sidebar list of `routes`
+async function selectListedRoute(routeId, routes, options = {}) {
+  const isFirst = routeState.activeId === null;
+  routeState.activeId = routeId;
+  await drawRouteStops(routeId, isFirst);
+  if (typeof options.onRouteSelect === 'function') {
+    options.onRouteSelect(routeId);
+  }
+
+  // If we are at a nearest stop, show routes for that stop.
+  // Otherwise (search mode), keep showing the search results in the popover.
+  if (routeState.nearestStopId) {
+    const routesForPopover = await busService.getRoutesByStopGroup(
+      routeState.nearestStopId
+    );
+    updateRoutePopover(routesForPopover, routeState.nearestStopId);
+  } else {
+    updateRoutePopover(routes, null);
+  }
+}
+
 function updateScrollIndicators() {
   const el = routeState.popover;
   if (!el) return;
@@ -720,12 +1156,14 @@ function updateScrollIndicators() {
   el.classList.toggle('fade-right', !atEnd);
 }
 
-function updateRouteSidebar(routeId) {
-  if (!infoSidebar || !hkbusData.data) return;
-
-  const route = hkbusData.data.routeList[routeId];
-  const routeStops = hkbusData.getStopsByRoute(routeId);
-  if (!route || !routeStops) return;
+function updateRouteSidebar(route, routeStops, options = {}) {
+  const {
+    holiday = false,
+    schedule = null,
+    variants = [],
+    loop = null,
+  } = options;
+  if (!infoSidebar || !route || !routeStops) return;
 
   // Use the first company's stop list (assuming shared stops for joint routes)
   const companies = Object.keys(routeStops);
@@ -735,6 +1173,12 @@ function updateRouteSidebar(routeId) {
   const orig = getLocName(route.orig);
   const dest = getLocName(route.dest);
 
+  // Section fares by boarding stop, in effect today
+  const fares = getFareTable(route, holiday);
+  const fareLabel = fares
+    ? i18n.t(holiday ? 'fare.holiday' : 'fare.regular')
+    : i18n.t('fare.unknown');
+
   const headerHtml = `
     <div class="info-sidebar-header">
       <div class="info-sidebar-title">
@@ -744,20 +1188,34 @@ function updateRouteSidebar(routeId) {
         </span>
       </div>
       <div class="route-sidebar-details">
-        ${orig} ➔ ${dest}
+        ${loop ? `${orig} ↻ ${i18n.t('route.circular')}` : `${orig} ➔ ${dest}`}
       </div>
+      <div class="route-sidebar-details">${fareLabel}</div>
+      <div class="route-sidebar-details">${formatSchedule(schedule)}</div>
+      ${renderVariantBar(route, variants)}
     </div>
   `;
 
   let contentHtml = '';
   stops.forEach((stop, index) => {
     const stopName = getLocName(stop.name);
-    const isNearest = stop.id === routeState.nearestStopId;
+    const isNearest = routeState.nearestStopIds.includes(stop.id);
+    // No fare to board at the terminus
+    const fare =
+      index < stops.length - 1
+        ? getSectionFare(route, index, index + 1, holiday)
+        : null;
+    const turnaround =
+      loop?.turnaround === index
+        ? `<span class="route-stop-turnaround">↻ ${i18n.t('route.turnaround')}</span>`
+        : '';
     contentHtml += `
       <div class="route-stop-item ${isNearest ? 'nearest-stop' : ''}" data-index="${index}">
         <div class="route-stop-name">
           <span class="stop-item-index">${index + 1}.</span>
           ${stopName}
+          ${turnaround}
+          ${fare != null ? `<span class="route-stop-fare">$${fare}</span>` : ''}
         </div>
       </div>
     `;
@@ -767,6 +1225,20 @@ function updateRouteSidebar(routeId) {
   infoContent.innerHTML = contentHtml;
   infoSidebar.classList.remove('hidden');
 
+  // Header controls are re-rendered with the header, no cleanup needed
+  const variantSelect = infoTitleContent.querySelector('.route-variant-select');
+  if (variantSelect) {
+    variantSelect.addEventListener('change', () =>
+      switchRouteVariant(variantSelect.value)
+    );
+  }
+  const reverseButton = infoTitleContent.querySelector('.route-reverse-btn');
+  if (reverseButton) {
+    reverseButton.addEventListener('click', () =>
+      switchRouteVariant(reverseButton.dataset.routeId)
+    );
+  }
+
   // Remove old listener to prevent memory leaks
   if (sidebarClickHandler) {
     infoContent.removeEventListener('click', sidebarClickHandler);
@@ -782,6 +1254,7 @@ function updateRouteSidebar(routeId) {
     if (stop && stop.location) {
       routeState.lastStopName = getLocName(stop.name);
       routeState.nearestStopId = stop.id;
+      routeState.nearestStopIds = [stop.id];
 
       // Manually update highlighting
       const currentActive = infoSidebar.querySelector(
@@ -790,6 +1263,8 @@ function updateRouteSidebar(routeId) {
       if (currentActive) currentActive.classList.remove('nearest-stop');
       item.classList.add('nearest-stop');
 
+      showStopArrivals(item, route.id, index, stop.id);
+
       // Pan map to the selected stop
       mapPanTo(
         stop.location.lat,
@@ -812,6 +1287,111 @@ function updateRouteSidebar(routeId) {
   infoContent.addEventListener('click', sidebarClickHandler);
 }
 
+/**
+ * Reverse-direction button and variant switcher for the route sidebar.
+ */
+function renderVariantBar(route, variants) {
+  const current = variants.find((v) => v.id === route.id);
+  if (!current || (variants.length < 2 && !current.reverseId)) return '';
+
+  const options = variants
+    .map((v) => {
+      const special = v.special
+        ? ` (${i18n.t('route.special', { type: v.serviceType })})`
+        : '';
+      const label = `${getLocName(v.orig)} ➔ ${getLocName(v.dest)}${special}`;
+      return `<option value="${escapeHTML(v.id)}" ${v.id === route.id ? 'selected' : ''}>${escapeHTML(label)}</option>`;
+    })
+    .join('');
+
+  return `
+    <div class="route-variant-bar">
+      ${
+        current.reverseId
+          ? `<button class="route-reverse-btn" data-route-id="${escapeHTML(current.reverseId)}" title="${i18n.t('route.reverse')}">⇄</button>`
+          : ''
+      }
+      ${
+        variants.length > 1
+          ? `<select class="route-variant-select" title="${i18n.t('route.variants')}">${options}</select>`
+          : ''
+      }
+    </div>
+  `;
+}
+
+/**
+ * Show another variant (or the reverse direction) of the active route.
+ */
+async function switchRouteVariant(routeId) {
+  if (!routeId || routeId === routeState.activeId) return;
+  routeState.activeId = routeId;
+  await drawRouteStops(routeId, false);
+  routeState.popover
+    ?.querySelectorAll('.route-pill')
+    .forEach((pill) =>
+      pill.classList.toggle('active', pill.dataset.routeId === routeId)
+    );
+}
+
+/**
+ * Show the scheduled (timetable-based) arrivals under a stop, then the
+ * live ETAs where the operator has them.
+ */
+async function showStopArrivals(item, routeId, index, stopId) {
+  infoContent
+    .querySelectorAll('.route-stop-arrivals, .route-stop-eta')
+    .forEach((el) => el.remove());
+
+  etaScheduler.unwatch('route-stop');
+  // Fetched alongside the scheduled arrivals; handled here so a failure
+  // is not left unhandled by the early returns below
+  const targets = getEtaTargets([routeId], stopId).catch((error) => {
+    console.warn('Error getting live ETA targets:', error);
+    return [];
+  });
+  let estimate = null;
+  try {
+    estimate = await busService.getStopArrivals(routeId, index);
+  } catch (error) {
+    console.warn('Error getting scheduled arrivals:', error);
+  }
+  // Skip if another stop was tapped or the sidebar was redrawn meanwhile
+  if (!item.isConnected || !item.classList.contains('nearest-stop')) return;
+
+  const arrivals = document.createElement('div');
+  arrivals.className = 'route-stop-arrivals';
+  arrivals.textContent = estimate?.arrivals.length
+    ? i18n.t('timetable.scheduled_arrivals', {
+        times: estimate.arrivals.join(', '),
+      })
+    : i18n.t('timetable.no_arrivals');
+  arrivals.title = i18n.t('timetable.scheduled_note');
+  item.appendChild(arrivals);
+
+  const stopTargets = await targets;
+  if (stopTargets.length === 0) return;
+  if (!item.isConnected || !item.classList.contains('nearest-stop')) return;
+  etaScheduler.watch('route-stop', stopId, stopTargets, (etas) => {
+    if (!item.isConnected || !item.classList.contains('nearest-stop')) {
+      etaScheduler.unwatch('route-stop');
+      return;
+    }
+    const records = etas[routeId];
+    if (!records) return; // No provider, or the operator failed
+    const minutes = etaMinutes(records);
+    let eta = item.querySelector('.route-stop-eta');
+    if (!eta) {
+      eta = document.createElement('div');
+      eta.className = 'route-stop-eta';
+      item.appendChild(eta);
+    }
+    eta.textContent = minutes.length
+      ? i18n.t('eta.live', { times: minutes.join(', ') })
+      : i18n.t('eta.none');
+  });
+}
+
 export function getLocName(nameObj) {
   if (typeof nameObj !== 'object' || nameObj === null) return nameObj;
   const userLang = i18n.userLocale.split('-')[0].toLowerCase();
@@ -0,0 +1,281 @@
+/**
+  Async facade over HKBusData for the UI modules:
+  - in browsers, the dataset lives in a Web Worker (busworker.js), so the
+    fetch, JSON parsing and indexing never block the main thread
+  - elsewhere (Node, test_runner.js) or if the worker fails to start,
+    queries run in-process on the hkbusData singleton
+  - every query returns a Promise either way
+ */
+
+import { hkbusData } from './busdata.js';
+import { queryHandlers } from './busqueries.js';
+import { getConfig } from './utils.js';
+import { getSavedModes } from './modes.js';
+import { i18n } from './lion.js';
+
+class BusDataService {
+  constructor() {
+    this.worker = null;
+    this.workerFailed = false;
+    this.pending = new Map();
+    this.nextId = 1;
+    this.loaded = false;
+    this.loading = null;
+    this.refreshListeners = new Set();
+  }
+
+  startWorker() {
+    if (this.worker || this.workerFailed || typeof Worker === 'undefined')
+      return this.worker;
+    try {
+      this.worker = new Worker(new URL('./busworker.js', import.meta.url), {
+        type: 'module',
+      });
+      this.worker.addEventListener('message', (event) => {
+        const { id, event: name, result, error } = event.data || {};
+        if (name === 'refreshed') {
+          this.notifyRefresh(result);
+          return;
+        }
+        const request = this.pending.get(id);
+        if (!request) return;
+        this.pending.delete(id);
+        if (error) request.reject(new Error(error));
+        else request.resolve(result);
+      });
+      this.worker.addEventListener('error', (event) => {
+        console.warn('Bus data worker failed, running in-process', event);
+        this.workerFailed = true;
+        this.stopWorker(new Error('Bus data worker failed'));
+      });
+    } catch (error) {
+      console.warn('Bus data worker unavailable, running in-process', error);
+      this.worker = null;
+      this.workerFailed = true;
+    }
+    return this.worker;
+  }
+
+  stopWorker(reason) {
+    if (this.worker) this.worker.terminate();
+    this.worker = null;
+    this.loaded = false;
+    for (const request of this.pending.values()) request.reject(reason);
+    this.pending.clear();
+  }
+
+  /**
+   * Invoke an HKBusData method (or a module function in `queryHandlers`),
+   * in the worker if running, else in-process.
+   */
+  call(method, ...args) {
+    if (!this.worker) {
+      try {
+        const handler = queryHandlers[method];
+        return Promise.resolve(
+          handler ? handler(...args) : hkbusData[method](...args)
+        );
+      } catch (error) {
+        return Promise.reject(error);
+      }
+    }
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject });
+      this.worker.postMessage({ id, method, args });
+    });
+  }
+
+  /**
+   * Load the dataset once; concurrent callers share the same load.
+   * Resolves to true when the dataset is ready for queries.
+   */
+  load(dataset) {
+    if (this.loaded) return Promise.resolve(true);
+    if (!this.loading) {
+      this.loading = (async () => {
+        try {
+          if (this.startWorker()) {
+            await this.call('configure', await getConfig());
+          }
+          await this.setModes(getSavedModes());
+          if (!this.worker) {
+            hkbusData.onRefresh = (diff) => this.notifyRefresh(diff);
+          }
+          const args = dataset ? [dataset] : [];
+          this.loaded = this.worker
+            ? await this.call('load', ...args)
+            : !!(await hkbusData.load(...args));
+        } catch (error) {
+          console.error('Error loading bus data service:', error);
+          this.loaded = false;
+        } finally {
+          this.loading = null;
+        }
+        return this.loaded;
+      })();
+    }
+    return this.loading;
+  }
+
+  /**
+   * Register a listener called with { summary, changedRoutes } whenever a
+   * refresh replaces the dataset (see datadiff.js).
+   */
+  onRefresh(listener) {
+    this.refreshListeners.add(listener);
+  }
+
+  notifyRefresh(diff) {
+    for (const listener of this.refreshListeners) {
+      try {
+        listener(diff);
+      } catch (error) {
+        console.warn('Bus data refresh listener failed:', error);
+      }
+    }
+  }
+
+  refresh(dataset) {
+    return dataset ? this.call('refresh', dataset) : this.call('refresh');
+  }
+
+  restorePreviousSnapshot() {
+    return this.call('restorePreviousSnapshot');
+  }
+
+  setModes(modes) {
+    return this.call('setModes', modes);
+  }
+
+  findStopsNear(lat, lng, ...options) {
+    return this.call('findStopsNear', lat, lng, ...options);
+  }
+
+  findNearestStop(lat, lng, ...options) {
+    return this.call('findNearestStop', lat, lng, ...options);
+  }
+
+  findKNearestStops(lat, lng, ...options) {
+    return this.call('findKNearestStops', lat, lng, ...options);
+  }
+
+  getRoute(routeId) {
+    return this.call('getRoute', routeId);
+  }
+
+  getRoutes(routeIds) {
+    return this.call('getRoutes', routeIds);
+  }
+
+  getStop(stopId) {
+    return this.call('getStop', stopId);
+  }
+
+  getStopOperators(stopIds) {
+    return this.call('getStopOperators', stopIds);
+  }
+
+  getRoutesByStop(stopId, ...options) {
+    return this.call('getRoutesByStop', stopId, ...options);
+  }
+
+  findStopGroupsNear(lat, lng, ...options) {
+    return this.call('findStopGroupsNear', lat, lng, ...options);
+  }
+
+  findNearestStopGroup(lat, lng, ...options) {
+    return this.call('findNearestStopGroup', lat, lng, ...options);
+  }
+
+  getStopGroup(stopId) {
+    return this.call('getStopGroup', stopId);
+  }
+
+  getRoutesByStopGroup(stopId, ...options) {
+    return this.call('getRoutesByStopGroup', stopId, ...options);
+  }
+
+  getRouteVariants(routeId) {
+    return this.call('getRouteVariants', routeId);
+  }
+
+  getReverseRoute(routeId) {
+    return this.call('getReverseRoute', routeId);
+  }
+
+  findCorridorsByRoute(routeId, ...options) {
+    return this.call('findCorridorsByRoute', routeId, ...options);
+  }
+
+  findCorridorsByStops(fromStopId, toStopId, ...options) {
+    return this.call('findCorridorsByStops', fromStopId, toStopId, ...options);
+  }
+
+  getStopsByRoute(routeId, ...options) {
+    return this.call('getStopsByRoute', routeId, ...options);
+  }
+
+  getDownstreamDestinations(stopId) {
+    return this.call('getDownstreamDestinations', stopId);
+  }
+
+  getEtaTargets(routeIds, stopId) {
+    return this.call('getEtaTargets', routeIds, stopId);
+  }
+
+  findDirectRoutes(fromStopId, toStopId, date) {
+    return this.call('findDirectRoutes', fromStopId, toStopId, date);
+  }
+
+  findStopsByName(query) {
+    return this.call('findStopsByName', query);
+  }
+
+  getRouteCategories(routeIds) {
+    return this.call('getRouteCategories', routeIds);
+  }
+
+  getRouteLoop(routeId) {
+    return this.call('getRouteLoop', routeId);
+  }
+
+  getStopDistance(routeId, fromIndex, toIndex) {
+    return this.call('getStopDistance', routeId, fromIndex, toIndex);
+  }
+
+  searchRouteByNumber(query) {
+    return this.call('searchRouteByNumber', query, i18n.userLocale);
+  }
+
+  searchStopByName(query) {
+    return this.call('searchStopByName', query, i18n.userLocale);
+  }
+
+  getRouteFare(routeId, fromIndex, toIndex, date) {
+    return this.call('getRouteFare', routeId, fromIndex, toIndex, date);
+  }
+
+  getRouteSchedules(routeIds, date, count) {
+    return this.call('getRouteSchedules', routeIds, date, count);
+  }
+
+  getStopArrivals(routeId, stopIndex, date, count) {
+    return this.call('getStopArrivals', routeId, stopIndex, date, count);
+  }
+
+  planJourney(origin, destination, options) {
+    return this.call('planJourney', origin, destination, options);
+  }
+
+  computeIsochrone(stopId, options) {
+    return this.call('computeIsochrone', stopId, options);
+  }
+
+  exportGtfs(options) {
+    return this.call('exportGtfs', options);
+  }
+}
+
+// Instantiate as singleton
+export const busService = new BusDataService();
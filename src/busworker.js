@@ -0,0 +1,41 @@
+/**
+  Web Worker entry for the hkbus dataset (see busservice.js):
+  - fetch, parse and index the dataset off the main thread
+  - answer HKBusData queries posted as { id, method, args }
+  - plus the dataset-wide modules built on it (see busqueries.js)
+  - reply with { id, result } or { id, error }
+  - after a background refresh, post { event: 'refreshed', result } with
+    the diff summary and changed route IDs
+ */
+
+import { hkbusData } from './busdata.js';
+import { setConfig } from './utils.js';
+import { queryHandlers } from './busqueries.js';
+
+hkbusData.onRefresh = (diff) => {
+  const { summary, changedRoutes } = diff;
+  self.postMessage({ event: 'refreshed', result: { summary, changedRoutes } });
+};
+
+self.addEventListener('message', async (event) => {
+  const { id, method, args = [] } = event.data || {};
+  try {
+    let result;
+    if (method === 'configure') {
+      // The worker has no window.APP_CONFIG, so config is handed over
+      setConfig(args[0]);
+    } else if (method === 'load' || method === 'refresh') {
+      // Never clone the whole dataset back, only report success
+      result = !!(await hkbusData[method](...args));
+    } else if (queryHandlers[method]) {
+      result = await queryHandlers[method](...args);
+    } else if (typeof hkbusData[method] === 'function') {
+      result = await hkbusData[method](...args);
+    } else {
+      throw new Error(`Unknown HKBusData method: ${method}`);
+    }
+    self.postMessage({ id, result });
+  } catch (error) {
+    self.postMessage({ id, error: error?.message || String(error) });
+  }
+});
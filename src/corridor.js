@@ -0,0 +1,275 @@
+/* eslint-disable no-undef */
+import { busService } from './busservice.js';
+import { routeState, getLocName, polylineOpacity } from './busroute.js';
+import { i18n } from './lion.js';
+import {
+  getMapCenter,
+  handleError,
+  setLoading,
+  escapeHTML,
+  screenWidthThreshold,
+} from './utils.js';
+import { isWithinBounds } from './region.js';
+
+// DOM Elements
+const infoSidebar = document.getElementById('info-sidebar');
+const infoTitleContent = document.getElementById('info-title-content');
+const infoContent = document.getElementById('info-content');
+
+const CORRIDOR_COLOR = '#1a73e8';
+const BRANCH_COLOR = '#f29900';
+
+const corridorState = {
+  fromStop: null,
+  polylines: [],
+  markers: [],
+  corridors: [],
+};
+let sidebarClickHandler = null;
+
+/**
+ * More-menu action: with a route shown, list the routes sharing stops
+ * with it. Otherwise the first call picks the stop nearest the map center
+ * as the start, the next call lists the routes from there to the stop
+ * nearest the (new) map center.
+ */
+export async function showCorridorFromMap() {
+  const map = window.mapInstance;
+  if (!map) return;
+
+  try {
+    setLoading(true);
+    if (!(await busService.load())) return;
+
+    if (routeState.activeId && !corridorState.fromStop) {
+      await showRouteCorridors(routeState.activeId);
+      return;
+    }
+
+    const center = getMapCenter(map);
+    if (!isWithinBounds(center)) {
+      handleError(i18n.t('errors.out_of_region'));
+      return;
+    }
+    const stop = await busService.findNearestStopGroup(center.lat, center.lng);
+    if (!stop) {
+      handleError(i18n.t('errors.no_results'));
+      return;
+    }
+
+    if (!corridorState.fromStop) {
+      clearCorridor();
+      corridorState.fromStop = stop;
+      renderHint(
+        i18n.t('corridor.from', { stop: getLocName(stop.name) }),
+        i18n.t('corridor.pick_destination')
+      );
+      return;
+    }
+
+    const fromStop = corridorState.fromStop;
+    corridorState.fromStop = null;
+    const corridors = await busService.findCorridorsByStops(
+      fromStop.id,
+      stop.id
+    );
+    const title = i18n.t('corridor.between', {
+      from: getLocName(fromStop.name),
+      to: getLocName(stop.name),
+    });
+    renderCorridorSidebar(title, corridors);
+    await drawCorridors(corridors);
+  } catch (error) {
+    console.error('Error finding corridors:', error);
+    handleError(i18n.t('errors.no_results'));
+  } finally {
+    setLoading(false);
+  }
+}
+
+async function showRouteCorridors(routeId) {
+  const [route, corridors] = await Promise.all([
+    busService.getRoute(routeId),
+    busService.findCorridorsByRoute(routeId),
+  ]);
+  if (!route) return;
+  const title = i18n.t('corridor.of_route', { route: route.route });
+  renderCorridorSidebar(title, corridors);
+  await drawCorridors(corridors);
+}
+
+function renderHint(title, hint) {
+  infoTitleContent.innerHTML = `
+    <div class="info-sidebar-header">
+      <div class="nearest-stop-sidebar-title">${escapeHTML(title)}</div>
+    </div>
+  `;
+  infoContent.innerHTML = `<div class="journey-hint">${hint}</div>`;
+  infoSidebar.classList.remove('hidden');
+}
+
+function renderBranches(corridor) {
+  const branches = [];
+  if (corridor.joinsFrom) {
+    branches.push(
+      i18n.t('corridor.joins_from', {
+        stop: escapeHTML(getLocName(corridor.joinsFrom.name)),
+      })
+    );
+  }
+  if (corridor.leavesTo) {
+    branches.push(
+      i18n.t('corridor.leaves_to', {
+        stop: escapeHTML(getLocName(corridor.leavesTo.name)),
+      })
+    );
+  }
+  return branches.length > 0
+    ? `<div class="corridor-branch">${branches.join(' · ')}</div>`
+    : '';
+}
+
+function renderCorridorSidebar(title, corridors) {
+  if (!infoSidebar) return;
+  corridorState.corridors = corridors || [];
+
+  if (corridorState.corridors.length === 0) {
+    renderHint(title, i18n.t('corridor.no_results'));
+    return;
+  }
+
+  infoTitleContent.innerHTML = `
+    <div class="info-sidebar-header">
+      <div class="nearest-stop-sidebar-title">${escapeHTML(title)}</div>
+    </div>
+  `;
+  infoContent.innerHTML = corridorState.corridors
+    .map((corridor, index) => {
+      const stops = corridor.stops;
+      const from = getLocName(stops[0].name);
+      const to = getLocName(stops[stops.length - 1].name);
+      return `
+        <div class="journey-item corridor-item" data-index="${index}">
+          <div class="info-sidebar-title">
+            ${escapeHTML(String(corridor.route))}
+            <span class="route-sidebar-company">
+              ${i18n.t('corridor.shared_stops', { count: stops.length })}
+            </span>
+          </div>
+          <div class="journey-leg">${escapeHTML(from)} ➔ ${escapeHTML(to)}</div>
+          ${renderBranches(corridor)}
+        </div>
+      `;
+    })
+    .join('');
+  infoSidebar.classList.remove('hidden');
+
+  if (sidebarClickHandler) {
+    infoContent.removeEventListener('click', sidebarClickHandler);
+  }
+  sidebarClickHandler = (event) => {
+    const item = event.target.closest('.corridor-item');
+    if (!item) return;
+    const corridor = corridorState.corridors[Number(item.dataset.index)];
+    if (!corridor) return;
+
+    const current = infoContent.querySelector('.corridor-item.nearest-stop');
+    if (current) current.classList.remove('nearest-stop');
+    item.classList.add('nearest-stop');
+    drawCorridors([corridor]);
+  };
+  infoContent.addEventListener('click', sidebarClickHandler);
+}
+
+function branchIcon(corridor) {
+  const icon = document.createElement('div');
+  icon.className = 'corridor-branch-marker';
+  icon.textContent = corridor.route;
+  return icon;
+}
+
+/**
+ * Draw the shared stretch of each corridor, plus where each route joins
+ * and leaves it (a short line to its stop before / after, and a label).
+ */
+async function drawCorridors(corridors) {
+  const map = window.mapInstance;
+  if (!map) return;
+  clearCorridorOverlays();
+  if (corridors.length === 0) return;
+
+  const { Polyline } = await google.maps.importLibrary('maps');
+  const { AdvancedMarkerElement } = await google.maps.importLibrary('marker');
+  const { LatLngBounds } = await google.maps.importLibrary('core');
+  const bounds = new LatLngBounds();
+  const addLine = (path, color, weight) =>
+    corridorState.polylines.push(
+      new Polyline({
+        path,
+        geodesic: true,
+        strokeColor: color,
+        strokeOpacity: polylineOpacity,
+        strokeWeight: weight,
+        map,
+      })
+    );
+
+  for (const corridor of corridors) {
+    const path = corridor.stops
+      .filter((stop) => stop.location)
+      .map((stop) => stop.location);
+    if (path.length === 0) continue;
+    path.forEach((point) => bounds.extend(point));
+    addLine(path, CORRIDOR_COLOR, 6);
+
+    const first = path[0];
+    const last = path[path.length - 1];
+    if (corridor.joinsFrom?.location) {
+      addLine([corridor.joinsFrom.location, first], BRANCH_COLOR, 2);
+    }
+    if (corridor.leavesTo?.location) {
+      addLine([last, corridor.leavesTo.location], BRANCH_COLOR, 2);
+      corridorState.markers.push(
+        new AdvancedMarkerElement({
+          map,
+          position: last,
+          content: branchIcon(corridor),
+          title: i18n.t('corridor.leaves_to', {
+            stop: getLocName(corridor.leavesTo.name),
+          }),
+          zIndex: 110,
+        })
+      );
+    }
+  }
+
+  const padding = { top: 50, bottom: 50, left: 50, right: 100 };
+  if (
+    window.innerWidth > screenWidthThreshold &&
+    !infoSidebar.classList.contains('hidden')
+  ) {
+    padding.left += infoSidebar.offsetWidth;
+  }
+  routeState.programmaticPan = true; // Keep the corridor list in place
+  map.fitBounds(bounds, padding);
+}
+
+function clearCorridorOverlays() {
+  corridorState.polylines.forEach((poly) => poly.setMap(null));
+  corridorState.polylines = [];
+  corridorState.markers.forEach((marker) => (marker.map = null));
+  corridorState.markers = [];
+}
+
+/**
+ * Remove the corridor lines, branch markers, start stop and sidebar handler.
+ */
+export function clearCorridor() {
+  clearCorridorOverlays();
+  corridorState.fromStop = null;
+  corridorState.corridors = [];
+  if (sidebarClickHandler) {
+    infoContent.removeEventListener('click', sidebarClickHandler);
+    sidebarClickHandler = null;
+  }
+}
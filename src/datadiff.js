@@ -0,0 +1,166 @@
+/**
+ * Diff of two routeFareList snapshots (see hkbus.md), for dataset updates.
+ * • Routes: added, removed, re-sequenced stops, fare and timetable changes
+ * • Stops: added, removed, moved coordinates and renamed
+ * • changedRoutes: route IDs touched by any of the above, e.g. to tell
+ *   users which of their recently viewed routes changed
+ *
+ * Node.js CLI usage:
+ *   node src/datadiff.js old.json new.json
+ */
+
+import { distance_km } from './utils.js';
+
+const isNode = typeof process !== 'undefined' && process.versions?.node;
+const MOVED_STOP_M = 20; // smaller moves are coordinate noise
+
+function same(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+function diffRoutes(oldRoutes, newRoutes) {
+  const routes = {
+    added: [],
+    removed: [],
+    resequenced: [],
+    fares: [],
+    timetable: [],
+  };
+  for (const id of Object.keys(newRoutes)) {
+    if (!oldRoutes[id]) routes.added.push(id);
+  }
+  for (const [id, before] of Object.entries(oldRoutes)) {
+    const after = newRoutes[id];
+    if (!after) {
+      routes.removed.push(id);
+      continue;
+    }
+    const companies = new Set([
+      ...Object.keys(before.stops || {}),
+      ...Object.keys(after.stops || {}),
+    ]);
+    for (const company of companies) {
+      if (!same(before.stops?.[company], after.stops?.[company])) {
+        routes.resequenced.push({ routeId: id, company });
+      }
+    }
+    if (
+      !same(before.fares, after.fares) ||
+      !same(before.faresHoliday, after.faresHoliday)
+    ) {
+      routes.fares.push(id);
+    }
+    if (!same(before.freq, after.freq) || !same(before.jt, after.jt)) {
+      routes.timetable.push(id);
+    }
+  }
+  return routes;
+}
+
+function diffStops(oldStops, newStops, movedMeters) {
+  const stops = { added: [], removed: [], moved: [], renamed: [] };
+  for (const id of Object.keys(newStops)) {
+    if (!oldStops[id]) stops.added.push(id);
+  }
+  for (const [id, before] of Object.entries(oldStops)) {
+    const after = newStops[id];
+    if (!after) {
+      stops.removed.push(id);
+      continue;
+    }
+    const from = before.location;
+    const to = after.location;
+    if (from && to) {
+      const meters = distance_km(from.lat, from.lng, to.lat, to.lng) * 1000;
+      if (meters > movedMeters) {
+        stops.moved.push({ stopId: id, meters: Math.round(meters) });
+      }
+    }
+    if (!same(before.name, after.name)) {
+      stops.renamed.push({ stopId: id, from: before.name, to: after.name });
+    }
+  }
+  return stops;
+}
+
+/**
+ * Compare two parsed snapshots. Returns
+ * { summary, routes: { added, removed, resequenced, fares, timetable },
+ *   stops: { added, removed, moved, renamed }, changedRoutes }.
+ */
+export function diffDatasets(oldData, newData, options = {}) {
+  const { movedMeters = MOVED_STOP_M } = options;
+  const newRoutes = newData?.routeList || {};
+  const routes = diffRoutes(oldData?.routeList || {}, newRoutes);
+  const stops = diffStops(
+    oldData?.stopList || {},
+    newData?.stopList || {},
+    movedMeters
+  );
+
+  // Routes changed themselves, or serving a moved or renamed stop
+  const changed = new Set([
+    ...routes.removed,
+    ...routes.resequenced.map((item) => item.routeId),
+    ...routes.fares,
+    ...routes.timetable,
+  ]);
+  const touchedStops = new Set([
+    ...stops.moved.map((item) => item.stopId),
+    ...stops.renamed.map((item) => item.stopId),
+  ]);
+  if (touchedStops.size > 0) {
+    for (const [id, route] of Object.entries(newRoutes)) {
+      const stopIds = Object.values(route.stops || {}).flat();
+      if (stopIds.some((stopId) => touchedStops.has(stopId))) changed.add(id);
+    }
+  }
+
+  const count = (group) =>
+    Object.fromEntries(
+      Object.entries(group).map(([key, list]) => [key, list.length])
+    );
+  return {
+    summary: {
+      routes: count(routes),
+      stops: count(stops),
+      changedRoutes: changed.size,
+    },
+    routes,
+    stops,
+    changedRoutes: [...changed],
+  };
+}
+
+async function main() {
+  const args = process.argv.slice(2).filter((arg) => !arg.startsWith('-'));
+  if (args.length !== 2 || process.argv.includes('--help')) {
+    console.log(`
+Diff two hkbus dataset snapshots, printing a JSON report:
+Usage: node src/datadiff.js old.json new.json
+    `);
+    process.exit(args.length === 2 ? 0 : 1);
+  }
+
+  const fs = await import('fs');
+  const datasets = [];
+  for (const file of args) {
+    try {
+      datasets.push(JSON.parse(fs.readFileSync(file, 'utf-8')));
+    } catch (error) {
+      const issue = {
+        code: 'unreadable_dataset',
+        file,
+        message: error.message,
+      };
+      console.log(JSON.stringify({ error: issue }, null, 2));
+      process.exit(1);
+    }
+  }
+  console.log(JSON.stringify(diffDatasets(...datasets), null, 2));
+}
+
+// Node.js equivalent of if __name__ == "__main__":
+if (isNode && process.argv[1]?.endsWith('datadiff.js')) {
+  main();
+}
@@ -0,0 +1,277 @@
+/* eslint-disable no-undef */
+import { busService } from './busservice.js';
+import { routeState, getLocName, polylineOpacity } from './busroute.js';
+import { i18n } from './lion.js';
+import {
+  getMapCenter,
+  handleError,
+  setLoading,
+  escapeHTML,
+  screenWidthThreshold,
+} from './utils.js';
+import { isWithinBounds } from './region.js';
+
+// DOM Elements
+const infoSidebar = document.getElementById('info-sidebar');
+const infoTitleContent = document.getElementById('info-title-content');
+const infoContent = document.getElementById('info-content');
+
+const RIDE_COLOR = '#1a73e8';
+
+const directState = {
+  from: null,
+  to: null,
+  rides: [],
+  polylines: [],
+  markers: [],
+};
+let sidebarClickHandler = null;
+
+/**
+ * More-menu action: one-seat rides between two stops. The first call picks
+ * the stop nearest the map center as the origin, the next call the stop
+ * nearest the (new) map center as the destination. Either stop can also
+ * be typed by name in the sidebar.
+ */
+export async function showDirectRoutesFromMap() {
+  const map = window.mapInstance;
+  if (!map) return;
+
+  const center = getMapCenter(map);
+  if (!isWithinBounds(center)) {
+    handleError(i18n.t('errors.out_of_region'));
+    return;
+  }
+  try {
+    setLoading(true);
+    if (!(await busService.load())) return;
+    const stop = await busService.findNearestStopGroup(center.lat, center.lng);
+    if (!stop) {
+      handleError(i18n.t('errors.no_results'));
+      return;
+    }
+
+    if (!directState.from || directState.to) {
+      clearDirectRoutes();
+      directState.from = stop;
+      renderDirectSidebar(i18n.t('direct.pick_destination'));
+      return;
+    }
+    directState.to = stop;
+    await showDirectRoutes();
+  } catch (error) {
+    console.error('Error finding direct routes:', error);
+    handleError(i18n.t('errors.no_results'));
+  } finally {
+    setLoading(false);
+  }
+}
+
+async function showDirectRoutes() {
+  const { from, to } = directState;
+  const rides = (await busService.findDirectRoutes(from.id, to.id)) || [];
+  // Skip if cleared or other stops were picked meanwhile
+  if (directState.from !== from || directState.to !== to) return;
+  directState.rides = rides;
+  renderDirectSidebar();
+  await drawRides(directState.rides);
+}
+
+// The stop a name input refers to: the picked one while its name is
+// unchanged, else the best name match
+async function resolveStop(input, picked) {
+  const query = input.value.trim();
+  if (!query) return null;
+  if (picked && query === getLocName(picked.name)) return picked;
+  const [stop] = await busService.findStopsByName(query);
+  return stop || null;
+}
+
+function renderStopInput(key, stop) {
+  const value = stop ? escapeHTML(getLocName(stop.name)) : '';
+  return `
+    <input type="search" class="direct-stop-input" data-key="${key}"
+      value="${value}" placeholder="${i18n.t(`direct.${key}`)}" />
+  `;
+}
+
+function renderRide(ride, index) {
+  const details = [
+    i18n.t('journey.stops', { count: ride.stopCount }),
+    i18n.t('journey.minutes', { count: ride.minutes }),
+    ride.fare != null ? `$${ride.fare}` : i18n.t('fare.unknown'),
+  ];
+  return `
+    <div class="journey-item direct-item" data-index="${index}">
+      <div class="info-sidebar-title">
+        <span class="route-pill ${escapeHTML(ride.co)}">${escapeHTML(String(ride.route))}</span>
+        <span class="route-sidebar-company">
+          ${escapeHTML(getLocName(ride.orig))} ➔ ${escapeHTML(getLocName(ride.dest))}
+        </span>
+      </div>
+      <div class="journey-leg">${details.join(' · ')}</div>
+    </div>
+  `;
+}
+
+/**
+ * The origin / destination form, then the rides found (or `hint`).
+ */
+function renderDirectSidebar(hint = null) {
+  if (!infoSidebar) return;
+  const { from, to, rides } = directState;
+
+  infoTitleContent.innerHTML = `
+    <div class="info-sidebar-header">
+      <div class="nearest-stop-sidebar-title">${i18n.t('direct.title')}</div>
+      <form class="direct-form">
+        ${renderStopInput('from', from)}
+        ${renderStopInput('to', to)}
+        <button type="submit" class="direct-find">${i18n.t('direct.find')}</button>
+      </form>
+      ${
+        from && to
+          ? `<div class="route-sidebar-details">${i18n.t('direct.count', { count: rides.length })}</div>`
+          : ''
+      }
+    </div>
+  `;
+  if (hint) {
+    infoContent.innerHTML = `<div class="journey-hint">${hint}</div>`;
+  } else if (rides.length === 0) {
+    infoContent.innerHTML = `<div class="journey-hint">${i18n.t('direct.no_results')}</div>`;
+  } else {
+    infoContent.innerHTML = rides.map(renderRide).join('');
+  }
+  infoSidebar.classList.remove('hidden');
+
+  // Header controls are re-rendered with the header, no cleanup needed
+  const form = infoTitleContent.querySelector('.direct-form');
+  form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const [fromInput, toInput] = form.querySelectorAll('.direct-stop-input');
+    try {
+      setLoading(true);
+      const [fromStop, toStop] = await Promise.all([
+        resolveStop(fromInput, directState.from),
+        resolveStop(toInput, directState.to),
+      ]);
+      if (!fromStop || !toStop) {
+        handleError(i18n.t('direct.unknown_stop'));
+        return;
+      }
+      clearDirectOverlays();
+      directState.from = fromStop;
+      directState.to = toStop;
+      await showDirectRoutes();
+    } catch (error) {
+      console.error('Error finding direct routes:', error);
+      handleError(i18n.t('errors.no_results'));
+    } finally {
+      setLoading(false);
+    }
+  });
+
+  if (sidebarClickHandler) {
+    infoContent.removeEventListener('click', sidebarClickHandler);
+  }
+  sidebarClickHandler = (event) => {
+    const item = event.target.closest('.direct-item');
+    if (!item) return;
+    const ride = directState.rides[Number(item.dataset.index)];
+    if (!ride) return;
+
+    const current = infoContent.querySelector('.direct-item.nearest-stop');
+    if (current) current.classList.remove('nearest-stop');
+    item.classList.add('nearest-stop');
+    drawRides([ride]);
+  };
+  infoContent.addEventListener('click', sidebarClickHandler);
+}
+
+function endpointIcon(className) {
+  const icon = document.createElement('div');
+  icon.className = className;
+  return icon;
+}
+
+/**
+ * Draw the ridden stretch of each ride, with the two stops marked.
+ */
+async function drawRides(rides) {
+  const map = window.mapInstance;
+  if (!map) return;
+  clearDirectOverlays();
+
+  const { Polyline } = await google.maps.importLibrary('maps');
+  const { AdvancedMarkerElement } = await google.maps.importLibrary('marker');
+  const { LatLngBounds } = await google.maps.importLibrary('core');
+  const bounds = new LatLngBounds();
+
+  for (const ride of rides) {
+    const path = ride.stops
+      .filter((stop) => stop.location)
+      .map((stop) => stop.location);
+    path.forEach((point) => bounds.extend(point));
+    directState.polylines.push(
+      new Polyline({
+        path,
+        geodesic: true,
+        strokeColor: RIDE_COLOR,
+        strokeOpacity: polylineOpacity,
+        strokeWeight: 5,
+        map,
+      })
+    );
+  }
+
+  const { from, to } = directState;
+  for (const [stop, className] of [
+    [from, 'journey-marker-origin'],
+    [to, 'direct-marker-destination'],
+  ]) {
+    if (!stop?.location) continue;
+    bounds.extend(stop.location);
+    directState.markers.push(
+      new AdvancedMarkerElement({
+        map,
+        position: stop.location,
+        content: endpointIcon(className),
+        title: getLocName(stop.name),
+        zIndex: 110,
+      })
+    );
+  }
+  if (bounds.isEmpty()) return;
+
+  const padding = { top: 50, bottom: 50, left: 50, right: 100 };
+  if (
+    window.innerWidth > screenWidthThreshold &&
+    !infoSidebar.classList.contains('hidden')
+  ) {
+    padding.left += infoSidebar.offsetWidth;
+  }
+  routeState.programmaticPan = true; // Keep the ride list in place
+  map.fitBounds(bounds, padding);
+}
+
+function clearDirectOverlays() {
+  directState.polylines.forEach((poly) => poly.setMap(null));
+  directState.polylines = [];
+  directState.markers.forEach((marker) => (marker.map = null));
+  directState.markers = [];
+}
+
+/**
+ * Remove the ride lines, stop markers, picked stops and sidebar handler.
+ */
+export function clearDirectRoutes() {
+  clearDirectOverlays();
+  directState.from = null;
+  directState.to = null;
+  directState.rides = [];
+  if (sidebarClickHandler) {
+    infoContent.removeEventListener('click', sidebarClickHandler);
+    sidebarClickHandler = null;
+  }
+}
@@ -0,0 +1,145 @@
+/**
+  Live ETAs from operator endpoints, behind one provider interface:
+  - a provider builds the request URL of a target (see getEtaTargets in
+    busdata.js) and normalises the payload into ETA records
+  - targets with the same URL share a request, so a stop-wide endpoint
+    (KMB) answers every route at a stop at once
+  - base URLs come from config `eta_base_urls` ({ company: url }), e.g. a
+    local mock server (see etamock.js); a null URL turns an operator off
+  Records are { co, route, bound, serviceType, seq, dest, eta, remark },
+  eta an ISO time (null when no bus is due) and dest / remark { en, zh }.
+ */
+
+/**
+ * Normalise the payload shared by the KMB and Citybus ETA APIs:
+ * { data: [{ co, route, dir, service_type, seq, dest_en, dest_tc, eta,
+ * rmk_en, rmk_tc }] }.
+ */
+export function normaliseOperatorEtas(payload) {
+  const items = Array.isArray(payload?.data) ? payload.data : [];
+  return items.map((item) => ({
+    co: String(item.co || '').toLowerCase(),
+    route: String(item.route),
+    bound: item.dir || null,
+    serviceType: item.service_type ? Number(item.service_type) : null,
+    seq: item.seq ? Number(item.seq) : null,
+    dest: { en: item.dest_en || '', zh: item.dest_tc || '' },
+    eta: item.eta || null,
+    remark: { en: item.rmk_en || '', zh: item.rmk_tc || '' },
+  }));
+}
+
+const encode = encodeURIComponent;
+
+export const ETA_PROVIDERS = {
+  kmb: {
+    baseUrl: 'https://data.etabus.gov.hk/v1/transport/kmb',
+    url: (base, target) => `${base}/stop-eta/${encode(target.stopId)}`,
+    normalise: normaliseOperatorEtas,
+  },
+  ctb: {
+    baseUrl: 'https://rt.data.gov.hk/v2/transport/citybus',
+    url: (base, target) =>
+      `${base}/eta/CTB/${encode(target.stopId)}/${encode(target.route)}`,
+    normalise: normaliseOperatorEtas,
+  },
+};
+
+/**
+ * Add or replace the provider of an operator:
+ * { baseUrl, url(base, target), normalise(payload) }.
+ */
+export function registerEtaProvider(co, provider) {
+  ETA_PROVIDERS[co] = provider;
+}
+
+/**
+ * Request URL of a target, or null if its operator has no provider or
+ * its base URL is turned off.
+ */
+export function getEtaUrl(target, baseUrls = {}) {
+  const provider = ETA_PROVIDERS[target.co];
+  if (!provider) return null;
+  const base =
+    baseUrls?.[target.co] !== undefined
+      ? baseUrls[target.co]
+      : provider.baseUrl;
+  return base ? provider.url(base.replace(/\/+$/, ''), target) : null;
+}
+
+/**
+ * The records of a payload that belong to a target: same route number,
+ * and same direction and service type where the operator gives them.
+ */
+export function matchEtas(records, target) {
+  return records.filter(
+    (record) =>
+      record.eta &&
+      record.route.toUpperCase() === target.route.toUpperCase() &&
+      (!record.bound || !target.bound || target.bound.includes(record.bound)) &&
+      (!record.serviceType ||
+        !target.serviceType ||
+        record.serviceType === target.serviceType)
+  );
+}
+
+/**
+ * Whole minutes from `now` (ms) until an ETA, 0 when due, null when
+ * unknown or more than a minute past.
+ */
+export function minutesUntil(eta, now = Date.now()) {
+  const time = Date.parse(eta);
+  if (!Number.isFinite(time) || time < now - 60000) return null;
+  return Math.max(0, Math.round((time - now) / 60000));
+}
+
+/**
+ * Fetch and normalise the ETA records of one request URL of an operator.
+ * Throws when the request fails.
+ */
+export async function requestEtas(url, co, fetchImpl = fetch) {
+  const response = await fetchImpl(url, {
+    headers: { Accept: 'application/json' },
+  });
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  return ETA_PROVIDERS[co].normalise(await response.json());
+}
+
+/**
+ * Fetch the live ETAs of targets, one request per distinct URL, made by
+ * `request(url, co)` (requestEtas by default; see etascheduler.js for a
+ * cached one). Returns { routeId: [record] } in arrival order; operators
+ * that fail are logged and left out.
+ */
+export async function fetchEtas(targets, options = {}) {
+  const {
+    baseUrls = {},
+    fetchImpl = fetch,
+    request = (url, co) => requestEtas(url, co, fetchImpl),
+  } = options;
+  const requests = new Map();
+  for (const target of targets) {
+    const url = getEtaUrl(target, baseUrls);
+    if (!url) continue;
+    if (!requests.has(url)) requests.set(url, []);
+    requests.get(url).push(target);
+  }
+
+  const etas = {};
+  await Promise.all(
+    [...requests].map(async ([url, list]) => {
+      try {
+        const records = await request(url, list[0].co);
+        for (const target of list) {
+          (etas[target.routeId] ||= []).push(...matchEtas(records, target));
+        }
+      } catch (error) {
+        console.warn(`Live ETA request failed: ${url}`, error);
+      }
+    })
+  );
+  for (const records of Object.values(etas)) {
+    records.sort((a, b) => Date.parse(a.eta) - Date.parse(b.eta));
+  }
+  return etas;
+}
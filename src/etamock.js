@@ -0,0 +1,169 @@
+/**
+  Local ETA mock server: replays recorded operator ETA payloads so the live
+  ETA layer (see eta.js) runs without the operator APIs.
+  - GET /{company}/{path}: the payload recorded for that path, else an
+    empty one ({ data: [] }); point config `eta_base_urls` at
+    http://localhost:{port}/{company}
+  - times in a payload are shifted so the recording looks taken just now
+  - --record fetches paths not recorded yet from the operator's real base
+    URL and saves them to the recordings file
+  Recordings: { "/kmb/stop-eta/ID": { recordedAt: ISO time, payload } }.
+ */
+
+import { ETA_PROVIDERS } from './eta.js';
+
+const isNode = typeof process !== 'undefined' && process.versions?.node;
+const DEFAULT_PORT = 8787;
+const DEFAULT_RECORDINGS = 'eta-recordings.json';
+const TIME_FIELDS = ['eta', 'data_timestamp', 'generated_timestamp'];
+
+// Used when there is no recordings file: one stop of each operator
+const SAMPLE_RECORDED_AT = '2026-01-05T08:00:00+08:00';
+const sampleEta = (co, route, dir, seq, dest, minutes) => ({
+  co,
+  route,
+  dir,
+  service_type: 1,
+  seq,
+  dest_en: dest.en,
+  dest_tc: dest.zh,
+  eta_seq: 1,
+  eta: new Date(Date.parse(SAMPLE_RECORDED_AT) + minutes * 60000).toISOString(),
+  rmk_en: '',
+  rmk_tc: '',
+  data_timestamp: SAMPLE_RECORDED_AT,
+});
+export const SAMPLE_RECORDINGS = {
+  '/kmb/stop-eta/CBF110E4B3E23071': {
+    recordedAt: SAMPLE_RECORDED_AT,
+    payload: {
+      type: 'StopETA',
+      generated_timestamp: SAMPLE_RECORDED_AT,
+      data: [
+        sampleEta('KMB', '1', 'O', 5, { en: 'CHUK YUEN', zh: '竹園' }, 3),
+        sampleEta('KMB', '1', 'O', 5, { en: 'CHUK YUEN', zh: '竹園' }, 11),
+        sampleEta('KMB', '2', 'O', 4, { en: 'SO UK', zh: '蘇屋' }, 6),
+      ],
+    },
+  },
+  '/ctb/eta/CTB/001566/5B': {
+    recordedAt: SAMPLE_RECORDED_AT,
+    payload: {
+      type: 'ETA',
+      generated_timestamp: SAMPLE_RECORDED_AT,
+      data: [
+        sampleEta('CTB', '5B', 'O', 3, { en: 'Causeway Bay', zh: '銅鑼灣' }, 4),
+      ],
+    },
+  },
+};
+
+/**
+ * A copy of a recorded payload with its times (eta, data_timestamp,
+ * generated_timestamp, at any depth) moved on by `offsetMs`.
+ */
+export function shiftPayloadTimes(payload, offsetMs) {
+  if (Array.isArray(payload)) {
+    return payload.map((item) => shiftPayloadTimes(item, offsetMs));
+  }
+  if (!payload || typeof payload !== 'object') return payload;
+  return Object.fromEntries(
+    Object.entries(payload).map(([key, value]) => {
+      const time = TIME_FIELDS.includes(key) ? Date.parse(value) : NaN;
+      if (Number.isFinite(time)) {
+        return [key, new Date(time + offsetMs).toISOString()];
+      }
+      return [key, shiftPayloadTimes(value, offsetMs)];
+    })
+  );
+}
+
+/**
+ * The payload to answer a request path with, replayed as if recorded at
+ * `now`: the recording of the path (query string ignored), else empty.
+ */
+export function replayRecording(recordings, path, now = Date.now()) {
+  const recording = recordings[path.split('?')[0]];
+  if (!recording) return { data: [] };
+  const recordedAt = Date.parse(recording.recordedAt);
+  const offset = Number.isFinite(recordedAt) ? now - recordedAt : 0;
+  return shiftPayloadTimes(recording.payload, offset);
+}
+
+// Fetch a path from the operator's real endpoint: /kmb/... -> kmb base URL
+async function recordPath(recordings, path) {
+  const [, co, ...rest] = path.split('?')[0].split('/');
+  const provider = ETA_PROVIDERS[co];
+  if (!provider) return false;
+  const response = await fetch(`${provider.baseUrl}/${rest.join('/')}`, {
+    headers: { Accept: 'application/json' },
+  });
+  if (!response.ok) return false;
+  recordings[path.split('?')[0]] = {
+    recordedAt: new Date().toISOString(),
+    payload: await response.json(),
+  };
+  return true;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
+Local ETA mock server, replaying recorded operator ETA payloads:
+Usage: node src/etamock.js [recordings] [--port ${DEFAULT_PORT}] [--record]
+
+  recordings  Path to the recordings JSON (default ${DEFAULT_RECORDINGS};
+              built-in samples when missing)
+  --port      Port to listen on
+  --record    Fetch unrecorded paths from the operators and save them
+  --help, -h  Show this help message
+    `);
+    process.exit(0);
+  }
+
+  const fs = await import('fs');
+  const http = await import('http');
+  const portIndex = args.indexOf('--port');
+  const port = portIndex >= 0 ? Number(args[portIndex + 1]) : DEFAULT_PORT;
+  const record = args.includes('--record');
+  const [file = DEFAULT_RECORDINGS] = args.filter(
+    (arg, i) => !arg.startsWith('-') && args[i - 1] !== '--port'
+  );
+  const recordings = fs.existsSync(file)
+    ? JSON.parse(fs.readFileSync(file, 'utf-8'))
+    : { ...SAMPLE_RECORDINGS };
+
+  const server = http.createServer(async (request, response) => {
+    response.setHeader('Access-Control-Allow-Origin', '*');
+    response.setHeader('Content-Type', 'application/json; charset=utf-8');
+    if (request.method === 'OPTIONS') {
+      response.end();
+      return;
+    }
+    const path = request.url || '/';
+    try {
+      if (record && !recordings[path.split('?')[0]]) {
+        if (await recordPath(recordings, path)) {
+          fs.writeFileSync(file, JSON.stringify(recordings, null, 2));
+          console.log(`Recorded ${path}`);
+        }
+      }
+      response.end(JSON.stringify(replayRecording(recordings, path)));
+    } catch (error) {
+      console.error(`Error serving ${path}:`, error);
+      response.statusCode = 502;
+      response.end(JSON.stringify({ data: [] }));
+    }
+  });
+  server.listen(port, () => {
+    console.log(
+      `ETA mock server on http://localhost:${port} (${Object.keys(recordings).length} recordings)`
+    );
+  });
+}
+
+// Node.js equivalent of if __name__ == "__main__":
+if (isNode && process.argv[1]?.endsWith('etamock.js')) {
+  main();
+}
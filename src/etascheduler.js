@@ -0,0 +1,185 @@
+/**
+  Live ETA polling scheduler: keeps the ETAs on screen fresh without one
+  request per route on every refresh.
+  - subscriptions watch ETA targets at a stop (see getEtaTargets in
+    busdata.js); only stops marked visible (stop markers on the map and the
+    active route) are polled, every POLL_INTERVAL_MS
+  - responses are cached per request URL, i.e. per operator and stop (plus
+    route for per-route endpoints), for CACHE_TTL_MS
+  - concurrent requests for one URL share one fetch
+  - an operator that fails is left alone for a backoff doubling from
+    BACKOFF_MS to MAX_BACKOFF_MS (serving its last cached ETAs meanwhile),
+    reset by its next success
+  - polling pauses while the tab is hidden and catches up on return
+ */
+
+import { fetchEtas, getEtaUrl, requestEtas } from './eta.js';
+
+const POLL_INTERVAL_MS = 30000;
+const CACHE_TTL_MS = 20000;
+const BACKOFF_MS = 30000;
+const MAX_BACKOFF_MS = 5 * 60000;
+
+export class EtaScheduler {
+  constructor(options = {}) {
+    this.fetchImpl = options.fetchImpl || ((...args) => fetch(...args));
+    this.now = options.now || Date.now;
+    this.baseUrls = {};
+    // url -> { time, records }
+    this.cache = new Map();
+    // url -> pending request promise
+    this.pending = new Map();
+    // co -> { delay, until }
+    this.backoff = new Map();
+    // key -> { stopId, targets, onUpdate }
+    this.subscriptions = new Map();
+    this.visibleStops = new Set();
+    this.paused = false;
+    this.timer = null;
+
+    if (typeof document !== 'undefined') {
+      document.addEventListener('visibilitychange', () =>
+        this.setPaused(document.hidden)
+      );
+    }
+  }
+
+  // Operator base URLs, from config `eta_base_urls` (see eta.js)
+  setBaseUrls(baseUrls) {
+    this.baseUrls = baseUrls || {};
+  }
+
+  isBackingOff(co) {
+    return this.now() < (this.backoff.get(co)?.until ?? 0);
+  }
+
+  /**
+   * The ETA records of a request URL: cached if fresh, else fetched, with
+   * concurrent calls sharing the fetch. While the operator backs off,
+   * the last cached records (however old) or an error.
+   */
+  request(url, co) {
+    const cached = this.cache.get(url);
+    if (cached && this.now() - cached.time < CACHE_TTL_MS) {
+      return Promise.resolve(cached.records);
+    }
+    if (this.pending.has(url)) return this.pending.get(url);
+    if (this.isBackingOff(co)) {
+      return cached
+        ? Promise.resolve(cached.records)
+        : Promise.reject(new Error(`${co} ETA backing off`));
+    }
+
+    const promise = requestEtas(url, co, this.fetchImpl)
+      .then((records) => {
+        this.cache.set(url, { time: this.now(), records });
+        this.backoff.delete(co);
+        return records;
+      })
+      .catch((error) => {
+        // Requests that were already under way fail once for the operator
+        if (this.isBackingOff(co)) throw error;
+        const delay = Math.min(
+          (this.backoff.get(co)?.delay ?? BACKOFF_MS / 2) * 2,
+          MAX_BACKOFF_MS
+        );
+        this.backoff.set(co, { delay, until: this.now() + delay });
+        throw error;
+      })
+      .finally(() => this.pending.delete(url));
+    this.pending.set(url, promise);
+    return promise;
+  }
+
+  /**
+   * Live ETAs of targets through the cache, { routeId: [record] } as from
+   * fetchEtas. Targets of an operator backing off without cached ETAs are
+   * skipped.
+   */
+  getEtas(targets) {
+    const wanted = targets.filter(
+      (target) =>
+        !this.isBackingOff(target.co) ||
+        this.cache.has(getEtaUrl(target, this.baseUrls))
+    );
+    return fetchEtas(wanted, {
+      baseUrls: this.baseUrls,
+      request: (url, co) => this.request(url, co),
+    });
+  }
+
+  /**
+   * Stops whose subscriptions are polled: the visible stop markers and the
+   * stops of the active route.
+   */
+  setVisibleStops(stopIds) {
+    this.visibleStops = new Set(stopIds);
+  }
+
+  /**
+   * Poll the ETAs of targets at a stop under `key` (replacing an earlier
+   * subscription of that key), calling onUpdate(etas) now and after each
+   * poll while the stop is visible.
+   */
+  watch(key, stopId, targets, onUpdate) {
+    const subscription = { stopId, targets, onUpdate };
+    this.subscriptions.set(key, subscription);
+    this.pollSubscription(key, subscription);
+    this.schedule();
+  }
+
+  unwatch(key) {
+    this.subscriptions.delete(key);
+    if (this.subscriptions.size === 0) this.stop();
+  }
+
+  async pollSubscription(key, subscription) {
+    if (!this.visibleStops.has(subscription.stopId)) return;
+    const etas = await this.getEtas(subscription.targets);
+    // Skip if unwatched or replaced meanwhile
+    if (this.subscriptions.get(key) !== subscription) return;
+    subscription.onUpdate(etas);
+  }
+
+  /**
+   * Poll every subscription once; their shared requests are made once.
+   */
+  async poll() {
+    if (this.paused) return;
+    await Promise.all(
+      [...this.subscriptions].map(([key, subscription]) =>
+        this.pollSubscription(key, subscription)
+      )
+    );
+  }
+
+  schedule() {
+    if (this.timer || this.paused || this.subscriptions.size === 0) return;
+    this.timer = setTimeout(async () => {
+      this.timer = null;
+      await this.poll();
+      this.schedule();
+    }, POLL_INTERVAL_MS);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Pause polling (tab hidden), or resume it with a poll right away.
+   */
+  setPaused(paused) {
+    if (this.paused === paused) return;
+    this.paused = paused;
+    if (paused) {
+      this.stop();
+      return;
+    }
+    this.poll();
+    this.schedule();
+  }
+}
+
+export const etaScheduler = new EtaScheduler();
@@ -0,0 +1,65 @@
+/**
+  Section fares from the route `fares` / `faresHoliday` arrays:
+  - fares[i] is the fare when boarding at stop index i (to any later stop)
+  - holiday fares apply on Sundays and on `public_holidays` in config.json,
+    a fixed list to be extended every year (warned about once it runs out)
+  - a route with `fares: null` has an unknown fare (null)
+ */
+
+import { getConfig, getLocalDateParts } from './utils.js';
+
+const warnedYears = new Set();
+
+/**
+ * Whether holiday fares apply on a date: a Sunday or a listed holiday
+ * (YYYY-MM-DD), both taken in Hong Kong local time.
+ */
+export function isFareHoliday(date = new Date(), holidays = []) {
+  const local = getLocalDateParts(date);
+  const year = local.date.slice(0, 4);
+  if (!holidays.some((day) => day.startsWith(year)) && !warnedYears.has(year)) {
+    warnedYears.add(year);
+    console.warn(`public_holidays in config.json has no dates in ${year}`);
+  }
+  return local.weekday === 0 || holidays.includes(local.date);
+}
+
+/**
+ * The fare array in effect, falling back to regular fares when a route
+ * has no separate holiday fares. Returns null if fares are unknown.
+ */
+export function getFareTable(route, holiday = false) {
+  if (!route) return null;
+  const table =
+    holiday && route.faresHoliday ? route.faresHoliday : route.fares;
+  return Array.isArray(table) && table.length > 0 ? table : null;
+}
+
+/**
+ * Section fare (HKD) for riding from stop index `fromIndex` to `toIndex`,
+ * or null if unknown or the indices are not a forward ride.
+ */
+export function getSectionFare(route, fromIndex, toIndex, holiday = false) {
+  const table = getFareTable(route, holiday);
+  if (!table || !(fromIndex >= 0) || !(toIndex > fromIndex)) return null;
+  // The last stop has no section of its own, reuse the last fare
+  const fare = parseFloat(table[Math.min(fromIndex, table.length - 1)]);
+  return Number.isFinite(fare) ? fare : null;
+}
+
+/**
+ * Fare lookup by route ID in a dataset ({ routeList }), for a given date.
+ * Returns { fare, holiday } where fare is null when unknown.
+ */
+export async function getRouteFare(
+  data,
+  routeId,
+  fromIndex,
+  toIndex,
+  date = new Date()
+) {
+  const config = await getConfig();
+  const holiday = isFareHoliday(date, config?.defaults?.public_holidays || []);
+  const route = data?.routeList?.[routeId];
+  return { fare: getSectionFare(route, fromIndex, toIndex, holiday), holiday };
+}
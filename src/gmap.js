@@ -1,5 +1,6 @@
 import { getGoogleMapsApiKey } from './app.js';
 import { getConfig, validateCoords, isTestMode } from './utils.js';
+import { getRegion } from './region.js';
 import { getCountryLanguage } from './lion.js';
 import { i18n } from './lion.js';
 
@@ -14,10 +15,10 @@ export async function getLocationDetails(latitude, longitude) {
     return { locationName: '', country: '', countryCode: null };
   }
 
-  // If test mode is enabled, return the default location from config
+  // If test mode is enabled, return the region's default location
   if (isTestMode()) {
-    const config = await getConfig();
-    const loc = config?.defaults?.default_location;
+    await getConfig(); // selects the region
+    const loc = getRegion().center;
     if (loc) {
       console.log('Using test location (test mode enabled)');
       return {
@@ -115,8 +116,8 @@ export async function getLocationDetails(latitude, longitude) {
 export async function getLocationCoord(locationName) {
   try {
     if (isTestMode()) {
-      const config = await getConfig();
-      const loc = config?.defaults?.default_location;
+      await getConfig(); // selects the region
+      const loc = getRegion().center;
       if (loc) {
         console.log('Using test coordinates (test mode enabled)');
         return {
@@ -178,7 +179,7 @@ export async function PlaceTextSearch(
     console.log('Using test place (test mode enabled)');
     const config = await getConfig();
     return {
-      location: config?.defaults?.default_location?.name,
+      location: getRegion().center.name,
       landmarks: config?.test_mode?.test_landmarks.slice(0, 1) || [],
       cache_type: 'test_mode',
     };
@@ -271,7 +272,7 @@ export async function PlaceNearbySearch(
     console.log('Using test places (test mode enabled)');
     const config = await getConfig();
     return {
-      location: config?.defaults?.default_location?.name,
+      location: getRegion().center.name,
       coordinates: [lat, lon],
       landmarks: config?.test_mode?.test_landmarks || [],
       cache_type: 'test_mode',
@@ -0,0 +1,408 @@
+/**
+ * GTFS export of a routeFareList dataset (see hkbus.md), for tools such as
+ * OpenTripPlanner and QGIS.
+ * • agency.txt: one agency per operator code
+ * • stops.txt, routes.txt (a joint route under its first operator)
+ * • trips.txt: one trip per route and `freq` service ID, run on the days
+ *   of `serviceDayMap` (calendar.txt, public holidays as Sunday in
+ *   calendar_dates.txt); routes without a timetable get no trips
+ * • stop_times.txt: offsets interpolated from `jt` (see timetable.js)
+ * • frequencies.txt: the `freq` bands; single departures are trips of
+ *   their own with fixed times
+ * • fare_attributes.txt / fare_rules.txt: the full fare of each route
+ *
+ * Node.js CLI usage:
+ *   node src/gtfs.js [dataset] [output zip]
+ */
+
+import { hkbusData } from './busdata.js';
+import { getConfig, getLocalDateParts } from './utils.js';
+import { getRegion } from './region.js';
+import { getRouteOperator, getOperatorMode } from './modes.js';
+import { getStopOffsets, parseHHMM } from './timetable.js';
+import { createZip } from './zip.js';
+
+const isNode = typeof process !== 'undefined' && process.versions?.node;
+const DEFAULT_DATASET = 'public/routeFareList.min.json';
+export const GTFS_FILENAME = 'hkbus-gtfs.zip';
+const AGENCY_URL = 'https://hkbus.github.io/hk-bus-crawling/';
+const CALENDAR_DAYS = 365; // feed validity from the export date
+const ALL_DAYS = 'ALL'; // service ID of timetables without serviceDayMap
+const AGENCY_NAMES = {
+  kmb: 'KMB',
+  ctb: 'Citybus',
+  nlb: 'New Lantao Bus',
+  lrtfeeder: 'MTR Bus',
+  gmb: 'Green Minibus',
+  mtr: 'MTR',
+  lightRail: 'Light Rail',
+  sunferry: 'Sun Ferry',
+  fortuneferry: 'Fortune Ferry',
+  hkkf: 'Hong Kong & Kowloon Ferry',
+};
+// GTFS route_type by transport mode (see modes.js); Light Rail is a tram
+const ROUTE_TYPES = { bus: 3, minibus: 3, rail: 1, ferry: 4 };
+const OPERATOR_ROUTE_TYPES = { lightRail: 0 };
+const WEEKDAY_COLUMNS = [
+  'sunday',
+  'monday',
+  'tuesday',
+  'wednesday',
+  'thursday',
+  'friday',
+  'saturday',
+];
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCSV(header, rows) {
+  return (
+    [header, ...rows.map((row) => header.map((key) => row[key]))]
+      .map((values) => values.map(csvValue).join(','))
+      .join('\r\n') + '\r\n'
+  );
+}
+
+// GTFS HH:MM:SS from seconds since midnight (may exceed 24:00:00)
+function formatTime(seconds) {
+  const s = Math.round(seconds);
+  return [Math.floor(s / 3600), Math.floor((s % 3600) / 60), s % 60]
+    .map((n) => String(n).padStart(2, '0'))
+    .join(':');
+}
+
+function formatDate(date) {
+  return date.replace(/-/g, '');
+}
+
+function localName(name, locale) {
+  if (!name) return '';
+  if (typeof name === 'string') return name;
+  return name[locale] || name.en || name.zh || '';
+}
+
+/**
+ * Frequency bands of one `freq` service: { bands: [{ start, end,
+ * headway }], departures: [start] } in seconds, single departures apart.
+ */
+function expandBands(bands) {
+  const result = { bands: [], departures: [] };
+  for (const [startText, band] of Object.entries(bands || {})) {
+    const start = parseHHMM(startText);
+    if (start === null) continue;
+    const end = Array.isArray(band) ? parseHHMM(band[0]) : null;
+    const headway = Array.isArray(band) ? Number(band[1]) : 0;
+    if (end === null || !(headway > 0)) {
+      result.departures.push(start * 60);
+      continue;
+    }
+    // Bands may run past midnight; end_time is just past the last departure
+    const last = end < start ? end + 24 * 60 : end;
+    result.bands.push({
+      start: start * 60,
+      end: last * 60 + 60,
+      headway,
+    });
+  }
+  return result;
+}
+
+/**
+ * The GTFS tables of a dataset, as { 'agency.txt': csv, ... }.
+ * Options: { locale ('en' | 'zh'), date (calendar start), holidays
+ * (['YYYY-MM-DD'], run as Sunday) }.
+ */
+export function buildGtfsFeed(data, options = {}) {
+  const { locale = 'en', date = new Date(), holidays = [] } = options;
+  const stopList = data?.stopList || {};
+  const routeList = data?.routeList || {};
+  const serviceDayMap = data?.serviceDayMap || null;
+
+  const agencies = new Set();
+  const usedStops = new Set();
+  const services = new Set();
+  const tables = {
+    routes: [],
+    trips: [],
+    stop_times: [],
+    frequencies: [],
+    fare_attributes: [],
+    fare_rules: [],
+  };
+
+  const addStopTimes = (tripId, stops, offsets, startSeconds) => {
+    stops.forEach((stop, index) => {
+      const time = formatTime(startSeconds + offsets[index] * 60);
+      tables.stop_times.push({
+        trip_id: tripId,
+        arrival_time: time,
+        departure_time: time,
+        stop_id: stop.id,
+        stop_sequence: index + 1,
+        timepoint: 0, // interpolated, not scheduled
+      });
+    });
+  };
+
+  for (const [routeId, route] of Object.entries(routeList)) {
+    const operator = getRouteOperator(route);
+    const stopIds = (Object.values(route.stops || {})[0] || []).filter(
+      (id) => stopList[id]?.location
+    );
+    if (!operator || stopIds.length < 2) continue;
+    agencies.add(operator);
+    stopIds.forEach((id) => usedStops.add(id));
+
+    tables.routes.push({
+      route_id: routeId,
+      agency_id: operator,
+      route_short_name: route.route,
+      route_long_name: `${localName(route.orig, locale)} - ${localName(route.dest, locale)}`,
+      route_type:
+        OPERATOR_ROUTE_TYPES[operator] ??
+        ROUTE_TYPES[getOperatorMode(operator)],
+    });
+
+    const fare = parseFloat(route.fares?.[0]);
+    if (Number.isFinite(fare)) {
+      tables.fare_attributes.push({
+        fare_id: routeId,
+        price: fare,
+        currency_type: 'HKD',
+        payment_method: 0, // paid on board
+        transfers: 0,
+        agency_id: operator,
+      });
+      tables.fare_rules.push({ fare_id: routeId, route_id: routeId });
+    }
+
+    const stops = stopIds.map((id) => ({ id, ...stopList[id] }));
+    const offsets = getStopOffsets(route, stops);
+    const bound = Object.values(route.bound || {})[0];
+    const trip = {
+      route_id: routeId,
+      trip_headsign: localName(route.dest, locale),
+      direction_id: bound === 'I' ? 1 : 0,
+    };
+
+    for (const [serviceId, bands] of Object.entries(route.freq || {})) {
+      if (!bands) continue;
+      const service = Array.isArray(serviceDayMap?.[serviceId])
+        ? serviceId
+        : ALL_DAYS;
+      const { bands: windows, departures } = expandBands(bands);
+
+      if (windows.length > 0) {
+        const tripId = `${routeId}#${serviceId}`;
+        services.add(service);
+        tables.trips.push({ ...trip, service_id: service, trip_id: tripId });
+        addStopTimes(tripId, stops, offsets, 0);
+        windows.forEach(({ start, end, headway }) =>
+          tables.frequencies.push({
+            trip_id: tripId,
+            start_time: formatTime(start),
+            end_time: formatTime(end),
+            headway_secs: headway,
+            exact_times: 0,
+          })
+        );
+      }
+      for (const start of departures) {
+        const tripId = `${routeId}#${serviceId}#${formatTime(start)}`;
+        services.add(service);
+        tables.trips.push({ ...trip, service_id: service, trip_id: tripId });
+        addStopTimes(tripId, stops, offsets, start);
+      }
+    }
+  }
+
+  const stops = [...usedStops].map((id) => ({
+    stop_id: id,
+    stop_name: localName(stopList[id].name, locale),
+    stop_lat: stopList[id].location.lat,
+    stop_lon: stopList[id].location.lng,
+  }));
+  const agency = [...agencies].map((co) => ({
+    agency_id: co,
+    agency_name: AGENCY_NAMES[co] || co.toUpperCase(),
+    agency_url: AGENCY_URL,
+    agency_timezone: getRegion().timezone,
+    agency_lang: locale,
+  }));
+  const { calendar, calendarDates } = buildCalendar(
+    [...services],
+    serviceDayMap,
+    date,
+    holidays
+  );
+
+  return {
+    'agency.txt': toCSV(
+      [
+        'agency_id',
+        'agency_name',
+        'agency_url',
+        'agency_timezone',
+        'agency_lang',
+      ],
+      agency
+    ),
+    'stops.txt': toCSV(['stop_id', 'stop_name', 'stop_lat', 'stop_lon'], stops),
+    'routes.txt': toCSV(
+      [
+        'route_id',
+        'agency_id',
+        'route_short_name',
+        'route_long_name',
+        'route_type',
+      ],
+      tables.routes
+    ),
+    'trips.txt': toCSV(
+      ['route_id', 'service_id', 'trip_id', 'trip_headsign', 'direction_id'],
+      tables.trips
+    ),
+    'stop_times.txt': toCSV(
+      [
+        'trip_id',
+        'arrival_time',
+        'departure_time',
+        'stop_id',
+        'stop_sequence',
+        'timepoint',
+      ],
+      tables.stop_times
+    ),
+    'frequencies.txt': toCSV(
+      ['trip_id', 'start_time', 'end_time', 'headway_secs', 'exact_times'],
+      tables.frequencies
+    ),
+    'calendar.txt': toCSV(
+      [
+        'service_id',
+        'monday',
+        'tuesday',
+        'wednesday',
+        'thursday',
+        'friday',
+        'saturday',
+        'sunday',
+        'start_date',
+        'end_date',
+      ],
+      calendar
+    ),
+    'calendar_dates.txt': toCSV(
+      ['service_id', 'date', 'exception_type'],
+      calendarDates
+    ),
+    'fare_attributes.txt': toCSV(
+      [
+        'fare_id',
+        'price',
+        'currency_type',
+        'payment_method',
+        'transfers',
+        'agency_id',
+      ],
+      tables.fare_attributes
+    ),
+    'fare_rules.txt': toCSV(['fare_id', 'route_id'], tables.fare_rules),
+  };
+}
+
+/**
+ * calendar.txt rows from serviceDayMap (Sunday first), valid for
+ * CALENDAR_DAYS from `date`, and calendar_dates.txt rows running the
+ * public holidays in that period as Sundays.
+ */
+function buildCalendar(serviceIds, serviceDayMap, date, holidays) {
+  const start = getLocalDateParts(date).date;
+  const end = getLocalDateParts(
+    new Date(date.getTime() + CALENDAR_DAYS * 24 * 3600 * 1000)
+  ).date;
+  const daysOf = (serviceId) =>
+    serviceId === ALL_DAYS
+      ? [1, 1, 1, 1, 1, 1, 1]
+      : serviceDayMap[serviceId].map((day) => (day ? 1 : 0));
+
+  const calendar = serviceIds.sort().map((serviceId) => {
+    const row = {
+      service_id: serviceId,
+      start_date: formatDate(start),
+      end_date: formatDate(end),
+    };
+    daysOf(serviceId).forEach((day, i) => (row[WEEKDAY_COLUMNS[i]] = day));
+    return row;
+  });
+
+  const calendarDates = [];
+  for (const holiday of holidays) {
+    if (holiday < start || holiday > end) continue;
+    const weekday = new Date(`${holiday}T00:00:00Z`).getUTCDay();
+    for (const serviceId of serviceIds) {
+      const days = daysOf(serviceId);
+      if (days[weekday] === days[0]) continue;
+      calendarDates.push({
+        service_id: serviceId,
+        date: formatDate(holiday),
+        exception_type: days[0] ? 1 : 2, // 1 added, 2 removed
+      });
+    }
+  }
+  return { calendar, calendarDates };
+}
+
+/**
+ * GTFS zip (Uint8Array) of a dataset, by default the loaded one.
+ * Options as buildGtfsFeed, plus `data`; holidays default to the config.
+ */
+export async function exportGtfs(options = {}) {
+  const data = options.data || hkbusData.data;
+  if (!data) return null;
+  const holidays =
+    options.holidays ?? (await getConfig())?.defaults?.public_holidays ?? [];
+  return createZip(buildGtfsFeed(data, { ...options, holidays }));
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
+GTFS export of an hkbus dataset:
+Usage: node src/gtfs.js [dataset] [output]
+
+  dataset     Path to routeFareList JSON (default ${DEFAULT_DATASET})
+  output      Path of the GTFS zip to write (default ${GTFS_FILENAME})
+  --help, -h  Show this help message
+    `);
+    process.exit(0);
+  }
+
+  const fs = await import('fs');
+  const [file = DEFAULT_DATASET, output = GTFS_FILENAME] = args.filter(
+    (arg) => !arg.startsWith('-')
+  );
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    const config = JSON.parse(fs.readFileSync('public/config.json', 'utf-8'));
+    const zip = await exportGtfs({
+      data,
+      holidays: config?.defaults?.public_holidays || [],
+    });
+    fs.writeFileSync(output, zip);
+    console.log(`Wrote ${output} (${zip.length} bytes)`);
+  } catch (error) {
+    console.error(`GTFS export of ${file} failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Node.js equivalent of if __name__ == "__main__":
+if (isNode && process.argv[1]?.endsWith('gtfs.js')) {
+  main();
+}
@@ -0,0 +1,270 @@
+/**
+  GTFS import: normalise a GTFS feed into the routeFareList shape (see
+  hkbus.md), so the same queries, markers and search run on other feeds.
+  - stopList from stops.txt (stations left out), Chinese names from
+    translations.txt when present
+  - one routeList entry per route, direction and stop pattern: the most
+    frequent pattern is serviceType 1, the rest 2, 3, ...
+  - co / stops keyed by the lowercased agency_id
+  - freq from frequencies.txt, else each trip's first departure
+  - jt from the first trip of the pattern, fares from route fare_rules
+  - serviceDayMap from calendar.txt; stopMap maps each stop to itself
+ */
+
+import { readZip } from './zip.js';
+
+const DEFAULT_AGENCY = 'gtfs';
+
+/**
+ * Parse CSV text (RFC 4180 quoting, optional BOM) into row objects keyed
+ * by the header.
+ */
+export function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let value = '';
+  let quoted = false;
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const c = input[i];
+    if (quoted) {
+      if (c === '"' && input[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        value += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(value);
+      value = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && input[i + 1] === '\n') i++;
+      row.push(value);
+      rows.push(row);
+      row = [];
+      value = '';
+    } else {
+      value += c;
+    }
+  }
+  if (value || row.length > 0) {
+    row.push(value);
+    rows.push(row);
+  }
+
+  const [header = [], ...records] = rows.filter(
+    (r) => r.length > 1 || r[0] !== ''
+  );
+  const keys = header.map((key) => key.trim());
+  return records.map((record) =>
+    Object.fromEntries(keys.map((key, i) => [key, record[i] ?? '']))
+  );
+}
+
+// Seconds since midnight of a GTFS H:MM:SS time, or null
+function parseTime(text) {
+  const match = /^(\d+):(\d\d):(\d\d)$/.exec(String(text || '').trim());
+  if (!match) return null;
+  return Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]);
+}
+
+// HHMM of seconds since midnight, as in `freq` (hours may pass 24)
+function formatHHMM(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}${String(minutes % 60).padStart(2, '0')}`;
+}
+
+function groupBy(rows, key) {
+  const groups = new Map();
+  for (const row of rows) {
+    if (!groups.has(row[key])) groups.set(row[key], []);
+    groups.get(row[key]).push(row);
+  }
+  return groups;
+}
+
+// Chinese stop names from translations.txt, by stop ID and by English name
+function stopTranslations(translations) {
+  const byId = new Map();
+  const byName = new Map();
+  for (const t of translations) {
+    if (t.table_name !== 'stops' || t.field_name !== 'stop_name') continue;
+    if (!String(t.language).toLowerCase().startsWith('zh')) continue;
+    if (t.record_id) byId.set(t.record_id, t.translation);
+    else if (t.field_value) byName.set(t.field_value, t.translation);
+  }
+  return { byId, byName };
+}
+
+/**
+ * Convert parsed GTFS tables ({ stops: [rows], routes, trips, ... }, as
+ * from parseCSV) into { routeList, stopList, stopMap, serviceDayMap }.
+ */
+export function gtfsToDataset(tables) {
+  const { byId, byName } = stopTranslations(tables.translations || []);
+  const stopList = {};
+  for (const stop of tables.stops || []) {
+    if (Number(stop.location_type) > 0) continue; // stations, entrances
+    const lat = parseFloat(stop.stop_lat);
+    const lng = parseFloat(stop.stop_lon);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) continue;
+    const en = stop.stop_name;
+    stopList[stop.stop_id] = {
+      location: { lat, lng },
+      name: { en, zh: byId.get(stop.stop_id) || byName.get(en) || en },
+    };
+  }
+
+  const agencies = tables.agency || [];
+  const agencyCode = (agencyId) =>
+    String(agencyId || agencies[0]?.agency_id || DEFAULT_AGENCY).toLowerCase();
+
+  const fares = new Map(
+    (tables.fare_attributes || []).map((f) => [f.fare_id, f.price])
+  );
+  const routeFares = new Map();
+  for (const rule of tables.fare_rules || []) {
+    if (!rule.route_id || rule.origin_id || rule.destination_id) continue;
+    if (fares.has(rule.fare_id)) {
+      routeFares.set(rule.route_id, fares.get(rule.fare_id));
+    }
+  }
+
+  const tripsByRoute = groupBy(tables.trips || [], 'route_id');
+  const stopTimes = groupBy(tables.stop_times || [], 'trip_id');
+  const frequencies = groupBy(tables.frequencies || [], 'trip_id');
+  const routeList = {};
+  const stopMap = {};
+
+  for (const route of tables.routes || []) {
+    const co = agencyCode(route.agency_id);
+    const trips = tripsByRoute.get(route.route_id) || [];
+
+    // Trips by direction and stop pattern
+    const patterns = new Map();
+    for (const trip of trips) {
+      const times = (stopTimes.get(trip.trip_id) || [])
+        .filter((st) => stopList[st.stop_id])
+        .sort((a, b) => Number(a.stop_sequence) - Number(b.stop_sequence));
+      if (times.length < 2) continue;
+      const key = `${trip.direction_id || 0}|${times.map((st) => st.stop_id).join(',')}`;
+      if (!patterns.has(key)) patterns.set(key, []);
+      patterns.get(key).push({ trip, times });
+    }
+
+    const byFrequency = [...patterns.values()].sort(
+      (a, b) => b.length - a.length
+    );
+    byFrequency.forEach((patternTrips, index) => {
+      const { trip, times } = patternTrips[0];
+      const stopIds = times.map((st) => st.stop_id);
+      const orig = stopList[stopIds[0]].name;
+      const dest = stopList[stopIds[stopIds.length - 1]].name;
+      const number = route.route_short_name || route.route_long_name;
+
+      let routeId = `${number}+${index + 1}+${orig.en}+${dest.en}`;
+      if (routeList[routeId]) routeId += `+${route.route_id}`;
+
+      const first = parseTime(times[0].departure_time || times[0].arrival_time);
+      const last = parseTime(
+        times[times.length - 1].arrival_time ||
+          times[times.length - 1].departure_time
+      );
+      const fare = routeFares.get(route.route_id);
+      routeList[routeId] = {
+        route: number,
+        serviceType: index + 1,
+        co: [co],
+        orig: { ...orig },
+        dest: { ...dest },
+        stops: { [co]: stopIds },
+        seq: stopIds.length,
+        bound: { [co]: trip.direction_id === '1' ? 'I' : 'O' },
+        fares: fare !== undefined ? [String(fare)] : null,
+        faresHoliday: null,
+        freq: buildFreq(patternTrips, frequencies),
+        jt:
+          first !== null && last !== null
+            ? Math.round((last - first) / 60)
+            : null,
+        gtfsId: route.route_id,
+      };
+      for (const stopId of stopIds) {
+        stopMap[stopId] ||= [];
+        if (!stopMap[stopId].some(([company]) => company === co)) {
+          stopMap[stopId].push([co, stopId]);
+        }
+      }
+    });
+  }
+
+  const serviceDayMap = {};
+  for (const service of tables.calendar || []) {
+    serviceDayMap[service.service_id] = [
+      'sunday',
+      'monday',
+      'tuesday',
+      'wednesday',
+      'thursday',
+      'friday',
+      'saturday',
+    ].map((day) => (service[day] === '1' ? 1 : 0));
+  }
+
+  return { routeList, stopList, stopMap, serviceDayMap };
+}
+
+/**
+ * The `freq` timetable of a pattern's trips by service_id: frequencies.txt
+ * bands as [last departure, headway], other trips as single departures.
+ */
+function buildFreq(patternTrips, frequencies) {
+  const freq = {};
+  for (const { trip, times } of patternTrips) {
+    const service = (freq[trip.service_id] ||= {});
+    const bands = frequencies.get(trip.trip_id);
+    if (bands) {
+      for (const band of bands) {
+        const start = parseTime(band.start_time);
+        const end = parseTime(band.end_time);
+        const headway = Number(band.headway_secs);
+        if (start === null || end === null || !(headway > 0)) continue;
+        // end_time is exclusive: the last departure is a headway before
+        const lastDeparture =
+          start + Math.floor((end - start - 1) / headway) * headway;
+        service[formatHHMM(start)] = [
+          formatHHMM(lastDeparture),
+          String(headway),
+        ];
+      }
+      continue;
+    }
+    const departure = parseTime(times[0].departure_time);
+    if (departure !== null) service[formatHHMM(departure)] = null;
+  }
+  return Object.keys(freq).length > 0 ? freq : null;
+}
+
+/**
+ * Normalise a GTFS zip (bytes) into the routeFareList shape.
+ */
+export async function loadGtfsFeed(bytes) {
+  const files = await readZip(bytes);
+  const decoder = new TextDecoder();
+  const tables = {};
+  for (const [path, data] of Object.entries(files)) {
+    // Feeds are sometimes zipped inside a folder
+    const name = path.split('/').pop();
+    if (!name.endsWith('.txt')) continue;
+    tables[name.slice(0, -4)] = parseCSV(decoder.decode(data));
+  }
+  if (!tables.stops || !tables.routes) {
+    throw new Error('GTFS feed lacks stops.txt or routes.txt');
+  }
+  return gtfsToDataset(tables);
+}
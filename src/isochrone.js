@@ -0,0 +1,231 @@
+/**
+  Transit isochrone: every stop reachable from a stop within a time budget
+  - walks to stops nearby (findStopsNear) at WALK_M_PER_MIN (see
+    walking.js)
+  - rides any route through a reached stop (getRoutesByStop), ride times
+    interpolated from route `jt` (see timetable.js); circular routes run a
+    second lap as in the journey planner
+  - each boarding waits half the route's `freq` headway at the time the
+    stop is reached; a route with a timetable is not boarded where it is
+    not running then, routes without one wait a flat DEFAULT_WAIT_MIN
+  - at most MAX_TRANSFERS transfers, walking up to TRANSFER_RADIUS_M
+ */
+
+import { hkbusData } from './busdata.js';
+import { getRouteSequence } from './planner.js';
+import {
+  expandServiceWindows,
+  getCurrentHeadway,
+  getServiceDays,
+  withOvernightWindows,
+} from './timetable.js';
+import {
+  MAX_TRANSFER_STOPS,
+  MAX_WALK_STOPS,
+  TRANSFER_RADIUS_M,
+  WALK_RADIUS_M,
+  walkMeters,
+  walkMinutes,
+} from './walking.js';
+
+const MINUTES_PER_DAY = 24 * 60;
+const DEFAULT_BUDGET_MIN = 30;
+const DEFAULT_WAIT_MIN = 5; // routes without a timetable
+const MAX_TRANSFERS = 1;
+
+/**
+ * Service windows of a route from the early hours of today (yesterday's
+ * bands running past midnight) into tomorrow (shifted a day on), so any
+ * time within a budget from now finds its band. Null without a timetable.
+ * `days` is { yesterday, today, tomorrow } as from getServiceDays.
+ */
+export function getRouteWindows(route, days, serviceDayMap = null) {
+  if (!route?.freq) return null;
+  const expand = (day) => expandServiceWindows(route, day, serviceDayMap);
+  const tomorrow = expand(days.tomorrow).map((w) => ({
+    start: w.start + MINUTES_PER_DAY,
+    end: w.end + MINUTES_PER_DAY,
+    headway: w.headway,
+  }));
+  return [
+    ...withOvernightWindows(expand(days.today), expand(days.yesterday)),
+    ...tomorrow,
+  ];
+}
+
+/**
+ * Expected wait (minutes) to board at `minutes` since today's midnight,
+ * from a route's windows (see getRouteWindows): half the headway then,
+ * DEFAULT_WAIT_MIN without a timetable, or null when it is not running.
+ */
+export function getExpectedWait(windows, minutes) {
+  if (!windows) return DEFAULT_WAIT_MIN;
+  const headway = getCurrentHeadway(windows, minutes);
+  return headway ? headway / 2 : null;
+}
+
+/**
+ * Stops reachable from `stopId` within `budget` minutes, leaving at `date`.
+ * Returns { origin, budget, stops }, where stops are
+ * { id, name, location, minutes, transfers, routeId, route }, fastest
+ * first; routeId/route is the last route ridden (null for walks only).
+ * Options: { budget, date, maxTransfers, walkRadius, transferRadius }.
+ */
+export async function computeIsochrone(stopId, options = {}) {
+  const {
+    budget = DEFAULT_BUDGET_MIN,
+    date = new Date(),
+    maxTransfers = MAX_TRANSFERS,
+    walkRadius = WALK_RADIUS_M,
+    transferRadius = TRANSFER_RADIUS_M,
+  } = options;
+  const busData = options.busData || hkbusData;
+  const origin = busData.getStop(stopId);
+  if (!origin?.location) return null;
+
+  const { minutes, ...days } = await getServiceDays(date);
+  const serviceDayMap = busData.data?.serviceDayMap || null;
+  const routeWindows = new Map(); // routeId -> service windows, or null
+  const routeStops = new Map(); // routeId -> { stops, offsets }
+
+  // Best label per stop: { minutes, transfers, routeId, route }
+  const reached = new Map();
+  const improve = (stop, label) => {
+    if (label.minutes > budget) return false;
+    const best = reached.get(stop.id);
+    if (best && best.minutes <= label.minutes) return false;
+    reached.set(stop.id, { stop, ...label });
+    return true;
+  };
+
+  // Walk from the start stop
+  let marked = new Set([stopId]);
+  improve(origin, { minutes: 0, transfers: 0, routeId: null, route: null });
+  walkFrom(busData, origin, walkRadius, MAX_WALK_STOPS, (stop, walk) => {
+    const label = { minutes: walk, transfers: 0, routeId: null, route: null };
+    if (improve(stop, label)) marked.add(stop.id);
+  });
+
+  for (let round = 0; round <= maxTransfers && marked.size > 0; round++) {
+    // Ride every route through a stop reached in the last round, boarding
+    // at the times reached then (not improved by this round's rides)
+    const boardable = new Map();
+    const ridden = new Set();
+    const routeIds = new Set();
+    for (const id of marked) {
+      boardable.set(id, reached.get(id).minutes);
+      busData.getRoutesByStop(id).forEach((route) => routeIds.add(route.id));
+    }
+    for (const routeId of routeIds) {
+      const route = busData.data.routeList[routeId];
+      if (!routeWindows.has(routeId)) {
+        routeWindows.set(routeId, getRouteWindows(route, days, serviceDayMap));
+        const stops = Object.values(busData.getStopsByRoute(routeId))[0] || [];
+        routeStops.set(routeId, getRouteSequence(busData, routeId, stops));
+      }
+      const windows = routeWindows.get(routeId);
+      const { stops, offsets } = routeStops.get(routeId);
+      const routeNumber = route.route;
+
+      let boardTime = Infinity; // boarding time + wait - ride offset
+      for (let i = 0; i < stops.length; i++) {
+        const label = {
+          minutes: boardTime + offsets[i],
+          transfers: round,
+          routeId,
+          route: routeNumber,
+        };
+        if (boardTime < Infinity && improve(stops[i], label)) {
+          ridden.add(stops[i].id);
+        }
+        const at = boardable.get(stops[i].id);
+        if (at === undefined) continue;
+        // Waits on the headway when the stop is reached, if running then
+        const wait = getExpectedWait(windows, minutes + at);
+        if (wait !== null && at + wait - offsets[i] < boardTime) {
+          boardTime = at + wait - offsets[i];
+        }
+      }
+    }
+
+    // Walk on from every stop reached by a ride, to transfer or arrive
+    marked = new Set(ridden);
+    for (const id of ridden) {
+      const from = reached.get(id);
+      walkFrom(
+        busData,
+        from.stop,
+        transferRadius,
+        MAX_TRANSFER_STOPS,
+        (stop, walk) => {
+          const label = {
+            minutes: from.minutes + walk,
+            transfers: from.transfers,
+            routeId: from.routeId,
+            route: from.route,
+          };
+          if (improve(stop, label)) marked.add(stop.id);
+        }
+      );
+    }
+  }
+
+  const stops = [...reached.values()]
+    .map(({ stop, ...label }) => ({
+      id: stop.id,
+      name: stop.name,
+      location: stop.location,
+      ...label,
+      minutes: Math.round(label.minutes),
+    }))
+    .sort((a, b) => a.minutes - b.minutes);
+  return {
+    origin: { id: origin.id, name: origin.name, location: origin.location },
+    budget,
+    stops,
+  };
+}
+
+// Call visit(stop, walkMinutes) for each other stop within radiusMeters
+function walkFrom(busData, from, radiusMeters, maxResult, visit) {
+  const { lat, lng } = from.location;
+  const nearby = busData.findStopsNear(lat, lng, radiusMeters, maxResult, 0);
+  for (const stop of nearby) {
+    if (stop.id === from.id || !stop.location) continue;
+    visit(stop, walkMinutes(walkMeters(from.location, stop.location)));
+  }
+}
+
+/**
+ * Convex hull of { lat, lng } points (monotone chain), counter-clockwise.
+ */
+export function convexHull(points) {
+  const sorted = [...points].sort((a, b) => a.lng - b.lng || a.lat - b.lat);
+  if (sorted.length < 3) return sorted;
+  const cross = (o, a, b) =>
+    (a.lng - o.lng) * (b.lat - o.lat) - (a.lat - o.lat) * (b.lng - o.lng);
+
+  const lower = [];
+  for (const p of sorted) {
+    while (
+      lower.length >= 2 &&
+      cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0
+    ) {
+      lower.pop();
+    }
+    lower.push(p);
+  }
+  const upper = [];
+  for (const p of sorted.reverse()) {
+    while (
+      upper.length >= 2 &&
+      cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0
+    ) {
+      upper.pop();
+    }
+    upper.push(p);
+  }
+  lower.pop();
+  upper.pop();
+  return lower.concat(upper);
+}
@@ -0,0 +1,263 @@
+/* eslint-disable no-undef */
+import { busService } from './busservice.js';
+import { routeState, getLocName, polylineOpacity } from './busroute.js';
+import { i18n } from './lion.js';
+import {
+  getMapCenter,
+  handleError,
+  setLoading,
+  escapeHTML,
+  screenWidthThreshold,
+} from './utils.js';
+import { isWithinBounds } from './region.js';
+
+// DOM Elements
+const infoSidebar = document.getElementById('info-sidebar');
+const infoTitleContent = document.getElementById('info-title-content');
+const infoContent = document.getElementById('info-content');
+
+const journeyState = {
+  origin: null,
+  originMarker: null,
+  polylines: [],
+  itineraries: [],
+};
+let sidebarClickHandler = null;
+
+/**
+ * More-menu action: the first call marks the map center as the origin,
+ * the next call plans from there to the (new) map center.
+ */
+export async function planJourneyFromMap() {
+  const map = window.mapInstance;
+  if (!map) return;
+
+  const center = getMapCenter(map);
+  if (!isWithinBounds(center)) {
+    handleError(i18n.t('errors.out_of_region'));
+    return;
+  }
+
+  if (!journeyState.origin) {
+    await setJourneyOrigin(map, center);
+    return;
+  }
+
+  try {
+    setLoading(true);
+    if (!(await busService.load())) return;
+    const itineraries = await busService.planJourney(
+      journeyState.origin,
+      center
+    );
+    await addLegFares(itineraries || []);
+    renderJourneySidebar(itineraries);
+  } catch (error) {
+    console.error('Error planning journey:', error);
+    handleError(i18n.t('errors.no_results'));
+  } finally {
+    setLoading(false);
+  }
+}
+
+async function setJourneyOrigin(map, center) {
+  const { AdvancedMarkerElement } = await google.maps.importLibrary('marker');
+  clearJourney();
+
+  const icon = document.createElement('div');
+  icon.className = 'journey-marker-origin';
+  journeyState.origin = center;
+  journeyState.originMarker = new AdvancedMarkerElement({
+    map,
+    position: center,
+    content: icon,
+    title: i18n.t('journey.origin'),
+    zIndex: 110,
+  });
+
+  infoTitleContent.innerHTML = `
+    <div class="info-sidebar-header">
+      <div class="nearest-stop-sidebar-title">
+        ${i18n.t('journey.origin')}
+      </div>
+    </div>
+  `;
+  infoContent.innerHTML = `
+    <div class="journey-hint">${i18n.t('journey.pick_destination')}</div>
+  `;
+  infoSidebar.classList.remove('hidden');
+}
+
+/**
+ * Look up the section fare of each ride leg, by its boarding and alighting
+ * stop indices (null when unknown).
+ */
+async function addLegFares(itineraries) {
+  const legs = itineraries.flatMap((itinerary) =>
+    itinerary.legs.filter((leg) => leg.type === 'ride')
+  );
+  await Promise.all(
+    legs.map(async (leg) => {
+      // Counted on from the boarding stop, as a leg round a circular
+      // route alights at a lower stop index
+      const { fare } = await busService.getRouteFare(
+        leg.routeId,
+        leg.fromIndex,
+        leg.fromIndex + leg.stops.length - 1
+      );
+      leg.fare = fare;
+    })
+  );
+}
+
+function formatMinutes(minutes) {
+  return i18n.t('journey.minutes', { count: Math.round(minutes) });
+}
+
+function renderLeg(leg) {
+  if (leg.type === 'ride') {
+    const from = getLocName(leg.stops[0].name);
+    const to = getLocName(leg.stops[leg.stops.length - 1].name);
+    return `
+      <div class="journey-leg ride">
+        <span class="journey-leg-route">${escapeHTML(String(leg.route))}</span>
+        ${escapeHTML(from)} ➔ ${escapeHTML(to)}
+        <span class="route-sidebar-details">
+          ${i18n.t('journey.stops', { count: leg.stops.length - 1 })},
+          ${formatMinutes(leg.minutes)},
+          ${leg.fare != null ? `$${leg.fare}` : i18n.t('fare.unknown')}
+        </span>
+      </div>
+    `;
+  }
+  if (leg.meters < 1) return '';
+  return `
+    <div class="journey-leg walk">
+      ${i18n.t('journey.walk', { meters: Math.round(leg.meters) })},
+      ${formatMinutes(leg.minutes)}
+    </div>
+  `;
+}
+
+function renderJourneySidebar(itineraries) {
+  if (!infoSidebar) return;
+  journeyState.itineraries = itineraries || [];
+  clearJourneyPolylines();
+
+  infoTitleContent.innerHTML = `
+    <div class="info-sidebar-header">
+      <div class="nearest-stop-sidebar-title">
+        ${i18n.t('journey.title')}
+      </div>
+    </div>
+  `;
+
+  if (journeyState.itineraries.length === 0) {
+    infoContent.innerHTML = `
+      <div class="journey-hint">${i18n.t('journey.no_results')}</div>
+    `;
+  } else {
+    infoContent.innerHTML = journeyState.itineraries
+      .map((itinerary, index) => {
+        const routes = itinerary.legs
+          .filter((leg) => leg.type === 'ride')
+          .map((leg) => escapeHTML(String(leg.route)))
+          .join(' ➔ ');
+        const transfers =
+          itinerary.transfers === 0
+            ? i18n.t('journey.direct')
+            : i18n.t('journey.transfers', { count: itinerary.transfers });
+        return `
+          <div class="journey-item" data-index="${index}">
+            <div class="info-sidebar-title">
+              ${routes}
+              <span class="route-sidebar-company">
+                ${formatMinutes(itinerary.totalMinutes)} · ${transfers}
+              </span>
+            </div>
+            ${itinerary.legs.map(renderLeg).join('')}
+          </div>
+        `;
+      })
+      .join('');
+  }
+  infoSidebar.classList.remove('hidden');
+
+  if (sidebarClickHandler) {
+    infoContent.removeEventListener('click', sidebarClickHandler);
+  }
+  sidebarClickHandler = (event) => {
+    const item = event.target.closest('.journey-item');
+    if (!item) return;
+    const itinerary = journeyState.itineraries[Number(item.dataset.index)];
+    if (!itinerary) return;
+
+    const current = infoContent.querySelector('.journey-item.nearest-stop');
+    if (current) current.classList.remove('nearest-stop');
+    item.classList.add('nearest-stop');
+    drawItinerary(itinerary);
+  };
+  infoContent.addEventListener('click', sidebarClickHandler);
+}
+
+async function drawItinerary(itinerary) {
+  const map = window.mapInstance;
+  if (!map) return;
+  clearJourneyPolylines();
+
+  const { Polyline } = await google.maps.importLibrary('maps');
+  const { LatLngBounds } = await google.maps.importLibrary('core');
+  const bounds = new LatLngBounds();
+  if (journeyState.origin) bounds.extend(journeyState.origin);
+
+  for (const leg of itinerary.legs) {
+    if (leg.type === 'ride') {
+      const path = leg.stops
+        .filter((stop) => stop.location)
+        .map((stop) => stop.location);
+      path.forEach((point) => bounds.extend(point));
+      journeyState.polylines.push(
+        new Polyline({
+          path,
+          geodesic: true,
+          strokeColor: '#f66a5b',
+          strokeOpacity: polylineOpacity,
+          strokeWeight: 4,
+          map,
+        })
+      );
+    } else if (leg.location) {
+      bounds.extend(leg.location);
+    }
+  }
+
+  const padding = { top: 50, bottom: 50, left: 50, right: 100 };
+  if (
+    window.innerWidth > screenWidthThreshold &&
+    !infoSidebar.classList.contains('hidden')
+  ) {
+    padding.left += infoSidebar.offsetWidth;
+  }
+  routeState.programmaticPan = true; // Keep the itinerary list in place
+  map.fitBounds(bounds, padding);
+}
+
+function clearJourneyPolylines() {
+  journeyState.polylines.forEach((poly) => poly.setMap(null));
+  journeyState.polylines = [];
+}
+
+/**
+ * Remove the journey origin, itinerary lines and sidebar handler.
+ */
+export function clearJourney() {
+  clearJourneyPolylines();
+  if (journeyState.originMarker) journeyState.originMarker.map = null;
+  journeyState.originMarker = null;
+  journeyState.origin = null;
+  journeyState.itineraries = [];
+  if (sidebarClickHandler) {
+    infoContent.removeEventListener('click', sidebarClickHandler);
+    sidebarClickHandler = null;
+  }
+}
@@ -0,0 +1,91 @@
+/**
+  Transport modes of the operators (route `co`) in the dataset:
+  - every operator belongs to one mode: bus, minibus, rail or ferry
+  - the user's mode filter is saved in settings as TRANSPORT_MODES,
+    a comma-separated list of modes; all modes when unset
+ */
+
+import { getSettings, SETTINGS_KEY } from './utils.js';
+
+export const MODES = ['bus', 'minibus', 'rail', 'ferry'];
+export const MODES_SETTING = 'TRANSPORT_MODES';
+
+// In order of precedence for the pill colour of joint routes
+export const OPERATOR_MODES = {
+  kmb: 'bus',
+  ctb: 'bus',
+  nlb: 'bus',
+  lrtfeeder: 'bus',
+  gmb: 'minibus',
+  mtr: 'rail',
+  lightRail: 'rail',
+  sunferry: 'ferry',
+  fortuneferry: 'ferry',
+  hkkf: 'ferry',
+};
+
+// A stop served by several modes is drawn as the first one listed here
+const STOP_MODE_PRECEDENCE = ['rail', 'ferry', 'minibus', 'bus'];
+
+/**
+ * Mode of an operator code; unknown operators count as buses.
+ */
+export function getOperatorMode(company) {
+  return OPERATOR_MODES[company] || 'bus';
+}
+
+/**
+ * Operator codes of the given modes, as used by the HKBusData filters.
+ */
+export function getModeOperators(modes = MODES) {
+  return Object.keys(OPERATOR_MODES).filter((co) =>
+    modes.includes(OPERATOR_MODES[co])
+  );
+}
+
+/**
+ * The operator to style a route by: its first known operator.
+ */
+export function getRouteOperator(route) {
+  const companies = route?.co || [];
+  return (
+    Object.keys(OPERATOR_MODES).find((co) => companies.includes(co)) ||
+    companies[0] ||
+    null
+  );
+}
+
+/**
+ * Mode to draw a stop as, from the operators serving it.
+ */
+export function getStopMode(operators = []) {
+  const modes = operators.map(getOperatorMode);
+  return STOP_MODE_PRECEDENCE.find((mode) => modes.includes(mode)) || 'bus';
+}
+
+/**
+ * Parse the TRANSPORT_MODES setting, falling back to all modes.
+ */
+export function parseModes(value) {
+  const modes = String(value || '')
+    .split(',')
+    .map((mode) => mode.trim().toLowerCase())
+    .filter((mode) => MODES.includes(mode));
+  return modes.length > 0 ? modes : [...MODES];
+}
+
+/**
+ * The transport modes selected in settings.
+ */
+export function getSavedModes() {
+  return parseModes(getSettings()[MODES_SETTING]);
+}
+
+/**
+ * Save the selected transport modes in settings.
+ */
+export function saveModes(modes) {
+  const settings = getSettings();
+  settings[MODES_SETTING] = parseModes(modes.join(',')).join(',');
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+}
@@ -1,4 +1,5 @@
 import { getConfig, distance_km, isTestMode } from './utils.js';
+import { getRegion } from './region.js';
 import { GetPrompt, GetSystemMessage } from './prompt_utils.js';
 import { getLocationCoord } from './gmap.js';
 import { getOpenaiApiKey } from './app.js';
@@ -25,7 +26,7 @@ export async function getLandmarksWithGPT(
     console.log('Using test landmarks (test mode enabled)');
     const config = await getConfig();
     return {
-      location: config?.defaults?.default_location?.name,
+      location: getRegion().center.name,
       coordinates: [lat, lon],
       landmarks: config?.test_mode?.test_landmarks || [],
       cache_type: 'test_mode',
@@ -126,10 +127,10 @@ export async function queryLocationWithGPT(
 ) {
   if (isTestMode()) {
     console.log('Using test location (test mode enabled)');
-    const config = await getConfig();
+    await getConfig(); // selects the region
     return {
       location: query,
-      landmarks: config?.defaults?.default_location,
+      landmarks: getRegion().center,
     };
   }
 
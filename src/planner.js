@@ -0,0 +1,437 @@
+/**
+  Point-to-point journey planner on top of hkbusData:
+  - walkable boarding/alighting stops from findStopsNear
+  - direct routes, then up to two transfers (RAPTOR-style rounds)
+  - in-vehicle time interpolated from route `jt` (see timetable.js),
+    walks at WALK_M_PER_MIN (see walking.js)
+  - no timetable: each boarding costs a flat expected wait
+  - circular routes run a second lap, so rides wrap past the terminus
+ */
+
+import { hkbusData } from './busdata.js';
+import { getStopOffsets } from './timetable.js';
+import {
+  MAX_TRANSFER_STOPS,
+  MAX_WALK_STOPS,
+  TRANSFER_RADIUS_M,
+  WALK_RADIUS_M,
+  walkMeters,
+  walkMinutes,
+} from './walking.js';
+
+const WAIT_MIN = 5; // flat expected wait per boarding
+const MAX_DIRECT_RESULTS = 5;
+const MAX_TRANSFER_RESULTS = 3;
+
+/**
+ * The stop sequence of a route with the cumulative ride minutes to each
+ * stop; a circular route runs a second lap, so rides wrap past the
+ * terminus. `size` is the number of the route's own stops and `lap` the
+ * number of stops once round (see routeStopIndex).
+ */
+export function getRouteSequence(busData, routeId, stops) {
+  const offsets = getStopOffsets(busData.data.routeList[routeId], stops);
+  const loop = busData.getRouteLoop(routeId);
+  const lap = loop ? loop.length : stops.length;
+  if (!loop) return { size: stops.length, lap, stops, offsets };
+  // Once round a loop, plus the hop back to the start if not listed
+  const lapMinutes = (lastOf(offsets) * lap) / (stops.length - 1);
+  return {
+    size: stops.length,
+    lap,
+    stops: stops.concat(stops.slice(stops.length - lap)),
+    offsets: offsets.concat(
+      offsets.slice(stops.length - lap).map((o) => o + lapMinutes)
+    ),
+  };
+}
+
+// Route network derived from the loaded dataset, rebuilt when data changes
+let network = null;
+
+/**
+ * Build the stop sequences and cumulative ride minutes of every route,
+ * plus a reverse index stopId -> [[routeIndex, sequenceIndex]] over the
+ * route's own stops (not the second lap of a circular route).
+ */
+function getNetwork(busData) {
+  if (network && network.data === busData.data) return network;
+
+  const routes = [];
+  const routesByStop = new Map();
+  for (const routeId of Object.keys(busData.data?.routeList || {})) {
+    const routeStops = busData.getStopsByRoute(routeId);
+    // Use the first company's stop list (assuming shared stops for joint routes)
+    const company = Object.keys(routeStops)[0];
+    const stops = company ? routeStops[company] : [];
+    if (stops.length < 2) continue;
+
+    const index = routes.length;
+    routes.push({
+      id: routeId,
+      route: busData.data.routeList[routeId].route,
+      company,
+      ...getRouteSequence(busData, routeId, stops),
+    });
+    stops.forEach((stop, seq) => {
+      if (!routesByStop.has(stop.id)) routesByStop.set(stop.id, []);
+      routesByStop.get(stop.id).push([index, seq]);
+    });
+  }
+
+  network = { data: busData.data, routes, routesByStop };
+  return network;
+}
+
+function lastOf(array) {
+  return array[array.length - 1];
+}
+
+// Index into the route's own stops of a network sequence index
+function routeStopIndex(route, seq) {
+  return seq < route.size ? seq : seq - route.lap;
+}
+
+// Compact stop record for itinerary legs
+function stopInfo(stop) {
+  return { id: stop.id, name: stop.name, location: stop.location };
+}
+
+/**
+ * Walkable stops around a point, as Map stopId -> { stop, meters }
+ */
+function walkableStops(busData, point, radiusMeters, maxResult) {
+  const result = new Map();
+  const stops = busData.findStopsNear(
+    point.lat,
+    point.lng,
+    radiusMeters,
+    maxResult,
+    0
+  );
+  for (const stop of stops) {
+    result.set(stop.id, { stop, meters: walkMeters(point, stop.location) });
+  }
+  return result;
+}
+
+/**
+ * Plan journeys from origin to destination ({lat, lng} each).
+ * Returns itineraries ranked direct first, then by number of transfers,
+ * then by total minutes. Each itinerary is:
+ *   { transfers, totalMinutes, rideMinutes, walkMinutes, waitMinutes, legs }
+ * where legs alternate walk legs { type: 'walk', from, to, meters, minutes }
+ * and ride legs { type: 'ride', routeId, route, company, fromIndex,
+ * toIndex, stops, minutes }.
+ */
+export function planJourney(origin, destination, options = {}) {
+  const {
+    walkRadius = WALK_RADIUS_M,
+    transferRadius = TRANSFER_RADIUS_M,
+    maxTransfers = 2,
+    waitMinutes = WAIT_MIN,
+  } = options;
+  const busData = options.busData || hkbusData;
+  if (!busData.data || !origin || !destination) return [];
+
+  const net = getNetwork(busData);
+  const boarding = walkableStops(busData, origin, walkRadius, MAX_WALK_STOPS);
+  const alighting = walkableStops(
+    busData,
+    destination,
+    walkRadius,
+    MAX_WALK_STOPS
+  );
+  if (boarding.size === 0 || alighting.size === 0) return [];
+
+  // Round 0: walk from origin to every boarding stop
+  let labels = new Map();
+  for (const [stopId, { meters }] of boarding) {
+    labels.set(stopId, {
+      time: walkMinutes(meters),
+      parent: { type: 'origin', meters },
+    });
+  }
+  let marked = new Set(labels.keys());
+  // Best known arrival at each stop over all rounds (for pruning)
+  const bestTime = new Map();
+  for (const [stopId, label] of labels) bestTime.set(stopId, label.time);
+
+  const candidates = [];
+  for (let round = 1; round <= maxTransfers + 1; round++) {
+    const rides = scanRoutes(net, labels, marked, bestTime, waitMinutes);
+
+    for (const [stopId, label] of rides) {
+      const walk = alighting.get(stopId);
+      if (!walk) continue;
+      candidates.push(
+        buildItinerary(net, label, walk, destination, round - 1, waitMinutes)
+      );
+    }
+
+    if (round === maxTransfers + 1) break;
+    ({ labels, marked } = transferWalks(
+      busData,
+      rides,
+      bestTime,
+      transferRadius
+    ));
+    if (marked.size === 0) break;
+  }
+
+  return rankItineraries(
+    candidates.concat(
+      directItineraries(net, boarding, alighting, destination, waitMinutes)
+    )
+  );
+}
+
+/**
+ * One RAPTOR round: ride every route through a marked stop, boarding at
+ * the stop with the best previous label. Returns Map stopId -> ride label.
+ */
+function scanRoutes(net, labels, marked, bestTime, waitMinutes) {
+  // Earliest marked position along each route
+  const queue = new Map();
+  for (const stopId of marked) {
+    for (const [routeIndex, seq] of net.routesByStop.get(stopId) || []) {
+      const first = queue.get(routeIndex);
+      if (first === undefined || seq < first) queue.set(routeIndex, seq);
+    }
+  }
+
+  const rides = new Map();
+  for (const [routeIndex, first] of queue) {
+    const { stops, offsets } = net.routes[routeIndex];
+    let boardTime = Infinity; // arrival time minus ride offset at boarding
+    let boardIndex = -1;
+    let boardLabel = null;
+
+    for (let i = first; i < stops.length; i++) {
+      const stopId = stops[i].id;
+
+      // Alight first, so a stop is never boarded and alighted at once
+      if (boardIndex >= 0) {
+        const time = boardTime + offsets[i];
+        if (time < (bestTime.get(stopId) ?? Infinity)) {
+          bestTime.set(stopId, time);
+          rides.set(stopId, {
+            time,
+            parent: {
+              type: 'ride',
+              routeIndex,
+              fromIndex: boardIndex,
+              toIndex: i,
+              prev: boardLabel,
+            },
+          });
+        }
+      }
+
+      const label = labels.get(stopId);
+      if (label && label.time + waitMinutes - offsets[i] < boardTime) {
+        boardTime = label.time + waitMinutes - offsets[i];
+        boardIndex = i;
+        boardLabel = label;
+      }
+    }
+  }
+  return rides;
+}
+
+/**
+ * Relax transfer walks from every stop reached by a ride.
+ * Returns the labels to board from in the next round, and their stop IDs.
+ */
+function transferWalks(busData, rides, bestTime, transferRadius) {
+  const labels = new Map(rides);
+  for (const [stopId, ride] of rides) {
+    const location = busData.data.stopList[stopId]?.location;
+    if (!location) continue;
+
+    const nearby = walkableStops(
+      busData,
+      location,
+      transferRadius,
+      MAX_TRANSFER_STOPS
+    );
+    for (const [nearId, { meters }] of nearby) {
+      if (nearId === stopId) continue;
+      const time = ride.time + walkMinutes(meters);
+      if (time >= (bestTime.get(nearId) ?? Infinity)) continue;
+      bestTime.set(nearId, time);
+      labels.set(nearId, {
+        time,
+        parent: { type: 'walk', fromStopId: stopId, meters, prev: ride },
+      });
+    }
+  }
+  return { labels, marked: new Set(labels.keys()) };
+}
+
+/**
+ * All single-ride options, one per route, with the best boarding and
+ * alighting pair. Listed separately since the rounds keep only the best
+ * route into each stop.
+ */
+function directItineraries(net, boarding, alighting, destination, waitMins) {
+  const results = [];
+  const routeIndexes = new Set();
+  for (const stopId of boarding.keys()) {
+    for (const [routeIndex] of net.routesByStop.get(stopId) || []) {
+      routeIndexes.add(routeIndex);
+    }
+  }
+
+  for (const routeIndex of routeIndexes) {
+    const { stops, offsets } = net.routes[routeIndex];
+    let best = null;
+    let boardCost = Infinity; // walk + wait minus ride offset at boarding
+    let boardIndex = -1;
+    for (let i = 0; i < stops.length; i++) {
+      const walkOff = alighting.get(stops[i].id);
+      if (boardIndex >= 0 && walkOff) {
+        const total = boardCost + offsets[i] + walkMinutes(walkOff.meters);
+        if (!best || total < best.total) {
+          best = { total, fromIndex: boardIndex, toIndex: i, walkOff };
+        }
+      }
+      const walkOn = boarding.get(stops[i].id);
+      if (
+        walkOn &&
+        walkMinutes(walkOn.meters) + waitMins - offsets[i] < boardCost
+      ) {
+        boardCost = walkMinutes(walkOn.meters) + waitMins - offsets[i];
+        boardIndex = i;
+      }
+    }
+    if (!best) continue;
+
+    const walkOn = boarding.get(stops[best.fromIndex].id);
+    const origin = {
+      time: walkMinutes(walkOn.meters),
+      parent: { type: 'origin', meters: walkOn.meters },
+    };
+    const ride = {
+      time: 0, // recomputed from the legs
+      parent: {
+        type: 'ride',
+        routeIndex,
+        fromIndex: best.fromIndex,
+        toIndex: best.toIndex,
+        prev: origin,
+      },
+    };
+    results.push(
+      buildItinerary(net, ride, best.walkOff, destination, 0, waitMins)
+    );
+  }
+  return results;
+}
+
+/**
+ * Follow the label parents back to the origin and lay out the legs.
+ */
+function buildItinerary(net, label, walkOff, destination, transfers, waitMins) {
+  const legs = [];
+  let current = label;
+  while (current) {
+    const { parent } = current;
+    if (parent.type === 'ride') {
+      const route = net.routes[parent.routeIndex];
+      const stops = route.stops.slice(parent.fromIndex, parent.toIndex + 1);
+      legs.push({
+        type: 'ride',
+        routeId: route.id,
+        route: route.route,
+        company: route.company,
+        fromIndex: routeStopIndex(route, parent.fromIndex),
+        toIndex: routeStopIndex(route, parent.toIndex),
+        stops: stops.map(stopInfo),
+        minutes:
+          route.offsets[parent.toIndex] - route.offsets[parent.fromIndex],
+      });
+    } else if (parent.type === 'walk') {
+      legs.push({ type: 'walk', meters: parent.meters });
+    } else {
+      legs.push({ type: 'walk', meters: parent.meters, from: 'origin' });
+    }
+    current = parent.prev;
+  }
+  legs.reverse();
+
+  // Resolve walk endpoints from the neighbouring ride legs
+  legs.forEach((leg, i) => {
+    if (leg.type !== 'walk') return;
+    leg.from = i === 0 ? 'origin' : lastOf(legs[i - 1].stops);
+    leg.to = legs[i + 1].stops[0];
+    leg.minutes = walkMinutes(leg.meters);
+  });
+  legs.push({
+    type: 'walk',
+    from: lastOf(lastOf(legs).stops),
+    to: 'destination',
+    meters: walkOff.meters,
+    minutes: walkMinutes(walkOff.meters),
+    location: destination,
+  });
+
+  const sum = (type) =>
+    legs
+      .filter((leg) => leg.type === type)
+      .reduce((total, leg) => total + leg.minutes, 0);
+  const rideMinutes = sum('ride');
+  const walkMins = sum('walk');
+  const waitMinutes =
+    legs.filter((leg) => leg.type === 'ride').length * waitMins;
+  return {
+    transfers,
+    totalMinutes: rideMinutes + walkMins + waitMinutes,
+    rideMinutes,
+    walkMinutes: walkMins,
+    waitMinutes,
+    legs,
+  };
+}
+
+/**
+ * Dedupe by route sequence, drop transfer options that are not faster
+ * than one with fewer transfers, and sort direct first.
+ */
+function rankItineraries(candidates) {
+  const bySignature = new Map();
+  for (const itinerary of candidates) {
+    const signature = itinerary.legs
+      .filter((leg) => leg.type === 'ride')
+      .map((leg) => leg.routeId)
+      .join('>');
+    const seen = bySignature.get(signature);
+    if (!seen || itinerary.totalMinutes < seen.totalMinutes) {
+      bySignature.set(signature, itinerary);
+    }
+  }
+
+  const sorted = [...bySignature.values()].sort(
+    (a, b) => a.transfers - b.transfers || a.totalMinutes - b.totalMinutes
+  );
+
+  const results = [];
+  let bestSoFar = Infinity;
+  let bestInGroup = Infinity;
+  let group = -1;
+  let groupCount = 0;
+  for (const itinerary of sorted) {
+    if (itinerary.transfers !== group) {
+      bestSoFar = Math.min(bestSoFar, bestInGroup);
+      bestInGroup = Infinity;
+      group = itinerary.transfers;
+      groupCount = 0;
+    }
+    const limit = group === 0 ? MAX_DIRECT_RESULTS : MAX_TRANSFER_RESULTS;
+    if (groupCount >= limit || itinerary.totalMinutes >= bestSoFar) continue;
+    bestInGroup = Math.min(bestInGroup, itinerary.totalMinutes);
+    groupCount++;
+    results.push(itinerary);
+  }
+  return results;
+}
@@ -0,0 +1,197 @@
+/* eslint-disable no-undef */
+import { busService } from './busservice.js';
+import { routeState, getLocName } from './busroute.js';
+import { convexHull } from './isochrone.js';
+import { i18n } from './lion.js';
+import {
+  getMapCenter,
+  handleError,
+  setLoading,
+  escapeHTML,
+  screenWidthThreshold,
+} from './utils.js';
+import { isWithinBounds } from './region.js';
+
+// DOM Elements
+const infoSidebar = document.getElementById('info-sidebar');
+const infoTitleContent = document.getElementById('info-title-content');
+const infoContent = document.getElementById('info-content');
+
+const BUDGETS = [15, 30, 45, 60]; // minutes
+const DEFAULT_BUDGET = 30;
+const MAX_MARKERS = 500; // fastest stops drawn; the hull covers them all
+const MAX_LISTED = 100;
+const HULL_COLOR = '#1a73e8';
+
+const reachState = {
+  stop: null,
+  budget: DEFAULT_BUDGET,
+  markers: [],
+  hull: null,
+};
+
+/**
+ * More-menu action: stops reachable by bus plus walking within a time
+ * budget, from the stop nearest the map center.
+ */
+export async function showReachabilityFromMap() {
+  const map = window.mapInstance;
+  if (!map) return;
+
+  const center = getMapCenter(map);
+  if (!isWithinBounds(center)) {
+    handleError(i18n.t('errors.out_of_region'));
+    return;
+  }
+  try {
+    setLoading(true);
+    if (!(await busService.load())) return;
+    const stop = await busService.findNearestStopGroup(center.lat, center.lng);
+    if (!stop) {
+      handleError(i18n.t('errors.no_results'));
+      return;
+    }
+    reachState.stop = stop;
+    await showReachability();
+  } catch (error) {
+    console.error('Error computing reachability:', error);
+    handleError(i18n.t('errors.no_results'));
+  } finally {
+    setLoading(false);
+  }
+}
+
+async function showReachability() {
+  const { stop, budget } = reachState;
+  const isochrone = await busService.computeIsochrone(stop.id, { budget });
+  // Skip if cleared or another stop was picked meanwhile
+  if (reachState.stop !== stop || reachState.budget !== budget) return;
+  renderReachSidebar(isochrone);
+  await drawIsochrone(isochrone);
+}
+
+// Band of a stop by the share of the budget it takes to reach
+function reachBand(minutes, budget) {
+  if (minutes <= budget / 3) return 'near';
+  if (minutes <= (budget * 2) / 3) return 'mid';
+  return 'far';
+}
+
+function renderReachSidebar(isochrone) {
+  if (!infoSidebar) return;
+  const stops = isochrone?.stops || [];
+  const options = BUDGETS.map(
+    (minutes) =>
+      `<option value="${minutes}" ${minutes === reachState.budget ? 'selected' : ''}>${i18n.t('reach.minutes', { count: minutes })}</option>`
+  ).join('');
+
+  infoTitleContent.innerHTML = `
+    <div class="info-sidebar-header">
+      <div class="nearest-stop-sidebar-title">
+        ${escapeHTML(i18n.t('reach.title', { stop: getLocName(reachState.stop.name) }))}
+      </div>
+      <div class="route-variant-bar">
+        <select class="route-variant-select reach-budget-select" title="${i18n.t('reach.budget')}">${options}</select>
+      </div>
+      <div class="route-sidebar-details">
+        ${i18n.t('reach.count', { count: stops.length })}
+      </div>
+    </div>
+  `;
+  infoContent.innerHTML =
+    stops
+      .slice(0, MAX_LISTED)
+      .map(
+        (stop) => `
+          <div class="route-stop-item">
+            <div class="route-stop-name">
+              <span class="reach-dot ${reachBand(stop.minutes, isochrone.budget)}"></span>
+              ${escapeHTML(getLocName(stop.name))}
+              <span class="route-stop-fare">
+                ${i18n.t('reach.minutes', { count: stop.minutes })}${
+                  stop.route ? ` · ${escapeHTML(String(stop.route))}` : ''
+                }
+              </span>
+            </div>
+          </div>
+        `
+      )
+      .join('') ||
+    `<div class="journey-hint">${i18n.t('reach.no_results')}</div>`;
+  infoSidebar.classList.remove('hidden');
+
+  // Header controls are re-rendered with the header, no cleanup needed
+  const select = infoTitleContent.querySelector('.reach-budget-select');
+  select.addEventListener('change', async () => {
+    reachState.budget = Number(select.value);
+    try {
+      setLoading(true);
+      await showReachability();
+    } finally {
+      setLoading(false);
+    }
+  });
+}
+
+async function drawIsochrone(isochrone) {
+  const map = window.mapInstance;
+  if (!map || !isochrone) return;
+  clearReachOverlays();
+
+  const { Polygon } = await google.maps.importLibrary('maps');
+  const { AdvancedMarkerElement } = await google.maps.importLibrary('marker');
+  const { LatLngBounds } = await google.maps.importLibrary('core');
+  const bounds = new LatLngBounds();
+
+  const points = isochrone.stops.map((stop) => stop.location);
+  points.forEach((point) => bounds.extend(point));
+  if (points.length >= 3) {
+    reachState.hull = new Polygon({
+      paths: convexHull(points),
+      strokeColor: HULL_COLOR,
+      strokeOpacity: 0.6,
+      strokeWeight: 1,
+      fillColor: HULL_COLOR,
+      fillOpacity: 0.08,
+      clickable: false,
+      map,
+    });
+  }
+  for (const stop of isochrone.stops.slice(0, MAX_MARKERS)) {
+    const icon = document.createElement('div');
+    icon.className = `reach-marker ${reachBand(stop.minutes, isochrone.budget)}`;
+    reachState.markers.push(
+      new AdvancedMarkerElement({
+        map,
+        position: stop.location,
+        content: icon,
+        title: `${getLocName(stop.name)} (${i18n.t('reach.minutes', { count: stop.minutes })})`,
+      })
+    );
+  }
+
+  const padding = { top: 50, bottom: 50, left: 50, right: 100 };
+  if (
+    window.innerWidth > screenWidthThreshold &&
+    !infoSidebar.classList.contains('hidden')
+  ) {
+    padding.left += infoSidebar.offsetWidth;
+  }
+  routeState.programmaticPan = true; // Keep the reachable stops in place
+  map.fitBounds(bounds, padding);
+}
+
+function clearReachOverlays() {
+  reachState.markers.forEach((marker) => (marker.map = null));
+  reachState.markers = [];
+  if (reachState.hull) reachState.hull.setMap(null);
+  reachState.hull = null;
+}
+
+/**
+ * Remove the reachable stop markers and hull.
+ */
+export function clearReachability() {
+  clearReachOverlays();
+  reachState.stop = null;
+}
@@ -0,0 +1,149 @@
+/**
+  Region profiles: everything that ties a deployment to one city.
+  - bounds {N, S, E, W} for "is this location served" checks
+  - center {lat, lon, name, country, country_code} and zoom of the map
+  - mapLanguage / mapRegion for the Google Maps script
+  - timezone for timetables, fares and GTFS export
+  - dataset under public/ (routeFareList JSON or GTFS zip)
+  - operatorColors { company: '#rrggbb' } for route pills
+  Select one with config `defaults.region`; config `regions` overrides the
+  fields of a built-in profile or adds a new one by id (on top of the Hong
+  Kong fields). Without `defaults.region`, the older `default_location`
+  and `zoom_level` defaults still set the map center and zoom.
+ */
+
+export const DEFAULT_REGION = 'hk';
+const M_PER_DEG_LAT = 111320;
+
+export const REGIONS = {
+  hk: {
+    bounds: { N: 22.57, S: 22.15, E: 114.5, W: 113.8 },
+    center: {
+      lat: 22.3086,
+      lon: 114.1722,
+      name: 'Kowloon',
+      country: 'Hong Kong',
+      country_code: 'HK',
+    },
+    zoom: 15,
+    mapLanguage: 'zh-HK',
+    mapRegion: 'HK',
+    timezone: 'Asia/Hong_Kong',
+    dataset: '/routeFareList.min.json',
+    operatorColors: {
+      kmb: '#ffdddd',
+      ctb: '#ffffcc',
+      nlb: '#cceeee',
+      lrtfeeder: '#eeddff',
+      gmb: '#ddffdd',
+      mtr: '#e6d7f5',
+      lightRail: '#e6d7f5',
+      sunferry: '#d2e6ff',
+      fortuneferry: '#d2e6ff',
+      hkkf: '#d2e6ff',
+    },
+  },
+};
+
+let activeRegion = { id: DEFAULT_REGION, ...REGIONS[DEFAULT_REGION] };
+
+/**
+ * The region profile a config selects: the built-in profile of
+ * `defaults.region` (Hong Kong if unknown) with config `regions` fields on
+ * top, plus its id.
+ */
+export function resolveRegion(config) {
+  const defaults = config?.defaults || {};
+  const id = defaults.region || DEFAULT_REGION;
+  const base = REGIONS[id] || REGIONS[DEFAULT_REGION];
+  // Configs from before region profiles set the map center and zoom
+  const legacy = defaults.region
+    ? {}
+    : {
+        ...(defaults.default_location && {
+          center: defaults.default_location,
+        }),
+        ...(defaults.zoom_level && { zoom: defaults.zoom_level }),
+      };
+  const override = config?.regions?.[id] || {};
+  return {
+    ...base,
+    ...legacy,
+    ...override,
+    id,
+    bounds: { ...base.bounds, ...override.bounds },
+    center: { ...base.center, ...legacy.center, ...override.center },
+    operatorColors: { ...base.operatorColors, ...override.operatorColors },
+  };
+}
+
+// Set from the loaded config (see utils.js getConfig / setConfig)
+export function setRegion(region) {
+  activeRegion = region;
+}
+
+export function getRegion() {
+  return activeRegion;
+}
+
+/**
+ * Degrees per metre north ({ lat }) and east ({ lng }) at a latitude.
+ */
+export function metersToDegrees(lat) {
+  const cosLat = Math.max(Math.cos((lat * Math.PI) / 180), 0.01);
+  return { lat: 1 / M_PER_DEG_LAT, lng: 1 / (M_PER_DEG_LAT * cosLat) };
+}
+
+/**
+ * Checks if coordinates ({ lat, lng } or { lat, lon }) are within bounds,
+ * by default those of the active region.
+ */
+export function isWithinBounds(coords, bounds = activeRegion.bounds) {
+  if (!coords) return false;
+  const lat = coords.lat;
+  const lng = coords.lng ?? coords.lon; // Handle both lng and lon
+
+  if (typeof lat !== 'number' || typeof lng !== 'number') {
+    return false;
+  }
+
+  return (
+    lat >= bounds.S && lat <= bounds.N && lng >= bounds.W && lng <= bounds.E
+  );
+}
+
+/**
+ * CSS rules giving each operator's route pills its region colour, at the
+ * shared pill transparency.
+ */
+export function getOperatorColorCSS(colors = activeRegion.operatorColors) {
+  return Object.entries(colors || {})
+    .map(([company, color]) => {
+      const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(color);
+      if (!match) return '';
+      const [r, g, b] = match.slice(1).map((hex) => parseInt(hex, 16));
+      return `.route-pill.${cssClassName(company)} { background-color: rgba(${r}, ${g}, ${b}, var(--pill-transparency)); }`;
+    })
+    .filter(Boolean)
+    .join('\n');
+}
+
+// Company codes become class names; keep them to safe characters
+function cssClassName(name) {
+  return String(name).replace(/[^\w-]/g, '');
+}
+
+/**
+ * Add (or replace) the active region's operator colour rules in the page,
+ * ahead of style.css so states such as .route-pill.active still win.
+ */
+export function applyOperatorColors() {
+  if (typeof document === 'undefined') return;
+  let style = document.getElementById('region-operator-colors');
+  if (!style) {
+    style = document.createElement('style');
+    style.id = 'region-operator-colors';
+    document.head.prepend(style);
+  }
+  style.textContent = getOperatorColorCSS();
+}
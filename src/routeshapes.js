@@ -0,0 +1,137 @@
+/**
+  Route shapes from the route-waypoints GeoJSON files (see hkbus.md):
+  - one file per route `gtfsId`, at the config `route_shapes_url` template
+    with {gtfsId} and {bound} (the route's first bound, O or I) filled in;
+    no shapes are loaded when the template is null
+  - LineString / MultiLineString geometry, in a Feature, a FeatureCollection
+    or bare; coordinates are [lng, lat]
+  - a file that is missing, or not JSON (the SPA's index.html served in
+    its place), is taken as no shape
+  - loaded shapes are cached in IndexedDB; routes without a shape come back
+    as null, for the caller to draw stop-to-stop lines instead
+ */
+
+import { fetchJSON, getConfig } from './utils.js';
+
+const CACHE_PREFIX = 'route_shape_v1:';
+const hasIDB = typeof indexedDB !== 'undefined';
+// Shapes (or null for missing files) already looked up this session
+const shapes = new Map();
+
+async function getShapeCache(key) {
+  if (!hasIDB) return undefined;
+  try {
+    const { get } = await import(
+      'https://cdn.jsdelivr.net/npm/idb-keyval@6/+esm'
+    );
+    return await get(CACHE_PREFIX + key);
+  } catch (e) {
+    console.warn('IDB Read Error', e);
+    return undefined;
+  }
+}
+
+async function setShapeCache(key, paths) {
+  if (!hasIDB) return;
+  try {
+    const { set } = await import(
+      'https://cdn.jsdelivr.net/npm/idb-keyval@6/+esm'
+    );
+    await set(CACHE_PREFIX + key, paths);
+  } catch (e) {
+    console.warn('IDB Write Error', e);
+  }
+}
+
+function toPath(coordinates) {
+  if (!Array.isArray(coordinates)) return [];
+  return coordinates
+    .filter(
+      (c) => Array.isArray(c) && Number.isFinite(c[0]) && Number.isFinite(c[1])
+    )
+    .map(([lng, lat]) => ({ lat, lng }));
+}
+
+/**
+ * Paths [[{ lat, lng }]] of the line geometry in a GeoJSON object,
+ * or null if it has none.
+ */
+export function parseRouteShape(geojson) {
+  const paths = [];
+  const visit = (node) => {
+    if (!node || typeof node !== 'object') return;
+    switch (node.type) {
+      case 'FeatureCollection':
+        (node.features || []).forEach(visit);
+        break;
+      case 'Feature':
+        visit(node.geometry);
+        break;
+      case 'GeometryCollection':
+        (node.geometries || []).forEach(visit);
+        break;
+      case 'LineString':
+        paths.push(toPath(node.coordinates));
+        break;
+      case 'MultiLineString':
+        (node.coordinates || []).forEach((line) => paths.push(toPath(line)));
+        break;
+    }
+  };
+  visit(geojson);
+  const lines = paths.filter((path) => path.length > 1);
+  return lines.length > 0 ? lines : null;
+}
+
+/**
+ * URL of a route's shape file from the template, or null if the route has
+ * no gtfsId or shapes are disabled.
+ */
+export function getRouteShapeUrl(route, template) {
+  if (!template || route?.gtfsId === undefined || route.gtfsId === null) {
+    return null;
+  }
+  const bound = Object.values(route.bound || {})[0] || 'O';
+  return template
+    .replace('{gtfsId}', encodeURIComponent(route.gtfsId))
+    .replace('{bound}', bound);
+}
+
+/**
+ * Shape paths of a shape file URL, or null when it is missing. A missing
+ * file may come back as the SPA's index.html rather than a 404, so a
+ * response that is not JSON counts as missing too.
+ */
+export async function fetchRouteShape(url, fetchImpl = fetchJSON) {
+  try {
+    const response = await fetchImpl(url);
+    if (!response.ok) return null;
+    const type = response.headers?.get('Content-Type') || '';
+    if (type && !/json/i.test(type)) return null;
+    const text = await response.text();
+    if (!/^\s*[{[]/.test(text)) return null;
+    return parseRouteShape(JSON.parse(text));
+  } catch (e) {
+    console.warn(`Failed to load route shape ${url}`, e);
+    return null;
+  }
+}
+
+/**
+ * Shape paths [[{ lat, lng }]] of a route, or null when it has none.
+ */
+export async function getRouteShape(route) {
+  const config = await getConfig();
+  const url = getRouteShapeUrl(route, config?.defaults?.route_shapes_url);
+  if (!url) return null;
+  if (shapes.has(url)) return shapes.get(url);
+
+  let paths = await getShapeCache(url);
+  if (!paths) {
+    paths = await fetchRouteShape(url);
+    // Missing files are not cached on disk: they may be added later
+    if (paths) await setShapeCache(url, paths);
+  }
+  shapes.set(url, paths || null);
+  return paths || null;
+}
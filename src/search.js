@@ -12,8 +12,8 @@ import {
   handleError,
   updateUrlParameters,
   getMapCenter,
-  isWithinHKBounds,
 } from './utils.js';
+import { isWithinBounds } from './region.js';
 import { mapPanTo, defaultZoom } from './app.js';
 import { displayLandmarks, clearLandMarkers } from './landmark.js';
 import { i18n } from './lion.js';
@@ -24,7 +24,7 @@ import {
   clearRouteState,
   getLocName,
 } from './busroute.js';
-import { hkbusData } from './busdata.js';
+import { busService } from './busservice.js';
 
 // DOM Elements
 const searchSidebar = document.getElementById('search-sidebar');
@@ -194,8 +194,8 @@ export async function searchLandmarks() {
     setLoading(true);
 
     const center = getMapCenter(map);
-    if (!isWithinHKBounds(center)) {
-      handleError(i18n.t('errors.out_of_hk_bounds'));
+    if (!isWithinBounds(center)) {
+      handleError(i18n.t('errors.out_of_region'));
       return;
     }
     const lat = normalizeCoordValue(center.lat);
@@ -204,8 +204,12 @@ export async function searchLandmarks() {
     const locationData = await getLocationDetails(lat, lon);
 
     // Build context for LLM
-    if (!hkbusData.data) await hkbusData.load();
-    const { context, title } = buildBusRouteContext(lat, lon, locationData);
+    await busService.load();
+    const { context, title } = await buildBusRouteContext(
+      lat,
+      lon,
+      locationData
+    );
     console.debug('AI Context:', context);
 
     let landmarkData = null;
@@ -259,12 +263,12 @@ export async function searchLandmarks() {
   }
 }
 
-function buildBusRouteContext(lat, lon, locationData) {
+async function buildBusRouteContext(lat, lon, locationData) {
   // 1. Active Route Context
-  if (routeState.activeId && hkbusData.data) {
-    const route = hkbusData.data.routeList[routeState.activeId];
+  if (routeState.activeId && busService.loaded) {
+    const route = await busService.getRoute(routeState.activeId);
     if (route) {
-      const stopsMap = hkbusData.getStopsByRoute(routeState.activeId);
+      const stopsMap = await busService.getStopsByRoute(routeState.activeId);
       const companies = Object.keys(stopsMap);
       const stops = companies.length ? stopsMap[companies[0]] : [];
 
@@ -286,10 +290,12 @@ function buildBusRouteContext(lat, lon, locationData) {
   }
 
   // 2. Nearest Stop Context
-  if (routeState.nearestStopId && hkbusData.data) {
-    const stop = hkbusData.data.stopList[routeState.nearestStopId];
+  if (routeState.nearestStopId && busService.loaded) {
+    const stop = await busService.getStopGroup(routeState.nearestStopId);
     if (stop) {
-      const routes = hkbusData.getRoutesByStop(routeState.nearestStopId);
+      const routes = await busService.getRoutesByStopGroup(
+        routeState.nearestStopId
+      );
       // limiting routes (to some unique destinations) to save tokens
       const seenDests = new Set();
       const routeList = routes
@@ -334,14 +340,11 @@ export async function searchText(query) {
     setLoading(true);
 
     // Pass 1: Bus Route Search
-    if (!hkbusData.data) await hkbusData.load();
-    const routeResults = hkbusData.searchRouteByNumber(query);
+    await busService.load();
+    const routeResults = await busService.searchRouteByNumber(query);
     if (routeResults.length > 0) {
       clearRouteState();
-      const routes = routeResults.map(([id]) => ({
-        id,
-        ...hkbusData.data.routeList[id],
-      }));
+      const routes = await busService.getRoutes(routeResults.map(([id]) => id));
       const title = `${i18n.t('app.search_route')}: ${query}`;
       renderRouteListSidebar(title, routes, {
         onRouteSelect: () => addSearchHistory(query),
@@ -351,13 +354,10 @@ export async function searchText(query) {
     }
 
     // Pass 2: Bus Stop Search
-    const stopResults = hkbusData.searchStopByName(query);
+    const stopResults = await busService.searchStopByName(query);
     if (stopResults.length > 0) {
       clearRouteState();
-      const routes = stopResults.map(([id]) => ({
-        id,
-        ...hkbusData.data.routeList[id],
-      }));
+      const routes = await busService.getRoutes(stopResults.map(([id]) => id));
       // Filter duplicates if any (though searchStopByName handles unique route IDs)
       const title = `${i18n.t('app.search_stop')}: ${query}`;
       renderRouteListSidebar(title, routes, {
@@ -369,7 +369,7 @@ export async function searchText(query) {
 
     // Pass 3: Geocoding API to lookup location
     const coords = await getLocationCoord(query);
-    if (coords && isWithinHKBounds(coords)) {
+    if (coords && isWithinBounds(coords)) {
       console.debug(`location of "${query}": ${coords.lat}, ${coords.lon}`);
       mapPanTo(coords.lat, coords.lon, defaultZoom);
       updateUrlParameters(map, true);
@@ -380,11 +380,11 @@ export async function searchText(query) {
     let locData = await PlaceTextSearch(query, i18n.userLocale);
     if (locData?.landmarks?.length > 0) {
       const landmark = locData.landmarks[0];
-      if (isWithinHKBounds(landmark)) {
+      if (isWithinBounds(landmark)) {
         mapPanTo(landmark.lat, landmark.lon, defaultZoom);
         updateUrlParameters(map, true);
       } else {
-        handleError(i18n.t('errors.out_of_hk_bounds'));
+        handleError(i18n.t('errors.out_of_region'));
       }
     } else {
       handleError(i18n.t('errors.location_not_found'));
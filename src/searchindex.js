@@ -0,0 +1,190 @@
+/**
+  Search index over stop names and route origins/destinations:
+  - English names are tokenised, and match exactly, by prefix or within a
+    small edit distance (typos, swapped letters)
+  - Chinese names match by character n-grams (bigrams)
+  - an optional romanisation table { char: reading | [readings] } adds the
+    Jyutping/Pinyin syllables of Chinese names as extra tokens
+  - results are ranked by relevance, best first
+ */
+
+const CJK_CHAR = /[\u3400-\u9fff\uf900-\ufaff]/;
+const MIN_SCORE = 0.5;
+const EXACT_BONUS = 1;
+const SUBSTRING_SCORE = 0.9;
+const PREFIX_SCORE = 0.9;
+const EDIT_PENALTY = 0.2;
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent swaps),
+ * giving up with Infinity once it must exceed maxDistance.
+ */
+export function editDistance(a, b, maxDistance = Infinity) {
+  if (Math.abs(a.length - b.length) > maxDistance) return Infinity;
+  let prev2 = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let d = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prev2 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d = Math.min(d, prev2[j - 2] + 1);
+      }
+      row.push(d);
+      rowMin = Math.min(rowMin, d);
+    }
+    if (rowMin > maxDistance) return Infinity;
+    prev2 = prev;
+    prev = row;
+  }
+  const distance = prev[b.length];
+  return distance > maxDistance ? Infinity : distance;
+}
+
+// Lowercase latin/digit tokens of a text
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+function cjkChars(text) {
+  return [...String(text || '')].filter((c) => CJK_CHAR.test(c));
+}
+
+// Character bigrams, or the single character of a one-character text
+function ngrams(chars) {
+  if (chars.length < 2) return chars;
+  const grams = [];
+  for (let i = 0; i < chars.length - 1; i++)
+    grams.push(chars[i] + chars[i + 1]);
+  return grams;
+}
+
+function nameTexts(name) {
+  if (!name) return [];
+  if (typeof name === 'string') return [name];
+  return Object.values(name).map(String);
+}
+
+// Romanised syllables of the Chinese characters, plus the joined first readings
+function romanisedTokens(chars, romanisation) {
+  const tokens = [];
+  let joined = '';
+  for (const char of chars) {
+    const readings = [].concat(romanisation[char] || []);
+    readings.forEach((reading) => tokens.push(...tokenize(reading)));
+    if (readings.length > 0) joined += tokenize(readings[0]).join('');
+  }
+  if (joined) tokens.push(joined);
+  // Jyutping/Pinyin tone numbers are not typed in searches
+  return tokens.map((t) => t.replace(/[0-9]+$/, '')).filter(Boolean);
+}
+
+function addToMap(map, key, value) {
+  if (!map.has(key)) map.set(key, new Set());
+  map.get(key).add(value);
+}
+
+/**
+ * Build an index over `entries` of { name, refs }, where name is a string or
+ * a { en, zh, ... } object and refs are whatever a match should return
+ * (e.g. route IDs). Entries with the same name are merged.
+ */
+export function buildSearchIndex(entries, romanisation = null) {
+  const index = { entries: [], tokens: new Map(), grams: new Map() };
+  const byKey = new Map();
+
+  for (const { name, refs } of entries) {
+    const texts = nameTexts(name);
+    if (texts.length === 0) continue;
+    const key = texts.join('|');
+    let id = byKey.get(key);
+    if (id === undefined) {
+      id = index.entries.length;
+      byKey.set(key, id);
+
+      const chars = cjkChars(texts.join(''));
+      const tokens = new Set(texts.flatMap(tokenize));
+      if (romanisation) {
+        romanisedTokens(chars, romanisation).forEach((t) => tokens.add(t));
+      }
+      const grams = new Set(texts.flatMap((text) => ngrams(cjkChars(text))));
+      index.entries.push({
+        name,
+        text: texts.join(' ').toLowerCase(),
+        refs: new Set(),
+      });
+      tokens.forEach((token) => addToMap(index.tokens, token, id));
+      grams.forEach((gram) => addToMap(index.grams, gram, id));
+    }
+    (refs || []).forEach((ref) => index.entries[id].refs.add(ref));
+  }
+  return index;
+}
+
+// Score of an indexed token for a query token, 0 if no match
+function tokenScore(query, token) {
+  if (query === token) return 1;
+  if (query.length >= 2 && token.startsWith(query)) return PREFIX_SCORE;
+  const maxEdits = query.length <= 3 ? 0 : query.length <= 6 ? 1 : 2;
+  if (maxEdits === 0) return 0;
+  const d = editDistance(query, token, maxEdits);
+  return d <= maxEdits ? 1 - EDIT_PENALTY * d : 0;
+}
+
+/**
+ * Ranked matches of a query: [{ entry, score }], best first.
+ * Each query word or Chinese bigram adds to an entry's score, so entries
+ * matching the whole query outrank those matching part of it.
+ */
+export function searchIndex(index, query) {
+  const q = String(query || '')
+    .trim()
+    .toLowerCase();
+  if (!q) return [];
+
+  const queryTokens = tokenize(q);
+  const queryGrams = ngrams(cjkChars(q));
+  const parts = queryTokens.length + queryGrams.length;
+  const scores = new Map(); // entry id -> summed part scores
+
+  for (const queryToken of queryTokens) {
+    const best = new Map();
+    for (const [token, ids] of index.tokens) {
+      const score = tokenScore(queryToken, token);
+      if (score === 0) continue;
+      for (const id of ids) {
+        if (score > (best.get(id) || 0)) best.set(id, score);
+      }
+    }
+    best.forEach((score, id) => scores.set(id, (scores.get(id) || 0) + score));
+  }
+  for (const gram of new Set(queryGrams)) {
+    const ids = index.grams.get(gram);
+    if (!ids) continue;
+    const weight = queryGrams.filter((g) => g === gram).length;
+    ids.forEach((id) => scores.set(id, (scores.get(id) || 0) + weight));
+  }
+
+  const results = [];
+  index.entries.forEach((entry, id) => {
+    let score = parts > 0 ? (scores.get(id) || 0) / parts : 0;
+    // Plain substring matches still count, e.g. inside a word
+    if (entry.text.includes(q)) score = Math.max(score, SUBSTRING_SCORE);
+    if (score < MIN_SCORE) return;
+    if (nameTexts(entry.name).some((text) => text.toLowerCase() === q)) {
+      score += EXACT_BONUS;
+    }
+    results.push({ entry, score });
+  });
+
+  // Ties go to the shorter name, being the closer match
+  results.sort(
+    (a, b) => b.score - a.score || a.entry.text.length - b.entry.text.length
+  );
+  return results;
+}
@@ -51,6 +51,52 @@ function error(message) {
   console.error(`❌ ${message}`);
 }
 
+// Fields of hkbusData a mock dataset replaces (see useMockDataset)
+const MOCKED_FIELDS = [
+  'snapshot',
+  'data',
+  'stopsArray',
+  'stopToRoutes',
+  'stopToOperators',
+  'spatialIndex',
+  'stopGroups',
+  'routeVariants',
+];
+
+/**
+ * Swap a mock dataset ({ stopList, routeList, ... }) into hkbusData with
+ * the indexes load() builds for it (see buildIndexes), so suites query the
+ * same index shapes as the app. Returns a function restoring the previous
+ * dataset and indexes.
+ */
+async function useMockDataset(data) {
+  const { hkbusData, buildIndexes } = await import('./busdata.js');
+  const saved = Object.fromEntries(
+    MOCKED_FIELDS.map((key) => [key, hkbusData[key]])
+  );
+  hkbusData.applySnapshot({ data }, buildIndexes(data));
+  return () => Object.assign(hkbusData, saved);
+}
+
+/**
+ * A suite's assertions: check(name, actual, expected) logs a pass or the
+ * expected and actual values, and passed() tells whether all checks did.
+ */
+function makeChecker() {
+  let allPassed = true;
+  const check = (name, actual, expected) => {
+    if (actual === expected) {
+      log(`✅ PASSED: ${name}`);
+    } else {
+      error(`FAILED: ${name}`);
+      log(`  -> Expected: ${expected}`);
+      log(`  -> Got:      ${actual}`);
+      allPassed = false;
+    }
+  };
+  return { check, passed: () => allPassed };
+}
+
 // Configuration loading
 async function loadConfig() {
   const { getConfig, setConfig } = await import('./utils.js');
@@ -66,13 +112,7 @@ async function loadConfig() {
       window.APP_CONFIG.OPENAI_API_KEY = process.env.OPENAI_API_KEY || null;
       config = {
         defaults: {
-          default_location: {
-            name: 'Kowloon',
-            country: 'Hong Kong',
-            country_code: 'HK',
-            lat: 22.3086,
-            lon: 114.1722,
-          },
+          region: 'hk',
           search_radius: 15,
         },
         test_mode: {
@@ -96,115 +136,2199 @@ async function loadConfig() {
 }
 
 /**
- * Test suite for the findStopsNear function in HKBusData.
+ * Test suite for the findStopsNear function in HKBusData.
+ */
+async function testFindStopsNear() {
+  let allTestsPassed = true;
+  const { hkbusData } = await import('./busdata.js');
+
+  // Backup original data to restore later, ensuring test isolation
+  const originalData = hkbusData.data;
+  const originalStopsArray = hkbusData.stopsArray;
+  const originalStopToOperators = hkbusData.stopToOperators;
+
+  // 1. SETUP: Create a controlled, mock dataset.
+  // The spatial grid is rebuilt lazily once stopsArray is swapped.
+  // We define stops with predictable distances from our search center (22.3, 114.1).
+  const mockStopsArray = [
+    { id: 'A', name: 'Stop A (11m)', location: { lat: 22.3001, lng: 114.1 } }, // ~11m away
+    { id: 'B', name: 'Stop B (51m)', location: { lat: 22.3, lng: 114.1005 } }, // ~51m away
+    { id: 'C', name: 'Stop C (111m)', location: { lat: 22.299, lng: 114.1 } }, // ~111m away
+    { id: 'D', name: 'Stop D (204m)', location: { lat: 22.3, lng: 114.102 } }, // ~204m away
+    { id: 'E', name: 'Stop E (10m)', location: { lat: 22.3, lng: 114.0999 } }, // ~10m away (closest)
+    { id: 'F', name: 'Stop F (21m)', location: { lat: 22.3, lng: 114.1002 } }, // ~21m away, no route serves it
+  ];
+
+  const mockStopToOperators = {
+    A: new Set(['kmb']),
+    B: new Set(['ctb']),
+    C: new Set(['kmb']),
+    D: new Set(['kmb', 'nlb']),
+    E: new Set(['ctb', 'kmb']),
+  };
+
+  // Simple assertion helper for clear test results
+  const check = (name, actual, expected) => {
+    const actualIds = actual.map((s) => s.id).join(',');
+    const expectedIds = expected.join(',');
+    if (actualIds === expectedIds) {
+      log(`✅ PASSED: ${name}`);
+    } else {
+      error(`FAILED: ${name}`);
+      log(`  -> Expected: [${expectedIds}]`);
+      log(`  -> Got:      [${actualIds}]`);
+      allTestsPassed = false;
+    }
+  };
+
+  try {
+    // 2. ISOLATION: Temporarily inject mock data for this test suite
+    hkbusData.stopsArray = mockStopsArray;
+    hkbusData.stopToOperators = mockStopToOperators;
+    hkbusData.data = { stopList: {}, routeList: {} }; // Prevent null reference
+
+    // 3. EXECUTION: Run a series of test cases against the mock data.
+    const centerLat = 22.3;
+    const centerLng = 114.1;
+
+    // Test Case 1: Basic search, should return stops within 60m, sorted by distance.
+    let result1 = hkbusData.findStopsNear(centerLat, centerLng, 60);
+    check('Basic search within 60m', result1, ['E', 'A', 'B']);
+
+    // Test Case 2: `maxResult` limit should truncate the result set.
+    let result2 = hkbusData.findStopsNear(centerLat, centerLng, 60, 2);
+    check('maxResult limit of 2', result2, ['E', 'A']);
+
+    // Test Case 3: Auto-expansion. Initial radius (40m) finds 2 stops, which is < minResult (3).
+    // The function should auto-expand the search to 2x radius (80m) to meet the minimum.
+    let result3 = hkbusData.findStopsNear(centerLat, centerLng, 40, 10, 3);
+    check('Auto-expansion when minResult is not met', result3, ['E', 'A', 'B']);
+
+    // Test Case 4: Operator filter. Should only return stops operated by 'kmb'.
+    let result4 = hkbusData.findStopsNear(centerLat, centerLng, 120, 10, 1, [
+      'kmb',
+    ]);
+    check("Operator filter for 'kmb'", result4, ['E', 'A', 'C']);
+
+    // Test Case 5: Joint operator filter. Should find stops operated by 'nlb'.
+    let result5 = hkbusData.findStopsNear(centerLat, centerLng, 300, 10, 1, [
+      'nlb',
+    ]);
+    check("Operator filter for 'nlb' (joint route)", result5, ['D']);
+
+    // Test Case 6: Skipped as requested. The auto-expansion logic is designed
+    // to avoid returning no results, making this test case invalid.
+    // let result6 = hkbusData.findStopsNear(centerLat, centerLng, 5);
+    // check('No results for a very small radius', result6, []);
+
+    // Test Case 7: Fallback to max radius. Initial radius (10m) finds 0 stops.
+    // 2x radius (20m) finds 2 stops. Still < minResult (3).
+    // Should fall back to the 4x max search area (40m) and return what it finds there.
+    let result7 = hkbusData.findStopsNear(centerLat, centerLng, 10, 10, 3);
+    check('Fallback to max search area', result7, ['E', 'A']);
+
+    // Test Case 8: k-nearest over the spatial grid, unbounded radius.
+    let result8 = hkbusData.findKNearestStops(centerLat, centerLng, 4);
+    check('k-nearest stops (k=4)', result8, ['E', 'A', 'B', 'C']);
+
+    // Test Case 9: k-nearest capped by radius and operator filter.
+    let result9 = hkbusData.findKNearestStops(centerLat, centerLng, 5, 150, [
+      'kmb',
+    ]);
+    check("k-nearest within 150m for 'kmb'", result9, ['E', 'A', 'C']);
+
+    // Test Case 10: Nearest stop from a point two grid cells away.
+    let result10 = hkbusData.findNearestStop(centerLat, 114.1063);
+    check('Nearest stop across grid cells', [result10], ['D']);
+
+    // Test Case 11: Nearest stop outside the radius returns nothing.
+    let result11 = hkbusData.findNearestStop(centerLat, 114.1063, 100);
+    check('Nearest stop outside radius', result11 ? [result11] : [], []);
+
+    // Test Case 12: Same query through the async service (in-process on Node).
+    const { busService } = await import('./busservice.js');
+    let result12 = await busService.findStopsNear(centerLat, centerLng, 60);
+    check('Async service query (in-process)', result12, ['E', 'A', 'B']);
+
+    // Test Case 13: Stops without operator info are left out, filter or not.
+    let result13 = hkbusData.findStopsNear(centerLat, centerLng, 30);
+    check('Stop no route serves is left out', result13, ['E', 'A']);
+  } finally {
+    // 4. CLEANUP: Restore original data to not affect app state
+    hkbusData.data = originalData;
+    hkbusData.stopsArray = originalStopsArray;
+    hkbusData.stopToOperators = originalStopToOperators;
+  }
+
+  // 5. VERIFICATION: Ensure original data was restored correctly.
+  // This is crucial to prevent tests from polluting the app's global state.
+  if (
+    hkbusData.data !== originalData ||
+    hkbusData.stopsArray !== originalStopsArray ||
+    hkbusData.stopToOperators !== originalStopToOperators
+  ) {
+    error('FAILED: testFindStopsNear did not restore original data state');
+    allTestsPassed = false;
+  } else {
+    log('✅ PASSED: Data restoration check');
+  }
+
+  return allTestsPassed;
+}
+
+/**
+ * Test suite for dataset snapshots on an in-memory cache and dataset file:
+ * cached loads, refresh past the max age, forced refresh, unchanged
+ * upstream and rollback to the previous snapshot.
+ */
+async function testSnapshots() {
+  const { check, passed } = makeChecker();
+  const { hkbusData } = await import('./busdata.js');
+  const { busService } = await import('./busservice.js');
+
+  const version = (price) => ({
+    stopList: {
+      S: { name: { en: 'Pier' }, location: { lat: 22.3, lng: 114.1 } },
+    },
+    routeList: {
+      R: { route: '1', co: ['kmb'], fares: [price], stops: { kmb: ['S'] } },
+    },
+  });
+  let upstream = version('5.3');
+  let reads = 0;
+  const diffs = [];
+  const fare = () => hkbusData.data?.routeList?.R?.fares[0];
+
+  const saved = Object.fromEntries(
+    [...MOCKED_FIELDS, 'cache', 'readFile', 'onRefresh'].map((key) => [
+      key,
+      hkbusData[key],
+    ])
+  );
+  hkbusData.cache = new Map();
+  hkbusData.readFile = async () => {
+    reads += 1;
+    return JSON.stringify(upstream);
+  };
+  hkbusData.onRefresh = (diff) => diffs.push(diff);
+  try {
+    check(
+      'No previous snapshot to restore',
+      await hkbusData.restorePreviousSnapshot(),
+      false
+    );
+
+    await hkbusData.load('/snapshot.json');
+    check('First load reads the dataset', reads, 1);
+    check('Dataset loaded', fare(), '5.3');
+
+    await hkbusData.load('/snapshot.json');
+    check('Fresh cached snapshot used as is', reads, 1);
+    check('No refresh while fresh', hkbusData.refreshing, null);
+
+    // Past the max age (24 hours by default) a load refreshes in the
+    // background; the upstream file is unchanged
+    hkbusData.snapshot.checkedAt -= 25 * 3600 * 1000;
+    await hkbusData.load('/snapshot.json');
+    check('Expired snapshot refreshed', await hkbusData.refreshing, false);
+    check('Expired snapshot re-read', reads, 2);
+    check(
+      'Unchanged upstream only marks the check',
+      Date.now() - hkbusData.snapshot.checkedAt < 60000,
+      true
+    );
+
+    upstream = version('5.8');
+    check(
+      'Forced refresh swaps changed data',
+      await hkbusData.refresh('/snapshot.json'),
+      true
+    );
+    check('Refreshed data', fare(), '5.8');
+    check(
+      'Refresh reports the changed routes',
+      diffs[0]?.changedRoutes.join(','),
+      'R'
+    );
+    check(
+      'Unchanged hash skipped',
+      await hkbusData.refresh('/snapshot.json'),
+      false
+    );
+    check('Skipped refresh reports nothing', diffs.length, 1);
+
+    check(
+      'Rollback through the service',
+      await busService.restorePreviousSnapshot(),
+      true
+    );
+    check('Previous data restored', fare(), '5.3');
+    check('Rollback reports the changed routes', diffs.length, 2);
+    await hkbusData.restorePreviousSnapshot();
+    check('Second rollback undoes the first', fare(), '5.8');
+  } finally {
+    Object.assign(hkbusData, saved);
+  }
+
+  return passed();
+}
+
+/**
+ * Test suite for planJourney on a small mock network:
+ * stops S1..S4 and T1..T3 along lat 22.3, ~515m apart (T1 is ~20m from S3).
+ */
+async function testPlanJourney() {
+  const { check, passed } = makeChecker();
+  const { planJourney } = await import('./planner.js');
+
+  const lngs = {
+    S1: 114.1,
+    S2: 114.105,
+    S3: 114.11,
+    S4: 114.115,
+    T1: 114.1102,
+    T2: 114.12,
+    T3: 114.125,
+  };
+  const stopList = {};
+  for (const [id, lng] of Object.entries(lngs)) {
+    stopList[id] = { name: { en: id }, location: { lat: 22.3, lng } };
+  }
+  const routeList = {
+    R1: {
+      route: '1',
+      co: ['kmb'],
+      jt: 15,
+      stops: { kmb: ['S1', 'S2', 'S3', 'S4'] },
+    },
+    R2: { route: '2', co: ['kmb'], jt: 10, stops: { kmb: ['T1', 'T2', 'T3'] } },
+    R3: { route: '3', co: ['ctb'], jt: 30, stops: { ctb: ['S1', 'S4'] } },
+  };
+
+  // Signature of an itinerary: route numbers joined by '>'
+  const routesOf = (itinerary) =>
+    itinerary.legs
+      .filter((leg) => leg.type === 'ride')
+      .map((leg) => leg.route)
+      .join('>');
+
+  const restore = await useMockDataset({ stopList, routeList });
+  try {
+    // Direct: both R1 and R3 run S1 -> S4, R1 is faster so ranks first.
+    const direct = planJourney(
+      { lat: 22.3, lng: 114.1001 },
+      { lat: 22.3, lng: 114.1149 }
+    );
+    check(
+      'Direct routes ranked by time',
+      direct.map(routesOf).join(','),
+      '1,3'
+    );
+    check(
+      'Direct ride stop sequence',
+      direct[0]?.legs[1]?.stops.map((s) => s.id).join(','),
+      'S1,S2,S3,S4'
+    );
+    check('Direct ride minutes from jt', direct[0]?.legs[1]?.minutes, 15);
+
+    // One transfer: R1 S1 -> S3, walk ~20m to T1, R2 T1 -> T3.
+    const transfer = planJourney(
+      { lat: 22.3, lng: 114.1001 },
+      { lat: 22.3, lng: 114.1249 }
+    );
+    check('One-transfer itinerary', transfer.map(routesOf).join(','), '1>2');
+    const walk = transfer[0]?.legs.find(
+      (leg) => leg.type === 'walk' && leg.from?.id === 'S3'
+    );
+    check('Transfer walk S3 -> T1', walk?.to?.id, 'T1');
+    check('Transfer count', transfer[0]?.transfers, 1);
+  } finally {
+    restore();
+  }
+
+  return passed();
+}
+
+/**
+ * Test suite for section fares and the holiday fare calendar.
+ */
+async function testFares() {
+  const { check, passed } = makeChecker();
+  const { isFareHoliday, getSectionFare, getRouteFare } = await import(
+    './fares.js'
+  );
+
+  const holidays = ['2026-10-01'];
+  // 2026-10-18 is a Sunday, noon HKT is 04:00 UTC
+  check(
+    'Sunday is a fare holiday',
+    isFareHoliday(new Date('2026-10-18T04:00:00Z'), holidays),
+    true
+  );
+  check(
+    'Listed public holiday',
+    isFareHoliday(new Date('2026-10-01T04:00:00Z'), holidays),
+    true
+  );
+  check(
+    'Weekday is not a fare holiday',
+    isFareHoliday(new Date('2026-10-20T04:00:00Z'), holidays),
+    false
+  );
+  check(
+    'Holiday date taken in HK time',
+    isFareHoliday(new Date('2026-09-30T17:00:00Z'), holidays),
+    true
+  );
+
+  const route = {
+    fares: ['9.8', '9.8', '6.4', '4.2'],
+    faresHoliday: ['10.5', '10.5', '6.9', '4.5'],
+  };
+  check('Section fare by boarding stop', getSectionFare(route, 2, 4), 6.4);
+  check('Holiday section fare', getSectionFare(route, 2, 4, true), 6.9);
+  check(
+    'Holiday falls back to regular fares',
+    getSectionFare({ fares: ['3.3'], faresHoliday: null }, 0, 1, true),
+    3.3
+  );
+  check(
+    'Unknown fare when fares is null',
+    getSectionFare({ fares: null }, 0, 1),
+    null
+  );
+  check('No fare for a backward ride', getSectionFare(route, 3, 1), null);
+
+  const sunday = await getRouteFare(
+    { routeList: { R1: route } },
+    'R1',
+    1,
+    3,
+    new Date('2026-10-18T04:00:00Z')
+  );
+  check('Route fare by ID on a Sunday', sunday.fare, 10.5);
+  check('Route fare reports the holiday', sunday.holiday, true);
+
+  return passed();
+}
+
+/**
+ * Test suite for frequency timetables: service windows, departures,
+ * headways and scheduled arrivals along a route.
+ */
+async function testTimetable() {
+  const { check, passed } = makeChecker();
+  const {
+    expandServiceWindows,
+    getNextDepartures,
+    getCurrentHeadway,
+    getFirstLastBus,
+    getStopOffsets,
+    getNextArrivals,
+    formatMinutes,
+    withOvernightWindows,
+    getRouteSchedules,
+  } = await import('./timetable.js');
+
+  const route = {
+    freq: {
+      // Weekdays every 10 min 06:00-07:00, then every 20 min until 00:20
+      31: { '0600': ['0700', '600'], '0700': ['0020', '1200'] },
+      // Sundays: a single 09:00 departure
+      287: { '0900': null },
+    },
+  };
+  const serviceDayMap = {
+    31: [0, 1, 1, 1, 1, 1, 0],
+    287: [1, 0, 0, 0, 0, 0, 0],
+  };
+  const monday = { weekday: 1, holiday: false };
+  const sunday = { weekday: 0, holiday: false };
+  const holiday = { weekday: 3, holiday: true };
+
+  const weekday = expandServiceWindows(route, monday, serviceDayMap);
+  check('Weekday windows filtered by service days', weekday.length, 2);
+  check('Band past midnight ends next day', weekday[1].end, 24 * 60 + 20);
+
+  const first = getFirstLastBus(weekday);
+  check('First bus', formatMinutes(first.first), '06:00');
+  check('Last bus wraps past midnight', formatMinutes(first.last), '00:20');
+
+  check(
+    'Next departures from 06:25',
+    getNextDepartures(weekday, [], 6 * 60 + 25, 3)
+      .map(formatMinutes)
+      .join(','),
+    '06:30,06:40,06:50'
+  );
+  check('Headway at 06:25', getCurrentHeadway(weekday, 6 * 60 + 25), 10);
+  check('Headway at 08:00', getCurrentHeadway(weekday, 8 * 60), 20);
+  check('No headway before service', getCurrentHeadway(weekday, 5 * 60), null);
+
+  const sundayWindows = expandServiceWindows(route, sunday, serviceDayMap);
+  check('Null band is a single departure', sundayWindows[0].headway, null);
+  check(
+    'Public holiday runs the Sunday timetable',
+    expandServiceWindows(route, holiday, serviceDayMap).length,
+    1
+  );
+  check(
+    'Next departures continue into tomorrow',
+    getNextDepartures(sundayWindows, weekday, 10 * 60, 2)
+      .map(formatMinutes)
+      .join(','),
+    '06:00,06:10'
+  );
+  check(
+    'All services run without a serviceDayMap',
+    expandServiceWindows(route, monday).length,
+    3
+  );
+
+  // 1 km then 3 km between stops: 40 min `jt` splits 10 + 30
+  const stops = [
+    { location: { lat: 22.3, lng: 114.0 } },
+    { location: { lat: 22.309, lng: 114.0 } },
+    { location: { lat: 22.336, lng: 114.0 } },
+  ];
+  const offsets = getStopOffsets({ jt: 40 }, stops);
+  check('Offset weighted by distance', Math.round(offsets[1]), 10);
+  check('Offset at the last stop is jt', Math.round(offsets[2]), 40);
+  check(
+    'Even offsets without stop locations',
+    getStopOffsets({ jt: 40 }, [{}, {}, {}])[1],
+    20
+  );
+  check(
+    'Scheduled arrivals add the stop offset',
+    getNextArrivals(weekday, [], 15, 6 * 60 + 20, 2)
+      .map(formatMinutes)
+      .join(','),
+    '06:25,06:35'
+  );
+
+  // After midnight, yesterday's band past midnight is still running
+  const tuesday = withOvernightWindows(
+    expandServiceWindows(route, { weekday: 2, holiday: false }, serviceDayMap),
+    weekday
+  );
+  check(
+    'Next departures after midnight',
+    getNextDepartures(tuesday, [], 5, 2).map(formatMinutes).join(','),
+    '00:20,06:00'
+  );
+  check('Headway after midnight', getCurrentHeadway(tuesday, 10), 20);
+
+  // 00:30 on a Tuesday in Hong Kong
+  const overnight = {
+    routeList: {
+      N1: { route: 'N1', freq: { 31: { 2300: ['0100', '1200'] } } },
+    },
+  };
+  const late = await getRouteSchedules(
+    overnight,
+    ['N1'],
+    new Date('2026-03-09T16:30:00Z'),
+    2
+  );
+  check(
+    'Overnight band departures at 00:30',
+    late.N1?.next.join(','),
+    '00:40,01:00'
+  );
+  check('Overnight band headway at 00:30', late.N1?.headway, 20);
+
+  return passed();
+}
+
+/**
+ * Test suite for stop groups: P/Q are 5m apart, R has P's name 40m away,
+ * S another name 40m away, U has P's name but over 100m away. V1-V3 share
+ * a name 40m apart in a row.
+ */
+async function testStopGroups() {
+  const { check, passed } = makeChecker();
+  const { hkbusData } = await import('./busdata.js');
+
+  const name = { en: 'Central Pier', zh: '中環碼頭' };
+  const stopList = {
+    P: { name, location: { lat: 22.3, lng: 114.1 } },
+    Q: { name: { en: 'Pier' }, location: { lat: 22.30004, lng: 114.1 } },
+    R: { name: { ...name }, location: { lat: 22.30036, lng: 114.1 } },
+    S: { name: { en: 'Ferry' }, location: { lat: 22.3, lng: 114.1004 } },
+    U: { name: { ...name }, location: { lat: 22.3013, lng: 114.1 } },
+    V1: { name: { en: 'Tai Po Road' }, location: { lat: 22.31, lng: 114.1 } },
+    V2: {
+      name: { en: 'Tai Po Road' },
+      location: { lat: 22.31036, lng: 114.1 },
+    },
+    V3: {
+      name: { en: 'Tai Po Road' },
+      location: { lat: 22.31072, lng: 114.1 },
+    },
+  };
+
+  const restore = await useMockDataset({
+    stopList,
+    routeList: {
+      K1: { route: '1', stops: { kmb: ['P', 'S'] } },
+      C2: { route: '2', stops: { ctb: ['Q', 'U'] } },
+      C3: { route: '3', stops: { ctb: ['R', 'Q'] } },
+      K4: { route: '4', stops: { kmb: ['V1', 'V2', 'V3'] } },
+    },
+  });
+  try {
+    const group = hkbusData.getStopGroup('Q');
+    check(
+      'Close stops and same-name stops grouped',
+      group.stopIds.join(','),
+      'P,Q,R'
+    );
+    check('Group named after its first stop', group.name.en, 'Central Pier');
+    check(
+      'Different name 40m away not grouped',
+      hkbusData.getStopGroup('S').stopIds.join(','),
+      'S'
+    );
+    check(
+      'Same name 100m away not grouped',
+      hkbusData.getStopGroup('U').stopIds.join(','),
+      'U'
+    );
+    check(
+      'Same-name stops do not chain past the anchor',
+      ['V1', 'V3']
+        .map((id) => hkbusData.getStopGroup(id).stopIds.join(','))
+        .join(' / '),
+      'V1,V2 / V3'
+    );
+    check(
+      'Combined routes of a group, each once',
+      hkbusData
+        .getRoutesByStopGroup('P')
+        .map((r) => r.id)
+        .join(','),
+      'K1,C2,C3'
+    );
+    check(
+      'Nearby search returns groups',
+      hkbusData
+        .findStopGroupsNear(22.3, 114.1, 60)
+        .map((g) => g.id)
+        .join(','),
+      'P,S'
+    );
+    check(
+      'Nearest stop group',
+      hkbusData.findNearestStopGroup(22.30036, 114.1).id,
+      'P'
+    );
+  } finally {
+    restore();
+  }
+
+  return passed();
+}
+
+/**
+ * Test suite for route variants: route 1 outbound/inbound, a special
+ * outbound service, and a same-numbered route of another operator.
+ */
+async function testRouteVariants() {
+  const { check, passed } = makeChecker();
+  const { hkbusData } = await import('./busdata.js');
+
+  const route = (serviceType, bound, orig, dest, co = ['kmb']) => ({
+    route: '1',
+    co,
+    serviceType,
+    bound: { [co[0]]: bound },
+    orig: { en: orig },
+    dest: { en: dest },
+    stops: {},
+  });
+
+  const restore = await useMockDataset({
+    stopList: {},
+    routeList: {
+      '1+1+B+A': route(1, 'I', 'B', 'A'),
+      '1+2+A+C': route(2, 'O', 'A', 'C'),
+      '1+1+A+B': route(1, 'O', 'A', 'B'),
+      '1+1+X+Y': route(1, 'O', 'X', 'Y', ['ctb']),
+    },
+  });
+  try {
+    const variants = hkbusData.getRouteVariants('1+1+B+A');
+    check(
+      'Variants by number and operator, regular outbound first',
+      variants.map((v) => v.id).join(','),
+      '1+1+A+B,1+1+B+A,1+2+A+C'
+    );
+    check('Special service type labelled', variants[2].special, true);
+    check(
+      'Outbound paired with inbound twin',
+      hkbusData.getReverseRoute('1+1+A+B')?.id,
+      '1+1+B+A'
+    );
+    check(
+      'Special service falls back to the regular twin',
+      hkbusData.getReverseRoute('1+2+A+C')?.id,
+      '1+1+B+A'
+    );
+    check(
+      'No twin for a single-direction route',
+      hkbusData.getReverseRoute('1+1+X+Y'),
+      null
+    );
+  } finally {
+    restore();
+  }
+
+  return passed();
+}
+
+/**
+ * Test suite for the stop name search index: typos, swapped letters,
+ * Chinese n-grams, romanised names and relevance ranking.
+ */
+async function testSearchIndex() {
+  const { check, passed } = makeChecker();
+  const { hkbusData } = await import('./busdata.js');
+  const { editDistance } = await import('./searchindex.js');
+
+  const originalRomanisation = hkbusData.romanisation;
+
+  const routeIds = (query) =>
+    hkbusData
+      .searchStopByName(query)
+      .map(([id]) => id)
+      .join(',');
+
+  check('Edit distance with a swap', editDistance('tusi', 'tsui'), 1);
+  check('Edit distance capped', editDistance('kowloon', 'mong', 2), Infinity);
+
+  const restore = await useMockDataset({
+    stopList: {
+      S1: { name: { en: 'Mong Kok Station', zh: '旺角站' } },
+      S2: { name: { en: 'Tsim Sha Tsui Ferry', zh: '尖沙咀碼頭' } },
+    },
+    routeList: {
+      1: {
+        route: '1',
+        orig: { en: 'Central', zh: '中環' },
+        dest: { en: 'Mong Kok', zh: '旺角' },
+      },
+      2: {
+        route: '2',
+        orig: { en: 'Central', zh: '中環' },
+        dest: { en: 'Tsim Sha Tsui', zh: '尖沙咀' },
+        stops: { kmb: ['S2'] },
+      },
+      10: {
+        route: '10',
+        orig: { en: 'Mong Kok East', zh: '旺角東' },
+        dest: { en: 'Kowloon Tong', zh: '九龍塘' },
+        stops: { kmb: ['S1'] },
+      },
+    },
+  });
+  try {
+    hkbusData.romanisation = null;
+
+    check('Typo in an English name', routeIds('tsim sha tusi'), '2');
+    check('Exact name ranked first', routeIds('mong kok'), '1,10');
+    check('Chinese bigrams match a variant name', routeIds('旺角站'), '10,1');
+    check('Substring match still works', routeIds('owloon'), '10');
+    check('No match for unrelated text', routeIds('airport'), '');
+
+    hkbusData.romanisation = { 旺: 'wong6', 角: 'gok3', 站: 'zaam6' };
+    check('Romanised names without tones', routeIds('wong gok zaam'), '10,1');
+  } finally {
+    restore();
+    hkbusData.romanisation = originalRomanisation;
+  }
+
+  return passed();
+}
+
+/**
+ * Test suite for transport modes and the HKBusData mode filter.
+ */
+async function testModes() {
+  const { check, passed } = makeChecker();
+  const { hkbusData } = await import('./busdata.js');
+  const { getModeOperators, getRouteOperator, getStopMode, parseModes } =
+    await import('./modes.js');
+
+  const originalOperators = hkbusData.operators;
+
+  check(
+    'Ferry operators',
+    getModeOperators(['ferry']).join(','),
+    'sunferry,fortuneferry,hkkf'
+  );
+  check(
+    'Joint route styled by first operator',
+    getRouteOperator({ co: ['ctb', 'kmb'] }),
+    'kmb'
+  );
+  check(
+    'NLB route keeps its operator',
+    getRouteOperator({ co: ['nlb'] }),
+    'nlb'
+  );
+  check('Minibus drawn over bus', getStopMode(['kmb', 'gmb']), 'minibus');
+  check('Rail drawn over bus', getStopMode(['lrtfeeder', 'lightRail']), 'rail');
+  check(
+    'Invalid modes setting falls back to all',
+    parseModes('plane').length,
+    4
+  );
+  check(
+    'Modes setting parsed',
+    parseModes('Bus, ferry').join(','),
+    'bus,ferry'
+  );
+
+  const restore = await useMockDataset({
+    stopList: {
+      K: { location: { lat: 22.3, lng: 114.1 } },
+      N: { location: { lat: 22.3001, lng: 114.1 } },
+      F: { location: { lat: 22.3002, lng: 114.1 } },
+    },
+    routeList: {
+      K1: { route: '1', co: ['kmb'], stops: { kmb: ['K'] } },
+      N1: { route: '1', co: ['nlb'], stops: { nlb: ['N'] } },
+      F1: { route: '1', co: ['sunferry'], stops: { sunferry: ['F'] } },
+    },
+  });
+  try {
+    const nearIds = () =>
+      hkbusData
+        .findStopsNear(22.3, 114.1, 50)
+        .map((stop) => stop.id)
+        .join(',');
+
+    hkbusData.setModes();
+    check('All modes: NLB and ferry stops included', nearIds(), 'K,N,F');
+    hkbusData.setModes(['ferry']);
+    check('Ferry mode only', nearIds(), 'F');
+    hkbusData.setModes(['bus', 'minibus']);
+    check('Bus and minibus modes', nearIds(), 'K,N');
+  } finally {
+    restore();
+    hkbusData.operators = originalOperators;
+  }
+
+  return passed();
+}
+
+/**
+ * Test suite for the dataset validator on a small broken dataset.
+ */
+async function testValidateDataset() {
+  const { check, passed } = makeChecker();
+  const { validateDataset } = await import('./validate_data.js');
+
+  const stop = (lat) => ({
+    name: { en: 'Stop', zh: '站' },
+    location: { lat, lng: 114.1 },
+  });
+  const route = {
+    route: '1',
+    co: ['kmb'],
+    orig: { en: 'A' },
+    dest: { en: 'B' },
+    stops: { kmb: ['S1', 'S2', 'S3'] },
+    seq: 3,
+    fares: ['5.0', '4.0'],
+    freq: { 31: { '0600': ['2330', '600'], '0700': null } },
+  };
+  const valid = {
+    routeList: { good: route },
+    stopList: { S1: stop(22.3), S2: stop(22.31), S3: stop(22.32) },
+    stopMap: { S1: [['kmb', 'K1']] },
+  };
+  check(
+    'Valid dataset has no errors',
+    validateDataset(valid).summary.errors,
+    0
+  );
+
+  const broken = {
+    routeList: {
+      good: route,
+      bad: {
+        ...route,
+        stops: { kmb: ['S1', 'X9'] },
+        seq: 3,
+        fares: ['5.0', '4.0', '3.0', '2.0'],
+        freq: { 31: { 600: ['2330'], '0700': ['7pm', '0'] } },
+      },
+    },
+    stopList: { ...valid.stopList, S4: stop(23.5) },
+    stopMap: { X8: [['ctb', 'C1']] },
+  };
+  const { summary, issues } = validateDataset(broken);
+  const codes = summary.codes;
+  check('Unknown route stop', codes.unknown_stop, 1);
+  check('seq mismatch', codes.seq_mismatch, 1);
+  check('Fares not lining up with stops', codes.fares_mismatch, 1);
+  check('Malformed freq bands', codes.freq_malformed, 4);
+  check('Stop outside region bounds', codes.stop_out_of_bounds, 1);
+  check('stopMap entry for an unknown stop', codes.stop_map_unknown_stop, 1);
+  check('Issues point at the route', issues[0].routeId, 'bad');
+  check('Errors counted', summary.errors, 9);
+
+  return passed();
+}
+
+/**
+ * Test suite for the dataset diff between two small snapshots.
+ */
+async function testDatasetDiff() {
+  const { check, passed } = makeChecker();
+  const { diffDatasets } = await import('./datadiff.js');
+
+  const stop = (en, lat) => ({ name: { en }, location: { lat, lng: 114.1 } });
+  const oldData = {
+    routeList: {
+      R1: { stops: { kmb: ['A', 'B'] }, fares: ['5'], freq: null },
+      R2: { stops: { kmb: ['B', 'C'] }, fares: ['6'], jt: 20 },
+      R3: { stops: { ctb: ['C', 'D'] }, fares: ['7'] },
+      R4: { stops: { ctb: ['D'] } },
+    },
+    stopList: {
+      A: stop('A', 22.3),
+      B: stop('B', 22.31),
+      C: stop('C', 22.32),
+      D: stop('D', 22.33),
+    },
+  };
+  const newData = {
+    routeList: {
+      R1: { stops: { kmb: ['B', 'A'] }, fares: ['5'], freq: null },
+      R2: { stops: { kmb: ['B', 'C'] }, fares: ['6.5'], jt: 25 },
+      R3: { stops: { ctb: ['C', 'D'] }, fares: ['7'] },
+      R5: { stops: { ctb: ['E'] } },
+    },
+    stopList: {
+      A: stop('A', 22.3),
+      B: stop('B', 22.31),
+      C: stop('C', 22.32),
+      D: stop('D Renamed', 22.3305),
+      E: stop('E', 22.34),
+    },
+  };
+
+  const diff = diffDatasets(oldData, newData);
+  check('Added routes', diff.routes.added.join(','), 'R5');
+  check('Removed routes', diff.routes.removed.join(','), 'R4');
+  check('Re-sequenced route', diff.routes.resequenced[0]?.routeId, 'R1');
+  check('Fare change', diff.routes.fares.join(','), 'R2');
+  check('Timetable (jt) change', diff.routes.timetable.join(','), 'R2');
+  check('Moved stop', diff.stops.moved[0]?.stopId, 'D');
+  check('Renamed stop', diff.stops.renamed[0]?.stopId, 'D');
+  check('Added stops', diff.stops.added.join(','), 'E');
+  check(
+    'Changed routes include routes of touched stops',
+    diff.changedRoutes.sort().join(','),
+    'R1,R2,R3,R4'
+  );
+  check('Summary counts', diff.summary.changedRoutes, 4);
+
+  return passed();
+}
+
+/**
+ * Test suite for route shapes parsed from route-waypoints GeoJSON.
+ */
+async function testRouteShapes() {
+  const { check, passed } = makeChecker();
+  const { parseRouteShape, getRouteShapeUrl, fetchRouteShape } = await import(
+    './routeshapes.js'
+  );
+
+  const line = {
+    type: 'Feature',
+    properties: {},
+    geometry: {
+      type: 'LineString',
+      coordinates: [
+        [114.17, 22.3],
+        [114.171, 22.301],
+        [114.172, 22.303],
+      ],
+    },
+  };
+  const multi = {
+    type: 'MultiLineString',
+    coordinates: [
+      [
+        [114.1, 22.2],
+        [114.2, 22.3],
+      ],
+      [[114.3, 22.4]], // a single point is not a line
+    ],
+  };
+
+  const paths = parseRouteShape({
+    type: 'FeatureCollection',
+    features: [line, { type: 'Feature', geometry: multi }],
+  });
+  check('Lines of a FeatureCollection', paths?.length, 2);
+  check('Coordinates are [lng, lat]', paths?.[0][1].lat, 22.301);
+  check('Path length', paths?.[0].length, 3);
+  check(
+    'No line geometry',
+    parseRouteShape({ type: 'Point', coordinates: [114, 22] }),
+    null
+  );
+  check('Not GeoJSON', parseRouteShape('oops'), null);
+
+  const route = { gtfsId: '1001', bound: { kmb: 'I' } };
+  check(
+    'Shape URL',
+    getRouteShapeUrl(route, '/waypoints/{gtfsId}-{bound}.json'),
+    '/waypoints/1001-I.json'
+  );
+  check('No gtfsId', getRouteShapeUrl({}, '/waypoints/{gtfsId}.json'), null);
+  check('Shapes disabled', getRouteShapeUrl(route, null), null);
+
+  const respond = (body, type) => async () =>
+    new Response(body, { headers: { 'Content-Type': type } });
+  const fetched = await fetchRouteShape(
+    '/waypoints/1001-I.json',
+    respond(JSON.stringify(line), 'application/geo+json')
+  );
+  check('Fetched shape', fetched?.[0].length, 3);
+  check(
+    'SPA index.html is no shape',
+    await fetchRouteShape(
+      '/waypoints/1001-I.json',
+      respond('<!doctype html><html></html>', 'text/html')
+    ),
+    null
+  );
+  check(
+    'HTML without a content type is no shape',
+    await fetchRouteShape('/waypoints/1001-I.json', respond('<html>', '')),
+    null
+  );
+
+  return passed();
+}
+
+/**
+ * Test suite for corridors: route 1 A-F, route 2 joining it at B (from a
+ * co-located stop B2) and leaving after E, route 4 sharing its last three
+ * stops and route 3 sharing only two.
+ */
+async function testCorridors() {
+  const { check, passed } = makeChecker();
+  const { hkbusData } = await import('./busdata.js');
+
+  const stop = (en, lat, lng) => ({ name: { en }, location: { lat, lng } });
+  const stopList = {
+    A: stop('A', 22.3, 114.15),
+    B: stop('B', 22.3, 114.155),
+    B2: stop('B2', 22.30005, 114.155),
+    C: stop('C', 22.3, 114.16),
+    D: stop('D', 22.3, 114.165),
+    E: stop('E', 22.3, 114.17),
+    F: stop('F', 22.3, 114.175),
+    G: stop('G', 22.31, 114.17),
+    H: stop('H', 22.29, 114.157),
+    Z: stop('Z', 22.31, 114.155),
+  };
+  const routeList = {
+    K1: {
+      route: '1',
+      co: ['kmb'],
+      stops: { kmb: ['A', 'B', 'C', 'D', 'E', 'F'] },
+    },
+    C2: {
+      route: '2',
+      co: ['ctb'],
+      stops: { ctb: ['Z', 'B2', 'C', 'D', 'E', 'G'] },
+    },
+    K3: { route: '3', co: ['kmb'], stops: { kmb: ['A', 'B', 'H', 'C'] } },
+    K4: { route: '4', co: ['kmb'], stops: { kmb: ['D', 'E', 'F'] } },
+  };
+
+  const restore = await useMockDataset({ stopList, routeList });
+  try {
+    const corridors = hkbusData.findCorridorsByRoute('K1');
+    check(
+      'Routes sharing 3+ stops, longest first',
+      corridors.map((c) => c.routeId).join(','),
+      'C2,K4'
+    );
+    const c2 = corridors[0];
+    check(
+      'Shared run on the other route',
+      c2?.stops.map((s) => s.id).join(','),
+      'B2,C,D,E'
+    );
+    check('Run on the given route', `${c2?.refFrom}-${c2?.refTo}`, '1-4');
+    check('Joins from', c2?.joinsFrom?.id, 'Z');
+    check('Leaves to', c2?.leavesTo?.id, 'G');
+    check('No branch at a terminus', corridors[1]?.leavesTo, null);
+    check('Longer minimum', hkbusData.findCorridorsByRoute('K1', 4).length, 1);
+
+    check(
+      'Routes between two stops',
+      hkbusData
+        .findCorridorsByStops('B', 'E')
+        .map((c) => c.routeId)
+        .join(','),
+      'K1,C2'
+    );
+    check(
+      'Not against the direction of travel',
+      hkbusData.findCorridorsByStops('E', 'B').length,
+      0
+    );
+    check(
+      'Too few stops between',
+      hkbusData.findCorridorsByStops('A', 'B').length,
+      0
+    );
+  } finally {
+    restore();
+  }
+
+  return passed();
+}
+
+/**
+ * Test suite for the transit isochrone: route 1 every ~10 min a hop from
+ * S0, route 2 (every 20 min) on from S2, route 3 one transfer too far and
+ * route 4 not running at noon. Then route 5 starting only once its stop
+ * is reached, and circular route 6 wrapping past S0, its last stop.
+ */
+async function testIsochrone() {
+  const { check, passed } = makeChecker();
+  const { computeIsochrone, convexHull, getExpectedWait, getRouteWindows } =
+    await import('./isochrone.js');
+
+  const stop = (en, lat, lng) => ({ name: { en }, location: { lat, lng } });
+  const stopList = {
+    S0: stop('S0', 22.3, 114.1),
+    W: stop('W', 22.3, 114.1025),
+    S1: stop('S1', 22.3, 114.11),
+    X: stop('X', 22.3009, 114.11),
+    S2: stop('S2', 22.3, 114.12),
+    S3: stop('S3', 22.3, 114.13),
+    T1: stop('T1', 22.31, 114.12),
+    U1: stop('U1', 22.32, 114.12),
+    N1: stop('N1', 22.29, 114.1),
+  };
+  const allDay = { 31: { '0000': ['2359', '1200'] } };
+  const routeList = {
+    K1: {
+      route: '1',
+      co: ['kmb'],
+      jt: 30,
+      stops: { kmb: ['S0', 'S1', 'S2', 'S3'] },
+    },
+    K2: {
+      route: '2',
+      co: ['kmb'],
+      jt: 10,
+      freq: allDay,
+      stops: { kmb: ['S2', 'T1'] },
+    },
+    K3: { route: '3', co: ['kmb'], jt: 5, stops: { kmb: ['T1', 'U1'] } },
+    K4: {
+      route: '4',
+      co: ['kmb'],
+      jt: 5,
+      freq: { 31: { '0300': ['0400', '600'] } },
+      stops: { kmb: ['S0', 'N1'] },
+    },
+    // Not running either: serves the stops only walked to
+    K7: {
+      route: '7',
+      co: ['kmb'],
+      jt: 5,
+      freq: { 31: { '0300': ['0400', '600'] } },
+      stops: { kmb: ['W', 'X'] },
+    },
+  };
+
+  const restore = await useMockDataset({ stopList, routeList });
+  try {
+    // Noon on a Tuesday in Hong Kong
+    const date = new Date('2026-03-10T04:00:00Z');
+    const minutesOf = (result) =>
+      result.stops.map((s) => `${s.id}:${s.minutes}`).join(',');
+
+    const half = await computeIsochrone('S0', { budget: 30, date });
+    check(
+      'Reachable in 30 min: walk, 5 min wait, 10 min hops',
+      minutesOf(half),
+      'S0:0,W:3,S1:15,X:16,S2:25'
+    );
+    check(
+      'Walk after the ride keeps its route',
+      half.stops.find((s) => s.id === 'X')?.route,
+      '1'
+    );
+
+    const hour = await computeIsochrone('S0', { budget: 60, date });
+    const t1 = hour.stops.find((s) => s.id === 'T1');
+    check('Transfer waits half the headway', t1?.minutes, 45);
+    check('Transfers counted', t1?.transfers, 1);
+    check(
+      'At most one transfer',
+      hour.stops.some((s) => s.id === 'U1'),
+      false
+    );
+    check(
+      'Routes not running are skipped',
+      hour.stops.some((s) => s.id === 'N1'),
+      false
+    );
+    check(
+      'Two transfers when allowed',
+      (
+        await computeIsochrone('S0', { budget: 60, date, maxTransfers: 2 })
+      ).stops.some((s) => s.id === 'U1'),
+      true
+    );
+    check('Unknown stop', await computeIsochrone('nope'), null);
+
+    const hull = convexHull([
+      { lat: 0, lng: 0 },
+      { lat: 0, lng: 1 },
+      { lat: 1, lng: 1 },
+      { lat: 0.5, lng: 0.5 },
+      { lat: 1, lng: 0 },
+    ]);
+    check('Hull drops interior points', hull.length, 4);
+  } finally {
+    restore();
+  }
+
+  const restoreLater = await useMockDataset({
+    stopList: {
+      S0: stop('S0', 22.3, 114.1),
+      S1: stop('S1', 22.3, 114.11),
+      Z: stop('Z', 22.3, 114.12),
+      L1: stop('L1', 22.31, 114.09),
+      L2: stop('L2', 22.31, 114.1),
+    },
+    routeList: {
+      K1: { ...routeList.K1, jt: 10, stops: { kmb: ['S0', 'S1'] } },
+      K5: {
+        route: '5',
+        co: ['kmb'],
+        jt: 5,
+        freq: { 31: { 1210: ['1300', '1200'] } },
+        stops: { kmb: ['S1', 'Z'] },
+      },
+      K6: {
+        route: '6',
+        co: ['kmb'],
+        bound: { kmb: 'IO' },
+        jt: 10,
+        stops: { kmb: ['L1', 'L2', 'S0'] },
+      },
+    },
+  });
+  try {
+    const later = await computeIsochrone('S0', {
+      budget: 60,
+      date: new Date('2026-03-10T04:00:00Z'),
+    });
+    const z = later.stops.find((s) => s.id === 'Z');
+    check('Headway when the stop is reached (12:15)', z?.minutes, 30);
+    const l1 = later.stops.find((s) => s.id === 'L1');
+    check(
+      'Circular route past its last stop',
+      `${l1?.route},${l1?.minutes}`,
+      '6,10'
+    );
+  } finally {
+    restoreLater();
+  }
+
+  const days = {
+    yesterday: { weekday: 1, holiday: false },
+    today: { weekday: 2, holiday: false },
+    tomorrow: { weekday: 3, holiday: false },
+  };
+  const night = getRouteWindows(
+    { freq: { 31: { 2300: ['0100', '1200'], '0500': ['0600', '600'] } } },
+    days
+  );
+  check('Wait after midnight', getExpectedWait(night, 30), 10);
+  check('Wait tomorrow morning', getExpectedWait(night, 1440 + 330), 5);
+  check('Not running', getExpectedWait(night, 12 * 60), null);
+  check('No timetable', getExpectedWait(getRouteWindows({}, days), 0), 5);
+
+  return passed();
+}
+
+/**
+ * Test suite for the GTFS export of a two-route mock dataset.
+ */
+async function testGtfsExport() {
+  const { check, passed } = makeChecker();
+  const { buildGtfsFeed, exportGtfs } = await import('./gtfs.js');
+
+  const stop = (en, lng) => ({
+    name: { en, zh: en },
+    location: { lat: 22.3, lng },
+  });
+  const data = {
+    stopList: {
+      A: stop('A, Pier', 114.1),
+      B: stop('B', 114.11),
+      C: stop('C', 114.12),
+    },
+    routeList: {
+      '1+1+A+C': {
+        route: '1',
+        co: ['kmb'],
+        bound: { kmb: 'O' },
+        orig: { en: 'A' },
+        dest: { en: 'C' },
+        stops: { kmb: ['A', 'B', 'C'] },
+        fares: ['4.7', '3.2'],
+        jt: 20,
+        freq: {
+          weekday: { '0600': ['0900', '600'], 2330: null },
+          sunday: { 2300: ['0100', '1800'] },
+        },
+      },
+      'X+1+B+C': {
+        route: 'X',
+        co: ['lightRail'],
+        orig: { en: 'B' },
+        dest: { en: 'C' },
+        stops: { lightRail: ['B', 'C'] },
+      },
+    },
+    serviceDayMap: {
+      weekday: [0, 1, 1, 1, 1, 1, 0],
+      sunday: [1, 0, 0, 0, 0, 0, 0],
+    },
+  };
+
+  const feed = buildGtfsFeed(data, {
+    date: new Date('2026-03-02T04:00:00Z'),
+    holidays: ['2026-04-03', '2025-12-25'],
+  });
+  const rows = (file) => feed[file].trim().split('\r\n').slice(1);
+
+  check('Agencies', rows('agency.txt').length, 2);
+  check('Quoted CSV values', rows('stops.txt')[0].split(',')[1], '"A');
+  check('Light Rail is a tram', rows('routes.txt')[1].endsWith(',0'), true);
+  check(
+    'Trips: frequency services and single departures',
+    rows('trips.txt')
+      .map((row) => row.split(',')[2])
+      .join(' '),
+    '1+1+A+C#weekday 1+1+A+C#weekday#23:30:00 1+1+A+C#sunday'
+  );
+  check(
+    'Stop times from jt',
+    rows('stop_times.txt')[1].split(',').slice(1, 3).join(' '),
+    '00:10:00 00:10:00'
+  );
+  check(
+    'Single departure at fixed times',
+    rows('stop_times.txt')[5].split(',')[1],
+    '23:50:00'
+  );
+  check(
+    'Frequencies past midnight',
+    rows('frequencies.txt')[1],
+    '1+1+A+C#sunday,23:00:00,25:01:00,1800,0'
+  );
+  check(
+    'Calendar from serviceDayMap',
+    rows('calendar.txt')[0],
+    'sunday,0,0,0,0,0,0,1,20260302,20270302'
+  );
+  check(
+    'Holiday runs as Sunday',
+    rows('calendar_dates.txt').join(' '),
+    'sunday,20260403,1 weekday,20260403,2'
+  );
+  check('Fares', rows('fare_attributes.txt')[0], '1+1+A+C,4.7,HKD,0,0,kmb');
+
+  const zip = await exportGtfs({ data, holidays: [] });
+  const view = new DataView(zip.buffer);
+  check('Zip signature', view.getUint32(0, true), 0x04034b50);
+  check('Zip entries', view.getUint16(zip.length - 22 + 10, true), 10);
+
+  return passed();
+}
+
+/**
+ * Test suite for the GTFS import: a small fixture feed, zipped, and a
+ * round trip through the GTFS export.
+ */
+async function testGtfsImport() {
+  const { check, passed } = makeChecker();
+  const { loadGtfsFeed, parseCSV } = await import('./gtfsimport.js');
+  const { buildGtfsFeed } = await import('./gtfs.js');
+  const { createZip } = await import('./zip.js');
+  const { validateDataset } = await import('./validate_data.js');
+
+  const csv = (lines) => lines.join('\r\n') + '\r\n';
+  const feed = {
+    'agency.txt': csv(['agency_id,agency_name', 'ABC,ABC Bus']),
+    'stops.txt': csv([
+      '\ufeffstop_id,stop_name,stop_lat,stop_lon,location_type',
+      'S1,"Pier, Central",22.28,114.16,0',
+      'S2,Admiralty,22.279,114.165,',
+      'S3,Wan Chai,22.277,114.173,0',
+      'ST,Station,22.28,114.16,1',
+    ]),
+    'routes.txt': csv([
+      'route_id,agency_id,route_short_name,route_type',
+      'R1,ABC,5,3',
+    ]),
+    'trips.txt': csv([
+      'route_id,service_id,trip_id,direction_id',
+      'R1,WD,T1,0',
+      'R1,WD,T2,0',
+      'R1,SU,T3,0',
+      'R1,WD,T4,1',
+    ]),
+    'stop_times.txt': csv([
+      'trip_id,arrival_time,departure_time,stop_id,stop_sequence',
+      'T1,07:00:00,07:00:00,S1,1',
+      'T1,07:12:00,07:12:00,S3,3',
+      'T1,07:05:00,07:05:00,S2,2',
+      'T2,08:00:00,08:00:00,S1,1',
+      'T2,08:05:00,08:05:00,S2,2',
+      'T2,08:12:00,08:12:00,S3,3',
+      'T3,09:00:00,09:00:00,S1,1',
+      'T3,09:15:00,09:15:00,S3,2',
+      'T4,09:00:00,09:00:00,S3,1',
+      'T4,09:10:00,09:10:00,S1,2',
+    ]),
+    'frequencies.txt': csv([
+      'trip_id,start_time,end_time,headway_secs',
+      'T1,06:00:00,07:00:00,600',
+    ]),
+    'calendar.txt': csv([
+      'service_id,monday,tuesday,wednesday,thursday,friday,saturday,sunday,start_date,end_date',
+      'WD,1,1,1,1,1,0,0,20260101,20261231',
+      'SU,0,0,0,0,0,0,1,20260101,20261231',
+    ]),
+    'fare_attributes.txt': csv(['fare_id,price,currency_type', 'F1,6.4,HKD']),
+    'fare_rules.txt': csv(['fare_id,route_id', 'F1,R1']),
+    'translations.txt': csv([
+      'table_name,field_name,language,translation,record_id',
+      'stops,stop_name,zh-Hant,灣仔,S3',
+    ]),
+  };
+
+  check(
+    'CSV quotes and BOM',
+    parseCSV(feed['stops.txt'])[0].stop_name,
+    'Pier, Central'
+  );
+
+  const data = await loadGtfsFeed(createZip(feed));
+  const ids = Object.keys(data.routeList);
+  check('Stations left out', Object.keys(data.stopList).join(','), 'S1,S2,S3');
+  check('Chinese names from translations', data.stopList.S3.name.zh, '灣仔');
+  check(
+    'Routes per direction and pattern, most trips first',
+    ids.join(' | '),
+    '5+1+Pier, Central+Wan Chai | 5+2+Pier, Central+Wan Chai | 5+3+Wan Chai+Pier, Central'
+  );
+  const main = data.routeList[ids[0]];
+  check('Stops in stop_sequence order', main.stops.abc.join(','), 'S1,S2,S3');
+  check('Journey time', main.jt, 12);
+  check('Fares', main.fares?.join(','), '6.4');
+  check(
+    'Frequencies and single departures',
+    JSON.stringify(main.freq),
+    '{"WD":{"0600":["0650","600"],"0800":null}}'
+  );
+  check('Inbound direction', data.routeList[ids[2]].bound.abc, 'I');
+  check(
+    'Service days, Sunday first',
+    data.serviceDayMap.WD.join(''),
+    '0111110'
+  );
+  check('Stop map', JSON.stringify(data.stopMap.S2), '[["abc","S2"]]');
+  check('Valid dataset', validateDataset(data).summary.errors, 0);
+
+  // Round trip: export the imported feed and import it again
+  const again = await loadGtfsFeed(createZip(buildGtfsFeed(data)));
+  check(
+    'Round trip keeps routes',
+    Object.keys(again.routeList).length,
+    ids.length
+  );
+  check(
+    'Round trip keeps stop locations',
+    again.stopList.S2.location.lng,
+    114.165
+  );
+
+  return passed();
+}
+
+/**
+ * Test suite for region profiles: profile selection and overrides, bounds,
+ * and latitude-correct nearby stops away from Hong Kong.
+ */
+async function testRegions() {
+  const { check, passed } = makeChecker();
+  const { hkbusData } = await import('./busdata.js');
+  const {
+    resolveRegion,
+    isWithinBounds,
+    metersToDegrees,
+    getOperatorColorCSS,
+  } = await import('./region.js');
+
+  const hk = resolveRegion({ defaults: {} });
+  check('Hong Kong by default', hk.id, 'hk');
+  check(
+    'Unknown region falls back',
+    resolveRegion({ defaults: { region: 'x' } }).mapRegion,
+    'HK'
+  );
+  const macau = resolveRegion({
+    defaults: { region: 'macau' },
+    regions: {
+      macau: {
+        bounds: { N: 22.22, S: 22.1, E: 113.61, W: 113.52 },
+        center: { lat: 22.1987, lon: 113.5439, name: 'Taipa' },
+        mapRegion: 'MO',
+        dataset: '/mo.zip',
+      },
+    },
+  });
+  check('Profile added by config', macau.mapRegion, 'MO');
+  check('Added profile dataset', macau.dataset, '/mo.zip');
+  check(
+    'Added profile fills in Hong Kong fields',
+    `${macau.center.name},${macau.timezone}`,
+    'Taipa,Asia/Hong_Kong'
+  );
+  const mongKok = resolveRegion({
+    defaults: { region: 'hk' },
+    regions: { hk: { center: { name: 'Mong Kok' } } },
+  });
+  check(
+    'Override part of the center',
+    `${mongKok.center.name},${mongKok.center.country_code}`,
+    'Mong Kok,HK'
+  );
+
+  const legacy = {
+    default_location: { lat: 22.28, lon: 114.16, name: 'Central' },
+    zoom_level: 17,
+  };
+  const central = resolveRegion({ defaults: legacy });
+  check(
+    'Legacy default_location and zoom_level',
+    `${central.center.name},${central.center.lat},${central.zoom}`,
+    'Central,22.28,17'
+  );
+  check(
+    'Region profile wins over legacy defaults',
+    resolveRegion({ defaults: { ...legacy, region: 'hk' } }).zoom,
+    15
+  );
+
+  const kowloon = { lat: 22.3086, lng: 114.1722 };
+  const senado = { lat: 22.1934, lon: 113.5399 };
+  check('Kowloon in Hong Kong', isWithinBounds(kowloon, hk.bounds), true);
+  check('Macau outside Hong Kong', isWithinBounds(senado, hk.bounds), false);
+  check('Macau in Macau', isWithinBounds(senado, macau.bounds), true);
+
+  check(
+    'Metres per degree east at the equator',
+    Math.round(1 / metersToDegrees(0).lng),
+    111320
+  );
+  check(
+    'Metres per degree east at 60°N',
+    Math.round(1 / metersToDegrees(60).lng),
+    55660
+  );
+  check(
+    'Operator pill colour rule',
+    getOperatorColorCSS({ tcm: '#D2E6FF', bad: 'blue' }),
+    '.route-pill.tcm { background-color: rgba(210, 230, 255, var(--pill-transparency)); }'
+  );
+
+  // Stops 100 m and 300 m east of a point at 60°N (1° east is 55.66 km)
+  const deg = 1 / 55660;
+  const restore = await useMockDataset({
+    stopList: {
+      A: { location: { lat: 60, lng: 10 + 100 * deg } },
+      B: { location: { lat: 60, lng: 10 + 300 * deg } },
+    },
+    routeList: { R: { route: '1', co: ['kmb'], stops: { kmb: ['A', 'B'] } } },
+  });
+  try {
+    const near = (radius) =>
+      hkbusData
+        .findStopsNear(60, 10, radius, 10, 0)
+        .map((stop) => stop.id)
+        .join(',');
+    check('Nearby stop at 60°N', near(150), 'A');
+    check('Both stops in a wider radius', near(350), 'A,B');
+    check(
+      'Nearest stop at 60°N',
+      hkbusData
+        .findKNearestStops(60, 10 + 250 * deg, 1)
+        .map((stop) => stop.id)
+        .join(','),
+      'B'
+    );
+  } finally {
+    restore();
+  }
+
+  // Without a config (Node, no setConfig) the default dataset is loaded
+  const { getConfig, setConfig } = await import('./utils.js');
+  const config = await getConfig();
+  const saved = { window: globalThis.window };
+  const files = [];
+  const restoreData = await useMockDataset({ stopList: {}, routeList: {} });
+  const { cache, readFile } = hkbusData;
+  try {
+    setConfig(null);
+    delete globalThis.window;
+    hkbusData.cache = new Map();
+    hkbusData.readFile = async (file) => {
+      files.push(file);
+      return JSON.stringify({ stopList: {}, routeList: {} });
+    };
+    await hkbusData.load();
+    check(
+      'Default dataset without a config',
+      files[0],
+      '/routeFareList.min.json'
+    );
+  } finally {
+    globalThis.window = saved.window;
+    setConfig(config);
+    Object.assign(hkbusData, { cache, readFile });
+    restoreData();
+  }
+
+  return passed();
+}
+
+/**
+ * Test suite for circular ("IO" bound) routes on a square loop A-B-C-D,
+ * ~550m a side: loop, turnaround, wrap-around stop distance and a planned
+ * ride past the terminus.
+ */
+async function testCircularRoutes() {
+  const { check, passed } = makeChecker();
+  const { hkbusData } = await import('./busdata.js');
+  const { planJourney } = await import('./planner.js');
+
+  const stopList = {
+    A: { name: { en: 'A' }, location: { lat: 22.3, lng: 114.1 } },
+    B: { name: { en: 'B' }, location: { lat: 22.3, lng: 114.105 } },
+    C: { name: { en: 'C' }, location: { lat: 22.305, lng: 114.105 } },
+    D: { name: { en: 'D' }, location: { lat: 22.305, lng: 114.1 } },
+  };
+  const routeList = {
+    L: {
+      route: '8',
+      co: ['kmb'],
+      bound: { kmb: 'IO' },
+      jt: 20,
+      stops: { kmb: ['A', 'B', 'C', 'D', 'A'] },
+    },
+    M: {
+      route: '9',
+      co: ['kmb'],
+      bound: { kmb: 'IO' },
+      jt: 60,
+      stops: { kmb: ['A', 'B', 'C', 'D'] },
+    },
+    X: {
+      route: '1',
+      co: ['kmb'],
+      bound: { kmb: 'O' },
+      stops: { kmb: ['A', 'B', 'C'] },
+    },
+  };
+
+  const restore = await useMockDataset({ stopList, routeList });
+  try {
+    check(
+      'Closed loop',
+      JSON.stringify(hkbusData.getRouteLoop('L')),
+      '{"length":4,"closed":true,"turnaround":2}'
+    );
+    check('Open loop', hkbusData.getRouteLoop('M')?.closed, false);
+    check('Linear route has no loop', hkbusData.getRouteLoop('X'), null);
+    check('Distance forward', hkbusData.getStopDistance('L', 1, 3), 2);
+    check(
+      'Distance wraps past the terminus',
+      hkbusData.getStopDistance('L', 3, 1),
+      2
+    );
+    check(
+      'Wraps from the terminus again',
+      hkbusData.getStopDistance('L', 4, 2),
+      2
+    );
+    check(
+      'Open loop wraps back to the start',
+      hkbusData.getStopDistance('M', 3, 0),
+      1
+    );
+    check(
+      'Linear route does not wrap',
+      hkbusData.getStopDistance('X', 2, 0),
+      null
+    );
+
+    // From D to B the rides run round a loop past the terminus A
+    const [journey] = planJourney(
+      { lat: 22.305, lng: 114.1001 },
+      { lat: 22.3, lng: 114.1049 }
+    );
+    const ride = journey?.legs.find((leg) => leg.type === 'ride');
+    check('Planned ride on the loop', ride?.route, '8');
+    check(
+      'Ride wraps past the terminus',
+      ride?.stops.map((stop) => stop.id).join(','),
+      'D,A,B'
+    );
+    check('Ride stop indexes', `${ride?.fromIndex}-${ride?.toIndex}`, '3-1');
+    check('Ride minutes across the terminus', Math.round(ride?.minutes), 10);
+  } finally {
+    restore();
+  }
+
+  return passed();
+}
+
+/**
+ * Test suite for the route classifier: categories from route numbers,
+ * peak-only timetables and minibus regions.
  */
-async function testFindStopsNear() {
-  let allTestsPassed = true;
+async function testRouteCategories() {
+  const { check, passed } = makeChecker();
+  const { hkbusData, classifyRoute } = await import('./busdata.js');
+
+  const bus = (route, freq = null) =>
+    classifyRoute({ route, co: ['kmb'], freq }).join(',');
+  const minibus = (lat, lng) =>
+    classifyRoute({ route: '101M', co: ['gmb'] }, { lat, lng }).join(',');
+
+  check('Airport', bus('A21'), 'airport');
+  check('Airport (E prefix)', bus('E23'), 'airport');
+  check('Overnight airport', bus('NA11'), 'airport,overnight');
+  check('Overnight cross-harbour', bus('N171'), 'overnight,cross_harbour');
+  check('Cross-harbour express', bus('101X'), 'express,cross_harbour');
+  check('Express prefix', bus('X42C'), 'express');
+  check('Peak suffix', bus('270P'), 'peak');
+  check('Plain route', bus('1A'), '');
+  check('Other three-digit route', bus('960'), '');
+  check(
+    'Peak-only timetable',
+    bus('2', { 31: { '0700': ['0900', '600'], 1730: null } }),
+    'peak'
+  );
+  check(
+    'Peak-only timetable with a numeric band end',
+    bus('2', { 31: { '0700': [900, '600'] } }),
+    'peak'
+  );
+  check('All-day timetable', bus('2', { 31: { '0600': ['2330', '600'] } }), '');
+  check('Minibus on Hong Kong Island', minibus(22.282, 114.158), 'minibus_hki');
+  check('Minibus in Kowloon', minibus(22.318, 114.17), 'minibus_kln');
+  check('Minibus in the New Territories', minibus(22.38, 114.19), 'minibus_nt');
+  check(
+    'Ferries are not classified by number',
+    classifyRoute({ route: 'A1', co: ['sunferry'] }).join(','),
+    ''
+  );
+
+  const restore = await useMockDataset({
+    stopList: {
+      S1: {
+        name: { en: 'Central' },
+        location: { lat: 22.282, lng: 114.158 },
+      },
+    },
+    routeList: {
+      R1: { route: '1', co: ['gmb'], stops: { gmb: ['S1'] } },
+      R2: { route: 'N8', co: ['ctb'], stops: { ctb: ['S1'] } },
+    },
+  });
+  try {
+    check(
+      'Categories by route ID',
+      JSON.stringify(hkbusData.getRouteCategories(['R1', 'R2', 'R9'])),
+      '{"R1":["minibus_hki"],"R2":["overnight"]}'
+    );
+  } finally {
+    restore();
+  }
+
+  return passed();
+}
+
+/**
+ * Test suite for downstream destinations on a line of stops A-B-C-D
+ * (~515m apart) with a branch to E.
+ */
+async function testDownstreamDestinations() {
+  const { check, passed } = makeChecker();
   const { hkbusData } = await import('./busdata.js');
 
-  // Backup original data to restore later, ensuring test isolation
-  const originalData = hkbusData.data;
-  const originalStopsArray = hkbusData.stopsArray;
-  const originalStopToOperators = hkbusData.stopToOperators;
+  const stopList = {
+    A: { name: { en: 'A' }, location: { lat: 22.3, lng: 114.1 } },
+    B: { name: { en: 'B' }, location: { lat: 22.3, lng: 114.105 } },
+    C: { name: { en: 'C' }, location: { lat: 22.3, lng: 114.11 } },
+    D: { name: { en: 'D' }, location: { lat: 22.3, lng: 114.115 } },
+    E: { name: { en: 'E' }, location: { lat: 22.305, lng: 114.11 } },
+  };
+  const route = (number, stops) => ({
+    route: number,
+    co: ['kmb'],
+    stops: { kmb: stops },
+  });
+  const routeList = {
+    R1: route('1', ['A', 'B', 'C', 'D']),
+    R2: route('2', ['A', 'B', 'E']),
+    R3: route('1', ['D', 'C', 'B', 'A']),
+    R4: route('3', ['B', 'C', 'D']),
+    R5: route('1', ['A', 'B', 'D']),
+    R6: route('6', ['A', 'C', 'D']),
+  };
 
-  // 1. SETUP: Create a controlled, mock dataset.
-  // We define stops with predictable distances from our search center (22.3, 114.1).
-  const mockStopsArray = [
-    { id: 'A', name: 'Stop A (11m)', location: { lat: 22.3001, lng: 114.1 } }, // ~11m away
-    { id: 'B', name: 'Stop B (51m)', location: { lat: 22.3, lng: 114.1005 } }, // ~51m away
-    { id: 'C', name: 'Stop C (111m)', location: { lat: 22.299, lng: 114.1 } }, // ~111m away
-    { id: 'D', name: 'Stop D (204m)', location: { lat: 22.3, lng: 114.102 } }, // ~204m away
-    { id: 'E', name: 'Stop E (10m)', location: { lat: 22.3, lng: 114.0999 } }, // ~10m away (closest)
-  ];
+  const ids = (list) => list.map((item) => item.id).join(',');
 
-  const mockStopToOperators = {
-    A: new Set(['kmb']),
-    B: new Set(['ctb']),
-    C: new Set(['kmb']),
-    D: new Set(['kmb', 'nlb']),
-    E: new Set(['ctb', 'kmb']),
+  const restore = await useMockDataset({ stopList, routeList });
+  try {
+    const fromA = hkbusData.getDownstreamDestinations('A');
+    check(
+      'Destinations from A, most routes first',
+      fromA.map((d) => d.terminus.id).join(','),
+      'D,E'
+    );
+    check(
+      'One entry per route number, nearest first',
+      ids(fromA[0].routes),
+      'R5,R6'
+    );
+    check('Stops away', fromA[0].routes[0].stopsAway, 2);
+    check('Major stops in riding order', ids(fromA[0].stops), 'B,C');
+    check('Major stop route count', fromA[0].stops[0].routeCount, 5);
+    check(
+      'Routes ending here left out',
+      ids(fromA.flatMap((d) => d.routes)).includes('R3'),
+      false
+    );
+
+    const fromD = hkbusData.getDownstreamDestinations('D');
+    check(
+      'Only the inbound route leaves the terminus',
+      fromD.map((d) => d.terminus.id).join(','),
+      'A'
+    );
+    check('Major stops on the way back', ids(fromD[0].stops), 'C,B');
+  } finally {
+    restore();
+  }
+
+  return passed();
+}
+
+/**
+ * Test suite for findDirectRoutes and findStopsByName on a mock network
+ * with a closed circular route (L), an outbound route (X) and its return.
+ */
+async function testDirectRoutes() {
+  const { check, passed } = makeChecker();
+  const { hkbusData } = await import('./busdata.js');
+
+  const stopList = {
+    A: { name: { en: 'Star Ferry' }, location: { lat: 22.3, lng: 114.1 } },
+    B: { name: { en: 'Central' }, location: { lat: 22.3, lng: 114.105 } },
+    C: { name: { en: 'Admiralty' }, location: { lat: 22.305, lng: 114.105 } },
+    D: { name: { en: 'Wan Chai' }, location: { lat: 22.305, lng: 114.1 } },
+  };
+  const routeList = {
+    L: {
+      route: '8',
+      co: ['kmb'],
+      bound: { kmb: 'IO' },
+      jt: 20,
+      fares: ['6', '6', '6', '6'],
+      stops: { kmb: ['A', 'B', 'C', 'D', 'A'] },
+    },
+    X: {
+      route: '1',
+      co: ['kmb'],
+      bound: { kmb: 'O' },
+      jt: 10,
+      fares: ['5', '4'],
+      faresHoliday: ['4.5', '3.5'],
+      stops: { kmb: ['A', 'B', 'C'] },
+    },
+    Y: {
+      route: '1',
+      co: ['kmb'],
+      bound: { kmb: 'I' },
+      jt: 10,
+      fares: null,
+      stops: { kmb: ['C', 'B', 'A'] },
+    },
   };
 
-  // Simple assertion helper for clear test results
-  const check = (name, actual, expected) => {
-    const actualIds = actual.map((s) => s.id).join(',');
-    const expectedIds = expected.join(',');
-    if (actualIds === expectedIds) {
-      log(`✅ PASSED: ${name}`);
-    } else {
-      error(`FAILED: ${name}`);
-      log(`  -> Expected: [${expectedIds}]`);
-      log(`  -> Got:      [${actualIds}]`);
-      allTestsPassed = false;
-    }
+  const routeIds = (rides) =>
+    rides
+      .map((ride) => ride.routeId)
+      .sort()
+      .join(',');
+
+  const restore = await useMockDataset({ stopList, routeList });
+  try {
+    const fromAtoC = await hkbusData.findDirectRoutes('A', 'C');
+    check('Routes from A to C', routeIds(fromAtoC), 'L,X');
+    const x = fromAtoC.find((ride) => ride.routeId === 'X');
+    check('Stops ridden', x.stopCount, 2);
+    check('Section fare by boarding stop', x.fare, 5);
+    check('Ride minutes from jt', x.minutes, 10);
+    check('Ridden stops', x.stops.map((stop) => stop.id).join(','), 'A,B,C');
+
+    check(
+      'Outbound route not ridden backwards',
+      routeIds(await hkbusData.findDirectRoutes('C', 'B')),
+      'L,Y'
+    );
+    const back = await hkbusData.findDirectRoutes('B', 'A');
+    check('Routes from B back to A', routeIds(back), 'L,Y');
+    check('Fastest first', back[0].routeId, 'Y');
+    check('Unknown fare', back[0].fare, null);
+
+    const [wrap] = await hkbusData.findDirectRoutes('D', 'B');
+    check('Circular route past its terminus', wrap?.routeId, 'L');
+    check('Stops ridden round the loop', wrap?.stopCount, 2);
+    check('Destination index after wrapping', wrap?.toIndex, 1);
+    check(
+      'Ridden stops round the loop',
+      wrap?.stops.map((stop) => stop.id).join(','),
+      'D,A,B'
+    );
+
+    check('Fare round the loop', wrap?.fare, 6);
+    // A Sunday noon in Hong Kong
+    const sunday = new Date('2026-03-08T04:00:00Z');
+    const [holidayX] = (
+      await hkbusData.findDirectRoutes('A', 'C', sunday)
+    ).filter((ride) => ride.routeId === 'X');
+    check('Holiday fare by date', holidayX?.fare, 4.5);
+    check('Same stop', (await hkbusData.findDirectRoutes('A', 'A')).length, 0);
+
+    check(
+      'Stop name search with a typo',
+      hkbusData.findStopsByName('admiralyt')[0]?.id,
+      'C'
+    );
+    check('Stop name search miss', hkbusData.findStopsByName('zzzz').length, 0);
+  } finally {
+    restore();
+  }
+
+  return passed();
+}
+
+/**
+ * Test suite for live ETAs: operator stop IDs and targets (busdata.js),
+ * payload normalising and request sharing (eta.js) and replayed
+ * recordings (etamock.js).
+ */
+async function testLiveEtas() {
+  const { check, passed } = makeChecker();
+  const { hkbusData } = await import('./busdata.js');
+  const {
+    normaliseOperatorEtas,
+    matchEtas,
+    getEtaUrl,
+    fetchEtas,
+    minutesUntil,
+  } = await import('./eta.js');
+  const { replayRecording, SAMPLE_RECORDINGS } = await import('./etamock.js');
+
+  const stopList = {
+    K1: { name: { en: 'K1' }, location: { lat: 22.3, lng: 114.1 } },
+    K2: { name: { en: 'K2' }, location: { lat: 22.3, lng: 114.105 } },
+    C1: { name: { en: 'K1' }, location: { lat: 22.3, lng: 114.1 } },
+    C2: { name: { en: 'K2' }, location: { lat: 22.3, lng: 114.105 } },
+  };
+  const routeList = {
+    J: {
+      route: '101',
+      serviceType: '1',
+      co: ['kmb', 'ctb'],
+      bound: { kmb: 'O', ctb: 'O' },
+      stops: { kmb: ['K1', 'K2'], ctb: ['C1', 'C2'] },
+    },
+    K: {
+      route: '1',
+      serviceType: '1',
+      co: ['kmb'],
+      bound: { kmb: 'I' },
+      stops: { kmb: ['K1', 'K2'] },
+    },
   };
+  const stopMap = { K2: [['ctb', 'C2']] };
+
+  const now = Date.parse('2026-01-05T08:00:00+08:00');
+  const at = (minutes) => new Date(now + minutes * 60000).toISOString();
+  const payload = (co, items) => ({
+    data: items.map(([route, dir, minutes, serviceType = 1]) => ({
+      co,
+      route,
+      dir,
+      service_type: serviceType,
+      seq: 2,
+      dest_en: 'Terminus',
+      dest_tc: '總站',
+      eta: minutes === null ? '' : at(minutes),
+      rmk_en: '',
+      rmk_tc: '',
+    })),
+  });
 
+  const restore = await useMockDataset({ stopList, routeList, stopMap });
   try {
-    // 2. ISOLATION: Temporarily inject mock data for this test suite
-    hkbusData.stopsArray = mockStopsArray;
-    hkbusData.stopToOperators = mockStopToOperators;
-    hkbusData.data = { stopList: {}, routeList: {} }; // Prevent null reference
+    check('Own stop ID', hkbusData.getOperatorStopId('K2', 'kmb'), 'K2');
+    check('Stop ID by stopMap', hkbusData.getOperatorStopId('K2', 'ctb'), 'C2');
+    check('No cross-reference', hkbusData.getOperatorStopId('K1', 'nlb'), null);
 
-    // 3. EXECUTION: Run a series of test cases against the mock data.
-    const centerLat = 22.3;
-    const centerLng = 114.1;
+    const targets = hkbusData.getEtaTargets(['J', 'K'], 'K2');
+    check(
+      'One target per route and operator',
+      targets.map((t) => `${t.routeId}:${t.co}:${t.stopId}`).join(','),
+      'J:kmb:K2,J:ctb:C2,K:kmb:K2'
+    );
+    check('Target stop position', targets[0].seq, 2);
 
-    // Test Case 1: Basic search, should return stops within 60m, sorted by distance.
-    let result1 = hkbusData.findStopsNear(centerLat, centerLng, 60);
-    check('Basic search within 60m', result1, ['E', 'A', 'B']);
+    const records = normaliseOperatorEtas(
+      payload('KMB', [
+        ['101', 'O', 5],
+        ['101', 'I', 2],
+        ['101', 'O', 9, 2],
+        ['1', 'I', null],
+        ['1', 'I', 7],
+      ])
+    );
+    check('Operator code lowercased', records[0].co, 'kmb');
+    check('Destination names', records[0].dest.zh, '總站');
+    check(
+      'Matched by route, direction and service type',
+      matchEtas(records, targets[0]).length,
+      1
+    );
+    check(
+      'Records without an ETA left out',
+      matchEtas(records, targets[2]).length,
+      1
+    );
 
-    // Test Case 2: `maxResult` limit should truncate the result set.
-    let result2 = hkbusData.findStopsNear(centerLat, centerLng, 60, 2);
-    check('maxResult limit of 2', result2, ['E', 'A']);
+    check(
+      'Default base URL',
+      getEtaUrl(targets[1]),
+      'https://rt.data.gov.hk/v2/transport/citybus/eta/CTB/C2/101'
+    );
+    check(
+      'Configured base URL',
+      getEtaUrl(targets[0], { kmb: 'http://localhost:8787/kmb/' }),
+      'http://localhost:8787/kmb/stop-eta/K2'
+    );
+    check('Operator turned off', getEtaUrl(targets[0], { kmb: null }), null);
 
-    // Test Case 3: Auto-expansion. Initial radius (40m) finds 2 stops, which is < minResult (3).
-    // The function should auto-expand the search to 2x radius (80m) to meet the minimum.
-    let result3 = hkbusData.findStopsNear(centerLat, centerLng, 40, 10, 3);
-    check('Auto-expansion when minResult is not met', result3, ['E', 'A', 'B']);
+    const requested = [];
+    const fetchImpl = async (url) => {
+      requested.push(url);
+      if (url.includes('/ctb/')) return { ok: false, status: 503 };
+      return {
+        ok: true,
+        json: async () =>
+          payload('KMB', [
+            ['101', 'O', 8],
+            ['101', 'O', 3],
+            ['1', 'I', 4],
+          ]),
+      };
+    };
+    const warn = console.warn;
+    console.warn = () => {}; // Expected failure of the ctb request
+    let etas;
+    try {
+      etas = await fetchEtas(targets, {
+        baseUrls: { kmb: 'http://mock/kmb', ctb: 'http://mock/ctb' },
+        fetchImpl,
+      });
+    } finally {
+      console.warn = warn;
+    }
+    check('Stop-wide request shared by routes', requested.length, 2);
+    check(
+      'ETAs in arrival order',
+      etas.J.map((r) => minutesUntil(r.eta, now)).join(','),
+      '3,8'
+    );
+    check('Other route at the stop', etas.K.length, 1);
+    check('Due now', minutesUntil(at(-0.5), now), 0);
+    check('Long gone', minutesUntil(at(-5), now), null);
 
-    // Test Case 4: Operator filter. Should only return stops operated by 'kmb'.
-    let result4 = hkbusData.findStopsNear(centerLat, centerLng, 120, 10, 1, [
-      'kmb',
+    const replayed = replayRecording(
+      SAMPLE_RECORDINGS,
+      '/kmb/stop-eta/CBF110E4B3E23071?lang=en',
+      now + 3600000
+    );
+    check(
+      'Replayed as if recorded now',
+      minutesUntil(replayed.data[0].eta, now + 3600000),
+      3
+    );
+    check(
+      'Unrecorded path replays empty',
+      replayRecording(SAMPLE_RECORDINGS, '/kmb/stop-eta/X').data.length,
+      0
+    );
+  } finally {
+    restore();
+  }
+
+  return passed();
+}
+
+/**
+ * Test suite for the ETA polling scheduler with a fake clock and fetch:
+ * caching, shared requests, operator backoff, visible stops and pausing.
+ */
+async function testEtaScheduler() {
+  const { check, passed } = makeChecker();
+  const { EtaScheduler } = await import('./etascheduler.js');
+
+  let clock = Date.parse('2026-01-05T08:00:00+08:00');
+  let failing = false;
+  const requested = [];
+  const fetchImpl = async (url) => {
+    requested.push(url);
+    if (failing) return { ok: false, status: 503 };
+    // A stop-wide request answers 40 routes, a per-route one its route
+    const routes = url.includes('/stop-eta/')
+      ? Array.from({ length: 40 }, (_, i) => String(i))
+      : [url.split('/').pop()];
+    return {
+      ok: true,
+      json: async () => ({
+        data: routes.map((route) => ({
+          co: 'KMB',
+          route,
+          dir: 'O',
+          service_type: 1,
+          eta: new Date(clock + 5 * 60000).toISOString(),
+        })),
+      }),
+    };
+  };
+  const scheduler = new EtaScheduler({ fetchImpl, now: () => clock });
+  scheduler.setBaseUrls({ kmb: 'http://mock/kmb', ctb: 'http://mock/ctb' });
+  const target = (co, route, stopId = 'S1') => ({
+    routeId: `${co}-${route}`,
+    co,
+    route,
+    serviceType: 1,
+    bound: 'O',
+    stopId,
+  });
+  const kmbTargets = Array.from({ length: 40 }, (_, i) =>
+    target('kmb', String(i))
+  );
+  const warn = console.warn;
+  console.warn = () => {}; // Expected failed requests
+
+  try {
+    const etas = await scheduler.getEtas(kmbTargets);
+    check('40 routes at a stop in one request', requested.length, 1);
+    check('Every route answered', Object.keys(etas).length, 40);
+
+    await scheduler.getEtas(kmbTargets);
+    check('Cached within the TTL', requested.length, 1);
+    clock += 25000;
+    await scheduler.getEtas(kmbTargets);
+    check('Fetched again after the TTL', requested.length, 2);
+
+    const url = 'http://mock/ctb/eta/CTB/S1/1';
+    await Promise.all([
+      scheduler.request(url, 'ctb'),
+      scheduler.request(url, 'ctb'),
     ]);
-    check("Operator filter for 'kmb'", result4, ['E', 'A', 'C']);
+    check('Concurrent requests coalesced', requested.length, 3);
 
-    // Test Case 5: Joint operator filter. Should find stops operated by 'nlb'.
-    let result5 = hkbusData.findStopsNear(centerLat, centerLng, 300, 10, 1, [
-      'nlb',
+    failing = true;
+    clock += 25000;
+    await scheduler.getEtas([target('ctb', '1'), target('ctb', '2')]);
+    check('Failed operator', requested.length, 5);
+    check('Operator backs off', scheduler.isBackingOff('ctb'), true);
+    const stale = await scheduler.getEtas([
+      target('ctb', '1'),
+      target('ctb', '2'),
     ]);
-    check("Operator filter for 'nlb' (joint route)", result5, ['D']);
+    check('No requests while backing off', requested.length, 5);
+    check('Last cached ETAs served meanwhile', stale['ctb-1']?.length, 1);
+    check('Uncached route skipped', stale['ctb-2'], undefined);
+    check('Other operators unaffected', scheduler.isBackingOff('kmb'), false);
 
-    // Test Case 6: Skipped as requested. The auto-expansion logic is designed
-    // to avoid returning no results, making this test case invalid.
-    // let result6 = hkbusData.findStopsNear(centerLat, centerLng, 5);
-    // check('No results for a very small radius', result6, []);
+    clock += 31000;
+    await scheduler.getEtas([target('ctb', '1')]);
+    check('Retried after the backoff', requested.length, 6);
+    check('Backoff doubled', scheduler.backoff.get('ctb').delay, 60000);
+    failing = false;
+    clock += 61000;
+    await scheduler.getEtas([target('ctb', '1')]);
+    check('Backoff reset by a success', scheduler.isBackingOff('ctb'), false);
 
-    // Test Case 7: Fallback to max radius. Initial radius (10m) finds 0 stops.
-    // 2x radius (20m) finds 2 stops. Still < minResult (3).
-    // Should fall back to the 4x max search area (40m) and return what it finds there.
-    let result7 = hkbusData.findStopsNear(centerLat, centerLng, 10, 10, 3);
-    check('Fallback to max search area', result7, ['E', 'A']);
-  } finally {
-    // 4. CLEANUP: Restore original data to not affect app state
-    hkbusData.data = originalData;
-    hkbusData.stopsArray = originalStopsArray;
-    hkbusData.stopToOperators = originalStopToOperators;
-  }
+    const updates = [];
+    clock += 25000;
+    scheduler.setVisibleStops(['S2']);
+    scheduler.watch('hidden-stop', 'S1', [target('kmb', '1')], (e) =>
+      updates.push(e)
+    );
+    await scheduler.poll();
+    check('Stops off screen not polled', updates.length, 0);
 
-  // 5. VERIFICATION: Ensure original data was restored correctly.
-  // This is crucial to prevent tests from polluting the app's global state.
-  if (
-    hkbusData.data !== originalData ||
-    hkbusData.stopsArray !== originalStopsArray ||
-    hkbusData.stopToOperators !== originalStopToOperators
-  ) {
-    error('FAILED: testFindStopsNear did not restore original data state');
-    allTestsPassed = false;
-  } else {
-    log('✅ PASSED: Data restoration check');
+    scheduler.setVisibleStops(['S1']);
+    await scheduler.poll();
+    check('Visible stop polled', updates.length, 1);
+
+    scheduler.setPaused(true);
+    clock += 25000;
+    const before = requested.length;
+    await scheduler.poll();
+    check('Paused while the tab is hidden', requested.length, before);
+    scheduler.setPaused(false);
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    check('Polled on return', updates.length, 2);
+  } finally {
+    console.warn = warn;
+    scheduler.unwatch('hidden-stop');
   }
 
-  return allTestsPassed;
+  return passed();
 }
 
 class TestRunner {
@@ -245,11 +2369,12 @@ async function runAllTests() {
 
   if (!runner.allTestsPassed) return false; // Stop if config fails
 
+  const { getRegion } = await import('./region.js');
   const {
     lat: default_lat,
     lon: default_lon,
     name: default_name,
-  } = config.defaults.default_location;
+  } = getRegion().center;
 
   await runner.run('getLocationDetails()', async () => {
     const { getLocationDetails } = await import('./gmap.js');
@@ -401,6 +2526,138 @@ async function runAllTests() {
       return { success: false, error: 'One or more sub-tests failed' };
   });
 
+  await runner.run('restorePreviousSnapshot()', async () => {
+    const success = await testSnapshots();
+    if (!success)
+      return { success: false, error: 'One or more sub-tests failed' };
+  });
+
+  await runner.run('planJourney()', async () => {
+    const success = await testPlanJourney();
+    if (!success)
+      return { success: false, error: 'One or more sub-tests failed' };
+  });
+
+  await runner.run('getSectionFare()', async () => {
+    const success = await testFares();
+    if (!success)
+      return { success: false, error: 'One or more sub-tests failed' };
+  });
+
+  await runner.run('getNextDepartures()', async () => {
+    const success = await testTimetable();
+    if (!success)
+      return { success: false, error: 'One or more sub-tests failed' };
+  });
+
+  await runner.run('getStopGroup()', async () => {
+    const success = await testStopGroups();
+    if (!success)
+      return { success: false, error: 'One or more sub-tests failed' };
+  });
+
+  await runner.run('getRouteVariants()', async () => {
+    const success = await testRouteVariants();
+    if (!success)
+      return { success: false, error: 'One or more sub-tests failed' };
+  });
+
+  await runner.run('searchStopByName()', async () => {
+    const success = await testSearchIndex();
+    if (!success)
+      return { success: false, error: 'One or more sub-tests failed' };
+  });
+
+  await runner.run('setModes()', async () => {
+    const success = await testModes();
+    if (!success)
+      return { success: false, error: 'One or more sub-tests failed' };
+  });
+
+  await runner.run('validateDataset()', async () => {
+    const success = await testValidateDataset();
+    if (!success)
+      return { success: false, error: 'One or more sub-tests failed' };
+  });
+
+  await runner.run('diffDatasets()', async () => {
+    const success = await testDatasetDiff();
+    if (!success)
+      return { success: false, error: 'One or more sub-tests failed' };
+  });
+
+  await runner.run('parseRouteShape()', async () => {
+    const success = await testRouteShapes();
+    if (!success)
+      return { success: false, error: 'One or more sub-tests failed' };
+  });
+
+  await runner.run('findCorridorsByRoute()', async () => {
+    const success = await testCorridors();
+    if (!success)
+      return { success: false, error: 'One or more sub-tests failed' };
+  });
+
+  await runner.run('computeIsochrone()', async () => {
+    const success = await testIsochrone();
+    if (!success)
+      return { success: false, error: 'One or more sub-tests failed' };
+  });
+
+  await runner.run('exportGtfs()', async () => {
+    const success = await testGtfsExport();
+    if (!success)
+      return { success: false, error: 'One or more sub-tests failed' };
+  });
+
+  await runner.run('loadGtfsFeed()', async () => {
+    const success = await testGtfsImport();
+    if (!success)
+      return { success: false, error: 'One or more sub-tests failed' };
+  });
+
+  await runner.run('resolveRegion()', async () => {
+    const success = await testRegions();
+    if (!success)
+      return { success: false, error: 'One or more sub-tests failed' };
+  });
+
+  await runner.run('getRouteLoop()', async () => {
+    const success = await testCircularRoutes();
+    if (!success)
+      return { success: false, error: 'One or more sub-tests failed' };
+  });
+
+  await runner.run('classifyRoute()', async () => {
+    const success = await testRouteCategories();
+    if (!success)
+      return { success: false, error: 'One or more sub-tests failed' };
+  });
+
+  await runner.run('getDownstreamDestinations()', async () => {
+    const success = await testDownstreamDestinations();
+    if (!success)
+      return { success: false, error: 'One or more sub-tests failed' };
+  });
+
+  await runner.run('findDirectRoutes()', async () => {
+    const success = await testDirectRoutes();
+    if (!success)
+      return { success: false, error: 'One or more sub-tests failed' };
+  });
+
+  await runner.run('fetchEtas()', async () => {
+    const success = await testLiveEtas();
+    if (!success)
+      return { success: false, error: 'One or more sub-tests failed' };
+  });
+
+  await runner.run('EtaScheduler', async () => {
+    const success = await testEtaScheduler();
+    if (!success)
+      return { success: false, error: 'One or more sub-tests failed' };
+  });
+
   return runner.allTestsPassed;
 }
 
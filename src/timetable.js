@@ -0,0 +1,280 @@
+/**
+  Scheduled departures from the route `freq` timetable (see hkbus.md):
+  - freq: { serviceId: { startHHMM: [endHHMM, headwaySeconds] | null } }
+  - a null band is a single departure at its start time
+  - services run on the days of `serviceDayMap[serviceId]` (Sunday first)
+    when the dataset has one, else every day; public holidays run as Sunday
+  - all times are origin departures, in minutes since HK local midnight;
+    bands running past midnight carry on into the early hours of the next
+    day (see withOvernightWindows)
+  - arrivals at later stops add an offset interpolated from the route `jt`,
+    weighted by the distance between stops; these are scheduled, not live
+ */
+
+import { getConfig, getLocalDateParts, distance_km } from './utils.js';
+
+const MINUTES_PER_DAY = 24 * 60;
+const NEXT_DEPARTURES = 3;
+const BUS_KM_PER_HOUR = 18; // fallback speed when a route has no `jt`
+
+/**
+ * Minutes since midnight of an HHMM time (as in `freq`), or null.
+ */
+export function parseHHMM(value) {
+  const text = String(value ?? '').padStart(4, '0');
+  if (!/^\d{4}$/.test(text)) return null;
+  return Number(text.slice(0, 2)) * 60 + Number(text.slice(2));
+}
+
+/**
+ * Format minutes since midnight as HH:MM (wrapping past midnight).
+ */
+export function formatMinutes(minutes) {
+  const m =
+    ((Math.round(minutes) % MINUTES_PER_DAY) + MINUTES_PER_DAY) %
+    MINUTES_PER_DAY;
+  return `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+}
+
+function isServiceActive(serviceId, weekday, serviceDayMap) {
+  const days = serviceDayMap?.[serviceId];
+  if (!Array.isArray(days)) return true;
+  return !!days[weekday];
+}
+
+/**
+ * Expand the `freq` bands active on a local day into service windows
+ * { start, end, headway } (minutes), sorted by start.
+ * `day` is { weekday, holiday } with weekday 0 = Sunday.
+ */
+export function expandServiceWindows(route, day, serviceDayMap = null) {
+  if (!route?.freq) return [];
+  const weekday = day.holiday ? 0 : day.weekday;
+
+  const windows = [];
+  for (const [serviceId, bands] of Object.entries(route.freq)) {
+    if (!bands || !isServiceActive(serviceId, weekday, serviceDayMap)) {
+      continue;
+    }
+    for (const [startText, band] of Object.entries(bands)) {
+      const start = parseHHMM(startText);
+      if (start === null) continue;
+      if (!Array.isArray(band)) {
+        windows.push({ start, end: start, headway: null });
+        continue;
+      }
+      let end = parseHHMM(band[0]);
+      const headway = Number(band[1]) / 60;
+      if (end === null || !(headway > 0)) {
+        windows.push({ start, end: start, headway: null });
+        continue;
+      }
+      if (end < start) end += MINUTES_PER_DAY; // band runs past midnight
+      windows.push({ start, end, headway });
+    }
+  }
+  return windows.sort((a, b) => a.start - b.start || a.end - b.end);
+}
+
+/**
+ * A day's service windows plus those of the previous day that run past
+ * midnight, shifted back a day (so they start at negative minutes) to
+ * cover the early hours.
+ */
+export function withOvernightWindows(windows, previousWindows) {
+  const overnight = previousWindows
+    .filter((w) => w.headway && w.end >= MINUTES_PER_DAY)
+    .map((w) => ({
+      start: w.start - MINUTES_PER_DAY,
+      end: w.end - MINUTES_PER_DAY,
+      headway: w.headway,
+    }));
+  return [...overnight, ...windows];
+}
+
+/**
+ * All departure minutes of a day from its service windows, deduplicated.
+ */
+export function listDepartures(windows) {
+  const departures = new Set();
+  for (const { start, end, headway } of windows) {
+    if (!headway) {
+      departures.add(start);
+      continue;
+    }
+    for (let t = start; t <= end; t += headway) departures.add(Math.round(t));
+  }
+  return [...departures].sort((a, b) => a - b);
+}
+
+/**
+ * The next `count` departures at or after `minutes`, continuing into the
+ * next day's windows if needed (those come back as minutes >= 1440).
+ */
+export function getNextDepartures(today, tomorrow, minutes, count) {
+  const next = listDepartures(today).filter((t) => t >= minutes);
+  if (next.length < count) {
+    for (const t of listDepartures(tomorrow)) {
+      next.push(t + MINUTES_PER_DAY);
+      if (next.length >= count) break;
+    }
+  }
+  return next.slice(0, count);
+}
+
+/**
+ * Headway (minutes) of the window running at `minutes`, or null.
+ */
+export function getCurrentHeadway(windows, minutes) {
+  const running = windows.filter(
+    (w) => w.headway && w.start <= minutes && minutes <= w.end
+  );
+  if (running.length === 0) return null;
+  return Math.min(...running.map((w) => w.headway));
+}
+
+/**
+ * First and last departures of a day, or null if there is no service.
+ */
+export function getFirstLastBus(windows) {
+  const departures = listDepartures(windows);
+  if (departures.length === 0) return null;
+  return { first: departures[0], last: departures[departures.length - 1] };
+}
+
+/**
+ * Cumulative minutes from the first stop to each stop of a route.
+ * Spreads the route `jt` along the stop sequence in proportion to the
+ * straight-line distance between stops (evenly if stops lack locations);
+ * without `jt`, falls back to distance at BUS_KM_PER_HOUR.
+ */
+export function getStopOffsets(route, stops) {
+  const km = [0];
+  for (let i = 1; i < stops.length; i++) {
+    const from = stops[i - 1].location;
+    const to = stops[i].location;
+    const hop =
+      from && to ? distance_km(from.lat, from.lng, to.lat, to.lng) : 0;
+    km.push(km[i - 1] + hop);
+  }
+  const totalKm = km[km.length - 1];
+  const hops = stops.length - 1;
+
+  if (route?.jt > 0) {
+    if (totalKm > 0) return km.map((d) => (route.jt * d) / totalKm);
+    return stops.map((_, i) => (hops > 0 ? (route.jt * i) / hops : 0));
+  }
+  return km.map((d) => (d / BUS_KM_PER_HOUR) * 60);
+}
+
+/**
+ * The next `count` arrivals at a stop `offset` minutes from the origin:
+ * departures that reach the stop at or after `minutes`, plus the offset.
+ */
+export function getNextArrivals(today, tomorrow, offset, minutes, count) {
+  return getNextDepartures(today, tomorrow, minutes - offset, count).map(
+    (t) => t + offset
+  );
+}
+
+/**
+ * Local minutes since midnight plus yesterday's, today's and tomorrow's
+ * service days ({ weekday, holiday }) for a date.
+ */
+export async function getServiceDays(date = new Date()) {
+  const config = await getConfig();
+  const holidays = config?.defaults?.public_holidays || [];
+  const serviceDay = (dayOffset) => {
+    const local = getLocalDateParts(
+      new Date(date.getTime() + dayOffset * MINUTES_PER_DAY * 60000)
+    );
+    return { weekday: local.weekday, holiday: holidays.includes(local.date) };
+  };
+  return {
+    minutes: getLocalDateParts(date).minutes,
+    yesterday: serviceDay(-1),
+    today: serviceDay(0),
+    tomorrow: serviceDay(1),
+  };
+}
+
+/**
+ * Schedule summary of each route ID at a given time, in a dataset
+ * ({ routeList, serviceDayMap }):
+ * { routeId: { next: ['HH:MM'], headway, first, last } }.
+ * Routes without a `freq` timetable are left out.
+ */
+export async function getRouteSchedules(
+  data,
+  routeIds,
+  date = new Date(),
+  count = NEXT_DEPARTURES
+) {
+  const { minutes, yesterday, today, tomorrow } = await getServiceDays(date);
+  const serviceDayMap = data?.serviceDayMap || null;
+
+  const result = {};
+  for (const routeId of routeIds) {
+    const route = data?.routeList?.[routeId];
+    if (!route?.freq) continue;
+
+    const windows = expandServiceWindows(route, today, serviceDayMap);
+    const running = withOvernightWindows(
+      windows,
+      expandServiceWindows(route, yesterday, serviceDayMap)
+    );
+    const tomorrowWindows = expandServiceWindows(
+      route,
+      tomorrow,
+      serviceDayMap
+    );
+    const firstLast = getFirstLastBus(windows);
+    result[routeId] = {
+      next: getNextDepartures(running, tomorrowWindows, minutes, count).map(
+        formatMinutes
+      ),
+      headway: getCurrentHeadway(running, minutes),
+      first: firstLast ? formatMinutes(firstLast.first) : null,
+      last: firstLast ? formatMinutes(firstLast.last) : null,
+    };
+  }
+  return result;
+}
+
+/**
+ * Scheduled arrivals at stop index `stopIndex` of a route in a dataset
+ * ({ routeList, serviceDayMap }), given the route's stops (with locations):
+ * { scheduled: true, offset, arrivals: ['HH:MM'] }, where offset is the
+ * estimated ride minutes from the origin. Null without a timetable.
+ */
+export async function getStopArrivals(
+  data,
+  routeId,
+  stops,
+  stopIndex,
+  date = new Date(),
+  count = NEXT_DEPARTURES
+) {
+  const route = data?.routeList?.[routeId];
+  if (!route?.freq) return null;
+  if (!(stopIndex >= 0 && stopIndex < stops.length)) return null;
+
+  const { minutes, yesterday, today, tomorrow } = await getServiceDays(date);
+  const serviceDayMap = data?.serviceDayMap || null;
+  const offset = getStopOffsets(route, stops)[stopIndex];
+  const arrivals = getNextArrivals(
+    withOvernightWindows(
+      expandServiceWindows(route, today, serviceDayMap),
+      expandServiceWindows(route, yesterday, serviceDayMap)
+    ),
+    expandServiceWindows(route, tomorrow, serviceDayMap),
+    offset,
+    minutes,
+    count
+  );
+  return {
+    scheduled: true,
+    offset: Math.round(offset),
+    arrivals: arrivals.map(formatMinutes),
+  };
+}
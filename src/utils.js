@@ -1,13 +1,9 @@
+import { getRegion, resolveRegion, setRegion } from './region.js';
+
 export const SETTINGS_KEY = 'BUS_SETTINGS';
 const LEGACY_SETTINGS_KEY = 'APP_SETTINGS';
 export const screenWidthThreshold = 768; // The screen width below which is narrow
 export const EARTH_RADIUS_KM = 6371; // Earth's mean radius
-export const HK_BOUNDS = {
-  N: 22.57,
-  S: 22.15,
-  E: 114.5,
-  W: 113.8,
-};
 
 export function getSettings() {
   try {
@@ -36,7 +32,8 @@ let CONFIG_CACHE = null;
 export async function getConfig() {
   if (CONFIG_CACHE) return CONFIG_CACHE;
 
-  const url = window.APP_CONFIG?.jsonConfig_url;
+  // No window in Node or a Web Worker (see setConfig)
+  const url = globalThis.window?.APP_CONFIG?.jsonConfig_url;
   if (!url) {
     console.warn('No jsonConfig_url found in window.APP_CONFIG');
     return null;
@@ -50,6 +47,7 @@ export async function getConfig() {
     }
 
     CONFIG_CACHE = await response.json();
+    setRegion(resolveRegion(CONFIG_CACHE));
     return CONFIG_CACHE;
   } catch (error) {
     console.error('Error loading config:', error);
@@ -59,6 +57,7 @@ export async function getConfig() {
 
 export function setConfig(config) {
   CONFIG_CACHE = config;
+  setRegion(resolveRegion(config));
 }
 
 export function fetchJSON(path) {
@@ -198,28 +197,6 @@ export function parseMapParamsFromURL() {
   return null;
 }
 
-/**
- * Checks if coordinates are within the predefined Hong Kong bounds.
- * @param {object} coords - An object with lat and (lng or lon) properties.
- * @returns {boolean} - True if coordinates are within bounds.
- */
-export function isWithinHKBounds(coords) {
-  if (!coords) return false;
-  const lat = coords.lat;
-  const lng = coords.lng ?? coords.lon; // Handle both lng and lon
-
-  if (typeof lat !== 'number' || typeof lng !== 'number') {
-    return false;
-  }
-
-  return (
-    lat >= HK_BOUNDS.S &&
-    lat <= HK_BOUNDS.N &&
-    lng >= HK_BOUNDS.W &&
-    lng <= HK_BOUNDS.E
-  );
-}
-
 /**
  * Get the current center of the map
  */
@@ -281,6 +258,39 @@ export function distance_km(lat1, lng1, lat2, lng2) {
   return EARTH_RADIUS_KM * c;
 }
 
+/**
+ * Break a date into local calendar parts of a time zone (the region's by default)
+ * @param {Date} date - The instant to convert
+ * @param {string} timeZone - IANA time zone name
+ * @returns {{date: string, weekday: number, minutes: number}} - YYYY-MM-DD,
+ *   day of week (0 = Sunday) and minutes since local midnight
+ */
+export function getLocalDateParts(
+  date = new Date(),
+  timeZone = getRegion().timezone
+) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  })
+    .formatToParts(date)
+    .forEach(({ type, value }) => (parts[type] = value));
+
+  const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: weekdays.indexOf(parts.weekday),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+}
+
 /**
  * Normalize longitude values to the range [-180, 180]
  * @param {number} lng - Raw longitude value
@@ -307,11 +317,11 @@ export function setLoading(isLoading) {
   }
 }
 
-function showError(message) {
+function showError(message, icon = '⚠️') {
   const errorElement = document.getElementById('error-message');
   if (!errorElement) return;
 
-  errorElement.textContent = '⚠️ ' + message;
+  errorElement.textContent = `${icon} ${message}`;
   errorElement.classList.remove('hidden');
 
   // Hide after 5 seconds
@@ -327,6 +337,14 @@ function hideError() {
   }
 }
 
+/**
+ * Surface an informational message to the user, in the error box
+ * @param {string} message - The message
+ */
+export function showNotice(message) {
+  showError(message, 'ℹ️');
+}
+
 /**
  * Log and surface an error message to the user
  * @param {string} error - The error message
@@ -0,0 +1,283 @@
+/**
+ * Dataset integrity validator for routeFareList (see hkbus.md), walking
+ * every route, stop and stopMap entry, unlike the sampled schema test.
+ * • Reports route stops missing from stopList, stops outside the region
+ *   bounds (see region.js),
+ *   `seq` vs stop counts, fares vs stop counts, malformed `freq` bands
+ *   and stopMap entries pointing at unknown stops
+ * • Prints a JSON report; exits 1 if any error was found
+ *
+ * Node.js CLI usage:
+ *   node src/validate_data.js [dataset (default public/routeFareList.min.json)]
+ *     [--region id]
+ */
+
+import { getRegion, REGIONS } from './region.js';
+
+const isNode = typeof process !== 'undefined' && process.versions?.node;
+const DEFAULT_DATASET = 'public/routeFareList.min.json';
+// Band ends may run past midnight as 24xx-29xx
+const HHMM = /^([01]\d|2\d)[0-5]\d$/;
+
+/**
+ * Validate a parsed dataset, with stops inside `bounds` (the active
+ * region's by default). Returns a report:
+ * { summary: { routes, stops, stopMap, errors, warnings, codes },
+ *   issues: [{ level, code, routeId?, stopId?, message }] }
+ */
+export function validateDataset(data, bounds = getRegion().bounds) {
+  const issues = [];
+  const report = (level, code, where, message) =>
+    issues.push({ level, code, ...where, message });
+
+  const routeList = data?.routeList;
+  const stopList = data?.stopList;
+  if (!isObject(routeList)) {
+    report('error', 'missing_route_list', {}, 'routeList is not an object');
+  }
+  if (!isObject(stopList)) {
+    report('error', 'missing_stop_list', {}, 'stopList is not an object');
+  }
+
+  for (const [routeId, route] of Object.entries(routeList || {})) {
+    validateRoute(routeId, route, stopList || {}, report);
+  }
+  for (const [stopId, stop] of Object.entries(stopList || {})) {
+    validateStop(stopId, stop, bounds, report);
+  }
+  for (const [stopId, entries] of Object.entries(data?.stopMap || {})) {
+    validateStopMapEntry(stopId, entries, stopList || {}, report);
+  }
+
+  return buildReport(data, issues);
+}
+
+function buildReport(data, issues) {
+  const codes = {};
+  issues.forEach((issue) => (codes[issue.code] = (codes[issue.code] || 0) + 1));
+  return {
+    summary: {
+      routes: Object.keys(data?.routeList || {}).length,
+      stops: Object.keys(data?.stopList || {}).length,
+      stopMap: Object.keys(data?.stopMap || {}).length,
+      errors: issues.filter((issue) => issue.level === 'error').length,
+      warnings: issues.filter((issue) => issue.level === 'warning').length,
+      codes,
+    },
+    issues,
+  };
+}
+
+function isObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function validateRoute(routeId, route, stopList, report) {
+  const where = { routeId };
+  for (const field of ['route', 'co', 'orig', 'dest', 'stops']) {
+    if (route?.[field] === undefined || route?.[field] === null) {
+      report('error', 'missing_field', where, `Route lacks "${field}"`);
+    }
+  }
+  if (!isObject(route?.stops)) return;
+
+  const co = Array.isArray(route.co) ? route.co : [];
+  let longest = 0;
+  for (const [company, stopIds] of Object.entries(route.stops)) {
+    if (!co.includes(company)) {
+      report(
+        'warning',
+        'stops_company_not_in_co',
+        where,
+        `Stops listed for "${company}", which is not in co`
+      );
+    }
+    if (!Array.isArray(stopIds)) {
+      report(
+        'error',
+        'stops_not_array',
+        where,
+        `stops.${company} is not an array`
+      );
+      continue;
+    }
+    longest = Math.max(longest, stopIds.length);
+    stopIds.forEach((stopId, index) => {
+      if (!stopList[stopId]) {
+        report(
+          'error',
+          'unknown_stop',
+          { routeId, stopId },
+          `stops.${company}[${index}] is not in stopList`
+        );
+      }
+    });
+  }
+
+  if (route.seq !== undefined && route.seq !== longest) {
+    report(
+      'error',
+      'seq_mismatch',
+      where,
+      `seq is ${route.seq}, the longest stop list has ${longest} stops`
+    );
+  }
+
+  validateFares(routeId, 'fares', route.fares, longest, report);
+  validateFares(routeId, 'faresHoliday', route.faresHoliday, longest, report);
+  validateFreq(routeId, route.freq, report);
+}
+
+// A flat fare, one fare per section (stops - 1), or one per stop
+function validateFares(routeId, field, fares, stopCount, report) {
+  if (fares === null || fares === undefined) return;
+  const where = { routeId };
+  if (!Array.isArray(fares)) {
+    report('error', 'fares_not_array', where, `${field} is not an array`);
+    return;
+  }
+  const lengths = [1, stopCount - 1, stopCount];
+  if (!lengths.includes(fares.length)) {
+    report(
+      'error',
+      'fares_mismatch',
+      where,
+      `${field} has ${fares.length} fares for ${stopCount} stops`
+    );
+  }
+  fares.forEach((fare, index) => {
+    if (!Number.isFinite(parseFloat(fare))) {
+      report(
+        'error',
+        'fare_not_number',
+        where,
+        `${field}[${index}] is not a number: ${JSON.stringify(fare)}`
+      );
+    }
+  });
+}
+
+// freq: { serviceId: { HHMM: [HHMM, seconds] | null } }
+function validateFreq(routeId, freq, report) {
+  if (freq === null || freq === undefined) return;
+  const malformed = (message) =>
+    report('error', 'freq_malformed', { routeId }, message);
+  if (!isObject(freq)) {
+    malformed('freq is not an object');
+    return;
+  }
+  for (const [serviceId, bands] of Object.entries(freq)) {
+    if (bands === null) continue;
+    if (!isObject(bands)) {
+      malformed(`freq.${serviceId} is not an object`);
+      continue;
+    }
+    for (const [start, band] of Object.entries(bands)) {
+      const path = `freq.${serviceId}.${start}`;
+      if (!HHMM.test(start)) malformed(`${path}: start is not HHMM`);
+      if (band === null) continue;
+      if (!Array.isArray(band) || band.length !== 2) {
+        malformed(`${path}: band is not [end, headway]`);
+        continue;
+      }
+      if (!HHMM.test(String(band[0]))) {
+        malformed(`${path}: end ${JSON.stringify(band[0])} is not HHMM`);
+      }
+      if (!(Number(band[1]) > 0)) {
+        malformed(`${path}: headway ${JSON.stringify(band[1])} is not > 0`);
+      }
+    }
+  }
+}
+
+function validateStop(stopId, stop, bounds, report) {
+  const where = { stopId };
+  if (!stop?.name) {
+    report('error', 'missing_field', where, 'Stop lacks "name"');
+  }
+  const { lat, lng } = stop?.location || {};
+  if (typeof lat !== 'number' || typeof lng !== 'number') {
+    report('error', 'missing_location', where, 'Stop lacks a numeric location');
+    return;
+  }
+  if (lat < bounds.S || lat > bounds.N || lng < bounds.W || lng > bounds.E) {
+    report(
+      'error',
+      'stop_out_of_bounds',
+      where,
+      `Stop at ${lat},${lng} is outside the region bounds`
+    );
+  }
+}
+
+// stopMap: { stopId: [[company, operatorStopId]] }
+function validateStopMapEntry(stopId, entries, stopList, report) {
+  const where = { stopId };
+  if (!stopList[stopId]) {
+    report(
+      'error',
+      'stop_map_unknown_stop',
+      where,
+      'stopMap entry for a stop not in stopList'
+    );
+  }
+  if (
+    !Array.isArray(entries) ||
+    !entries.every((entry) => Array.isArray(entry) && entry.length === 2)
+  ) {
+    report(
+      'error',
+      'stop_map_malformed',
+      where,
+      'stopMap entry is not a list of [company, operatorStopId]'
+    );
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
+Dataset integrity validator, printing a JSON report:
+Usage: node src/validate_data.js [dataset] [--region id]
+
+  dataset      Path to routeFareList JSON (default ${DEFAULT_DATASET})
+  --region id  Region profile whose bounds stops must lie in (default ${getRegion().id})
+  --help, -h   Show this help message
+
+Exits 1 if any error was found.
+    `);
+    process.exit(0);
+  }
+
+  const fs = await import('fs');
+  const regionIndex = args.indexOf('--region');
+  const region = regionIndex >= 0 ? args[regionIndex + 1] : getRegion().id;
+  if (!REGIONS[region]) {
+    console.error(`Unknown region: ${region}`);
+    process.exit(1);
+  }
+  const file =
+    args.find(
+      (arg, i) =>
+        !arg.startsWith('-') && (regionIndex < 0 || i !== regionIndex + 1)
+    ) || DEFAULT_DATASET;
+  let report;
+  try {
+    report = validateDataset(
+      JSON.parse(fs.readFileSync(file, 'utf-8')),
+      REGIONS[region].bounds
+    );
+  } catch (error) {
+    report = buildReport(null, [
+      { level: 'error', code: 'unreadable_dataset', message: error.message },
+    ]);
+  }
+  console.log(JSON.stringify({ dataset: file, region, ...report }, null, 2));
+  process.exit(report.summary.errors > 0 ? 1 : 0);
+}
+
+// Node.js equivalent of if __name__ == "__main__":
+if (isNode && process.argv[1]?.endsWith('validate_data.js')) {
+  main();
+}
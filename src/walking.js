@@ -0,0 +1,28 @@
+/**
+  Walking between stops, shared by the journey planner and the isochrone:
+  - riders walk up to WALK_RADIUS_M to their first stop (and from their
+    last), and up to TRANSFER_RADIUS_M between stops to transfer
+  - at most MAX_WALK_STOPS / MAX_TRANSFER_STOPS stops are looked at
+  - straight-line distance at WALK_M_PER_MIN
+ */
+
+import { distance_km } from './utils.js';
+
+export const WALK_RADIUS_M = 400; // max walk to the first / from the last stop
+export const TRANSFER_RADIUS_M = 150; // max walk between two stops to transfer
+export const WALK_M_PER_MIN = 80;
+export const MAX_WALK_STOPS = 30;
+export const MAX_TRANSFER_STOPS = 10;
+
+/**
+ * Straight-line meters between two { lat, lng } points, 0 if either is
+ * missing.
+ */
+export function walkMeters(from, to) {
+  if (!from || !to) return 0;
+  return distance_km(from.lat, from.lng, to.lat, to.lng) * 1000;
+}
+
+export function walkMinutes(meters) {
+  return meters / WALK_M_PER_MIN;
+}
@@ -16,6 +16,9 @@ export default defineConfig({
   build: {
     outDir: 'dist',
   },
+  worker: {
+    format: 'es', // module worker, for busworker.js dynamic imports
+  },
   plugins: [
     enableESLint &&
       eslint({